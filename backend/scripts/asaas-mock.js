@@ -0,0 +1,159 @@
+/* ======================================================================
+   Mock local da API do Asaas — p/ testar cobranças e a conciliação
+   uso:  npm run asaas:mock
+         ASAAS_BASE_URL=http://localhost:4020/api/v3 ASAAS_API_KEY=x npm start
+   ASAAS_MOCK_SEED=./seed.json → pagamentos iniciais ([{ id, value, status, customer }])
+   controle (fora da API real):
+     POST /__mock/payments/:id  { status?, value?, deleted? }  → muda o estado
+     DELETE /__mock/payments/:id                             → some do Asaas (404)
+     GET  /__mock/state                                      → tudo em memória
+====================================================================== */
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.ASAAS_MOCK_PORT || 4020);
+const BASE = '/api/v3';
+const customers = new Map();
+const payments = new Map();
+
+if (process.env.ASAAS_MOCK_SEED) {
+  for (const p of JSON.parse(fs.readFileSync(process.env.ASAAS_MOCK_SEED, 'utf8'))) {
+    payments.set(p.id, { status: 'PENDING', deleted: false, dateCreated: new Date().toISOString().slice(0, 10), ...p });
+  }
+}
+
+const novoId = prefixo => `${prefixo}_${crypto.randomBytes(6).toString('hex')}`;
+
+function responder(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+const naoEncontrado = res => responder(res, 404, { errors: [{ code: 'not_found', description: 'Recurso não encontrado' }] });
+
+function lerCorpo(req) {
+  return new Promise(resolve => {
+    let raw = '';
+    req.on('data', c => { raw += c; });
+    req.on('end', () => { try { resolve(raw ? JSON.parse(raw) : {}); } catch { resolve({}); } });
+  });
+}
+
+function pagina(lista, query) {
+  const limit = Math.min(100, Number(query.get('limit') || 10));
+  const offset = Number(query.get('offset') || 0);
+  const data = lista.slice(offset, offset + limit);
+  return { object: 'list', hasMore: offset + limit < lista.length, totalCount: lista.length, limit, offset, data };
+}
+
+http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const rota = url.pathname;
+  const body = ['POST', 'PUT'].includes(req.method) ? await lerCorpo(req) : {};
+  console.log(`[asaas-mock] ${req.method} ${rota}${url.search}`);
+
+  // --- controle do mock
+  if (rota === '/__mock/state') return responder(res, 200, { customers: [...customers.values()], payments: [...payments.values()] });
+  let m = rota.match(/^\/__mock\/payments\/([^/]+)$/);
+  if (m) {
+    const p = payments.get(m[1]);
+    if (!p) return naoEncontrado(res);
+    if (req.method === 'DELETE') { payments.delete(m[1]); return responder(res, 200, { deleted: true, id: m[1] }); }
+    Object.assign(p, body);
+    return responder(res, 200, p);
+  }
+
+  if (!rota.startsWith(BASE)) return naoEncontrado(res);
+  const r = rota.slice(BASE.length);
+
+  // --- customers
+  if (r === '/customers' && req.method === 'GET') {
+    const cpf = url.searchParams.get('cpfCnpj');
+    return responder(res, 200, pagina([...customers.values()].filter(c => !cpf || c.cpfCnpj === cpf), url.searchParams));
+  }
+  if (r === '/customers' && req.method === 'POST') {
+    const c = { id: novoId('cus'), name: body.name, email: body.email, cpfCnpj: body.cpfCnpj };
+    customers.set(c.id, c);
+    return responder(res, 200, c);
+  }
+
+  // --- payments
+  if (r === '/payments' && req.method === 'GET') {
+    const inst = url.searchParams.get('installment');
+    return responder(res, 200, pagina([...payments.values()].filter(p => !inst || p.installment === inst), url.searchParams));
+  }
+  if (r === '/payments' && req.method === 'POST') {
+    // parcelado (cartão): installmentCount + totalValue => N cobranças com o mesmo installment
+    const n = Math.max(1, Number(body.installmentCount || 1));
+    const installment = n > 1 ? novoId('ins') : null;
+    const totalCents = Math.round(Number(n > 1 ? body.totalValue : body.value) * 100);
+    const criadas = [];
+    for (let k = 0; k < n; k++) {
+      const id = novoId('pay');
+      const cents = Math.floor(totalCents / n) + (k === n - 1 ? totalCents % n : 0);
+      const due = body.dueDate ? new Date(body.dueDate + 'T12:00:00Z') : null;
+      if (due) due.setUTCMonth(due.getUTCMonth() + k);
+      const p = {
+        id, customer: body.customer, billingType: body.billingType, value: cents / 100,
+        dueDate: due ? due.toISOString().slice(0, 10) : null, status: 'PENDING', deleted: false,
+        dateCreated: new Date().toISOString().slice(0, 10),
+        description: body.description || null, externalReference: body.externalReference || null,
+        ...(installment ? { installment, installmentNumber: k + 1 } : {}),
+        bankSlipUrl: body.billingType === 'BOLETO' ? `http://localhost:${PORT}/boleto/${id}` : null,
+        invoiceUrl: `http://localhost:${PORT}/i/${installment || id}`,
+        ...(body.billingType === 'PIX' ? { pixQrCode: { payload: `00020126-mock-${id}`, encodedImage: '' } } : {})
+      };
+      payments.set(id, p);
+      criadas.push(p);
+    }
+    return responder(res, 200, criadas[0]);
+  }
+  m = r.match(/^\/installments\/([^/]+)$/);
+  if (m && req.method === 'DELETE') {
+    const lista = [...payments.values()].filter(p => p.installment === m[1]);
+    if (!lista.length) return naoEncontrado(res);
+    for (const p of lista) p.deleted = true;
+    return responder(res, 200, { deleted: true, id: m[1] });
+  }
+  m = r.match(/^\/payments\/([^/]+)$/);
+  if (m && req.method === 'DELETE') {
+    const p = payments.get(m[1]);
+    if (!p) return naoEncontrado(res);
+    p.deleted = true;
+    return responder(res, 200, { deleted: true, id: m[1] });
+  }
+  if (m && req.method === 'GET') {
+    const p = payments.get(m[1]);
+    return p ? responder(res, 200, p) : naoEncontrado(res);
+  }
+  if (m && req.method === 'POST') {
+    const p = payments.get(m[1]);
+    if (!p || p.deleted) return naoEncontrado(res);
+    if (p.status !== 'PENDING') return responder(res, 400, { errors: [{ code: 'invalid_action', description: `Cobrança ${p.status} não pode ser alterada.` }] });
+    if (body.value != null) p.value = Number(body.value);
+    if (body.dueDate) p.dueDate = body.dueDate;
+    if (body.description != null) p.description = body.description;
+    return responder(res, 200, p);
+  }
+  m = r.match(/^\/payments\/([^/]+)\/refund$/);
+  if (m && req.method === 'POST') {
+    const p = payments.get(m[1]);
+    if (!p) return naoEncontrado(res);
+    if (!['RECEIVED', 'CONFIRMED'].includes(p.status)) return responder(res, 400, { errors: [{ code: 'invalid_action', description: `Cobrança ${p.status} não pode ser estornada.` }] });
+    const jaDevolvido = (p.refunds || []).reduce((t, x) => t + x.value, 0);
+    const valor = body.value != null ? Number(body.value) : p.value - jaDevolvido;
+    if (!(valor > 0) || valor > p.value - jaDevolvido + 1e-9) return responder(res, 400, { errors: [{ code: 'invalid_value', description: 'Valor de estorno inválido.' }] });
+    p.refunds = [...(p.refunds || []), { value: valor, description: body.description || null, status: 'DONE', dateCreated: new Date().toISOString() }];
+    if (jaDevolvido + valor >= p.value - 1e-9) p.status = 'REFUNDED';
+    return responder(res, 200, p);
+  }
+  m = r.match(/^\/payments\/([^/]+)\/cancel$/);
+  if (m && req.method === 'POST') {
+    const p = payments.get(m[1]);
+    if (!p) return naoEncontrado(res);
+    p.status = 'CANCELLED';
+    return responder(res, 200, p);
+  }
+
+  naoEncontrado(res);
+}).listen(PORT, () => console.log(`✅ Mock do Asaas em http://localhost:${PORT}${BASE}`));
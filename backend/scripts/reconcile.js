@@ -0,0 +1,36 @@
+/* ======================================================================
+   Conciliação pela linha de comando — chama POST /api/admin/reconcile
+   uso:  API_URL=http://localhost:3333 ADMIN_EMAIL=... ADMIN_PASSWORD=... npm run reconcile
+         npm run reconcile -- --dry-run   (só relata, não corrige)
+   saída: relatório em JSON; código 1 se houver divergência ou erro
+====================================================================== */
+const API_URL = (process.env.API_URL || `http://localhost:${process.env.PORT || 3333}`).replace(/\/$/, '');
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  const login = await fetch(`${API_URL}/api/admin/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: process.env.ADMIN_EMAIL, senha: process.env.ADMIN_PASSWORD })
+  });
+  const sessao = await login.json().catch(() => ({}));
+  if (!login.ok || !sessao.token) throw new Error(`login falhou (${login.status}): ${sessao.error || ''}`);
+
+  const r = await fetch(`${API_URL}/api/admin/reconcile${dryRun ? '?dry_run=1' : ''}`, {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${sessao.token}` }
+  });
+  const j = await r.json().catch(() => ({}));
+  await fetch(`${API_URL}/api/admin/logout`, { method: 'POST', headers: { 'Authorization': `Bearer ${sessao.token}` } }).catch(() => {});
+  if (!r.ok) throw new Error(`reconcile falhou (${r.status}): ${j.error || ''}`);
+
+  console.log(JSON.stringify(j.relatorio, null, 2));
+  const rel = j.relatorio;
+  const divergencias = rel.corrigidas.length + rel.so_local.length + rel.so_asaas.length + rel.valor_divergente.length + rel.erros.length;
+  process.exitCode = divergencias ? 1 : 0;
+}
+
+main().catch(e => {
+  console.error('❌', e?.message || e);
+  process.exitCode = 2;
+});
@@ -0,0 +1,45 @@
+/* ======================================================================
+   Stub local da API do Resend — p/ testar a outbox sem mandar e-mail real
+   uso:  npm run email:stub
+         RESEND_API_URL=http://localhost:4010/emails RESEND_API_KEY=x npm start
+   STUB_FAIL_RATE=0.5 → metade das chamadas responde 500 (testa retentativas)
+   STUB_DIR=./tmp-emails → grava o HTML de cada e-mail recebido
+====================================================================== */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.STUB_PORT || 4010);
+const FAIL_RATE = Math.min(Math.max(Number(process.env.STUB_FAIL_RATE || 0), 0), 1);
+const DIR = process.env.STUB_DIR ? path.resolve(process.env.STUB_DIR) : null;
+if (DIR) fs.mkdirSync(DIR, { recursive: true });
+
+function responder(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+http.createServer((req, res) => {
+  if (req.method !== 'POST' || req.url !== '/emails') {
+    return responder(res, 404, { name: 'not_found', message: 'use POST /emails' });
+  }
+  let raw = '';
+  req.on('data', c => { raw += c; });
+  req.on('end', () => {
+    let msg;
+    try { msg = JSON.parse(raw); } catch { return responder(res, 422, { name: 'validation_error', message: 'JSON inválido' }); }
+    if (!msg.to || !msg.subject) return responder(res, 422, { name: 'validation_error', message: 'to/subject obrigatórios' });
+
+    if (Math.random() < FAIL_RATE) {
+      console.log(`💥 [stub] falha simulada → ${[].concat(msg.to).join(', ')} | ${msg.subject}`);
+      return responder(res, 500, { name: 'internal_server_error', message: 'falha simulada' });
+    }
+
+    const id = crypto.randomUUID();
+    const anexos = (msg.attachments || []).map(a => a.filename).join(', ');
+    console.log(`📧 [stub] ${id} → ${[].concat(msg.to).join(', ')} | ${msg.subject}${anexos ? ` | anexos: ${anexos}` : ''}`);
+    if (DIR) fs.writeFileSync(path.join(DIR, `${Date.now()}-${id}.html`), msg.html || '');
+    responder(res, 200, { id });
+  });
+}).listen(PORT, () => console.log(`✅ Stub do Resend em http://localhost:${PORT}/emails`));
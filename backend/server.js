@@ -4,15 +4,23 @@ require('dotenv').config();
 const express = require('express');
 // const cors = require('cors'); // Desnecessário: CORS custom abaixo
 const QRCode = require('qrcode');
+const PDFDocument = require('pdfkit');
 const path = require('path');
 const fetch = globalThis.fetch; // Node 18+ tem fetch nativo
 const { Pool } = require('pg');
 const { EventEmitter } = require('events');
 const { google } = require('googleapis');
+const crypto = require('crypto');
+const zlib = require('zlib');
 
 const app = express();
 const PORT = process.env.PORT || 3333;
 
+// req.ip só confia no X-Forwarded-For até o nº de proxies informado
+// (padrão: 1 salto, o balanceador da hospedagem; TRUST_PROXY=0 desliga)
+const TRUST_PROXY = process.env.TRUST_PROXY ?? '1';
+app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+
 /* ======================================================================
    CORS INFALÍVEL (dev e prod) + PRE-FLIGHT 204 + OPTIONS EXPLÍCITO
 ====================================================================== */
@@ -57,18 +65,74 @@ const pgPool = new Pool({
 
 /* ======================================================================
    EVENTOS (tempo real p/ Admin via SSE)
+   - cada aviso leva o evento (evento_id): o do argumento/payload, senão o da
+     linha pelo id (inscrito, fila, grupo, e-mail); null = aviso de todos
+   - o painel só recebe os do evento escolhido, filtrados por papel (ver SSE)
 ====================================================================== */
 const events = new EventEmitter();
 events.setMaxListeners(50);
-function emitEvent(type, payload) {
-  events.emit('evt', { type, payload, at: new Date().toISOString() });
+const EVENTO_DO_AVISO = {
+  inscrito: 'SELECT evento_id FROM public.inscritos WHERE id=$1',
+  checkin:  'SELECT evento_id FROM public.inscritos WHERE id=$1',
+  espera:   'SELECT evento_id FROM public.lista_espera WHERE id=$1',
+  grupo:    'SELECT evento_id FROM public.grupos WHERE id=$1',
+  email:    'SELECT i.evento_id FROM public.email_outbox o JOIN public.inscritos i ON i.id=o.inscrito_id WHERE o.id=$1'
+};
+function emitEvent(type, payload, eventoId = payload?.evento_id) {
+  const at = new Date().toISOString();
+  const emitir = ev => events.emit('evt', { type, payload, evento_id: ev == null ? null : Number(ev), at });
+  const sql = EVENTO_DO_AVISO[type.split(':')[0]];
+  if (eventoId != null || !sql || payload?.id == null) return emitir(eventoId);
+  pgPool.query(sql, [payload.id])
+    .then(({ rows }) => emitir(rows[0]?.evento_id), e => console.error('[SSE] evento do aviso:', type, e?.message || e));
+}
+
+/* ======================================================================
+   AUDITORIA (audit_log) — best-effort, gravada DEPOIS da mutação
+   - diff: { campo: { de, para } } só com o que mudou
+   - actor: quem está no painel (x-admin-user) ou o sistema (webhook:asaas)
+====================================================================== */
+function clientIp(req) {
+  return req?.ip || req?.socket?.remoteAddress || null;
+}
+
+function diffCampos(antes = {}, depois = {}) {
+  const norm = v => (v instanceof Date ? v.toISOString() : (v === undefined || v === '' ? null : v));
+  const out = {};
+  const chaves = new Set([...Object.keys(antes || {}), ...Object.keys(depois || {})]);
+  for (const k of chaves) {
+    if (k === 'updated_at') continue;
+    const de = norm(antes?.[k]);
+    const para = norm(depois?.[k]);
+    if (JSON.stringify(de) !== JSON.stringify(para)) out[k] = { de, para };
+  }
+  return out;
+}
+
+async function auditar(req, { actor, action, targetType, targetId, antes, depois, diff }) {
+  try {
+    await pgPool.query(`
+      INSERT INTO public.audit_log (actor, action, target_type, target_id, diff, ip)
+      VALUES ($1,$2,$3,$4,$5,$6)
+    `, [
+      actor || req?.adminActor || 'desconhecido',
+      action,
+      targetType || null,
+      targetId == null ? null : String(targetId),
+      JSON.stringify(diff || diffCampos(antes, depois)),
+      clientIp(req)
+    ]);
+  } catch (e) {
+    console.error('❌ [AUDIT] falha ao registrar', action, targetId, e?.message || e);
+  }
 }
 
 /* ======================================================================
    GOOGLE SHEETS BACKUP (robusto: aceita JSON puro OU JSON em base64)
    - Compartilhe a planilha com:
      backup-retiro@inscricoesretiro2026.iam.gserviceaccount.com (Editor)
-   - A aba deve se chamar exatamente: inscritos
+   - planilha/aba de cada evento: eventos.sheet_id / eventos.sheet_tab
+     (SHEET_ID/SHEET_TAB abaixo só semeiam o evento padrão)
 ====================================================================== */
 const SHEET_ID = '1EpvUxWruk7aIEx9ZMWMdysXbvHJWewGLeR90Ri1ytsg';
 const SHEET_TAB = 'inscritos';
@@ -134,6 +198,9 @@ let sheets = null;
 async function salvarBackupSheets(dados, attempt = 1) {
   if (!sheets) return; // silencioso se desabilitado
   try {
+    const ev = await buscarEvento(pgPool, { id: dados.eventoId ?? null });
+    if (!ev?.sheet_id) return; // evento sem planilha
+
     const asText = v => (v == null ? '' : String(v));
     const forceText = v => (v == null ? '' : "'" + String(v)); // força texto no Sheets
 
@@ -144,8 +211,8 @@ async function salvarBackupSheets(dados, attempt = 1) {
     }).format(new Date());
 
     await sheets.spreadsheets.values.append({
-      spreadsheetId: SHEET_ID,
-      range: `${SHEET_TAB}!A2`,
+      spreadsheetId: ev.sheet_id,
+      range: `${ev.sheet_tab || 'inscritos'}!A2`,
       valueInputOption: 'RAW',
       requestBody: {
         values: [[
@@ -179,7 +246,40 @@ async function salvarBackupSheets(dados, attempt = 1) {
 /* ======================================================================
    CRIAÇÃO/MIGRAÇÃO DE TABELAS + ÍNDICES
 ====================================================================== */
+// inscrição que segura vaga e CPF no evento: cancelada e estornada liberam os dois
+const OCUPA_VAGA = `COALESCE(status,'') NOT IN ('cancelado','estornado')`;
+
 async function ensureTables() {
+  // Eventos (retiros/conferências): tudo que era constante do Retiro 2026 mora aqui
+  await pgPool.query(`
+    CREATE TABLE IF NOT EXISTS public.eventos (
+      id                      BIGSERIAL PRIMARY KEY,
+      slug                    TEXT NOT NULL UNIQUE,   -- /e/<slug>/... nas rotas públicas
+      nome                    TEXT NOT NULL,
+      datas                   TEXT,                   -- texto do ingresso/e-mails: "03 a 05 de Abril de 2026"
+      local                   TEXT,
+      inicio_em               TIMESTAMPTZ,            -- contagem regressiva da landing
+      evento_data             DATE,                   -- dia em que a idade é calculada
+      capacidade              INTEGER NOT NULL DEFAULT 0,
+      preco_cents             INTEGER NOT NULL DEFAULT 0,
+      inscricoes_abertura     TIMESTAMPTZ,
+      inscricoes_encerramento TIMESTAMPTZ,
+      boleto_limite           DATE,                   -- último vencimento de boleto
+      reembolso_integral_ate  TIMESTAMPTZ,
+      reembolso_parcial_ate   TIMESTAMPTZ,
+      reembolso_parcial_pct   NUMERIC(5,2) NOT NULL DEFAULT 50,
+      idade_minima            INTEGER NOT NULL DEFAULT 0,
+      faixas_etarias          JSONB NOT NULL DEFAULT '[]'::jsonb,
+      sheet_id                TEXT,                   -- backup no Google Sheets (vazio = sem backup)
+      sheet_tab               TEXT,
+      marca                   JSONB NOT NULL DEFAULT '{}'::jsonb,  -- { cor, logo_url, banner_url, subtitulo }
+      idioma                  TEXT NOT NULL DEFAULT 'pt-BR',          -- idioma dos e-mails (IDIOMAS_EMAIL)
+      ativo                   BOOLEAN NOT NULL DEFAULT TRUE,
+      criado_em               TIMESTAMPTZ DEFAULT NOW(),
+      updated_at              TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+
   await pgPool.query(`
     CREATE TABLE IF NOT EXISTS public.inscritos (
       id              BIGSERIAL PRIMARY KEY,
@@ -223,16 +323,274 @@ async function ensureTables() {
     );
   `);
 
+  // Lista de espera: entra quando o evento lota; sai por oferta aceita (convertido),
+  // oferta vencida (expirado) ou remoção manual (removido)
+  await pgPool.query(`
+    CREATE TABLE IF NOT EXISTS public.lista_espera (
+      id               BIGSERIAL PRIMARY KEY,
+      nome             TEXT,
+      cpf              TEXT,
+      cpf_norm         TEXT,
+      nascimento       TEXT,
+      email            TEXT,
+      telefone         TEXT,
+      frequentaPV      TEXT,
+      campus           TEXT,
+      forma_pagamento  TEXT,
+      posicao          INTEGER,
+      status           TEXT DEFAULT 'aguardando',
+      oferta_token     TEXT UNIQUE,
+      oferecido_em     TIMESTAMPTZ,
+      oferta_expira_em TIMESTAMPTZ,
+      inscrito_id      BIGINT REFERENCES public.inscritos(id) ON DELETE SET NULL,
+      criado_em        TIMESTAMPTZ DEFAULT NOW(),
+      updated_at       TIMESTAMPTZ
+    );
+  `);
+
+  // Auditoria: quem mudou o quê (painel admin + webhooks)
+  await pgPool.query(`
+    CREATE TABLE IF NOT EXISTS public.audit_log (
+      id          BIGSERIAL PRIMARY KEY,
+      actor       TEXT,
+      action      TEXT NOT NULL,
+      target_type TEXT,
+      target_id   TEXT,
+      diff        JSONB,
+      ip          TEXT,
+      created_at  TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+
+  // Contas do painel (senha com scrypt) + sessões (guardamos só o hash do token)
+  await pgPool.query(`
+    CREATE TABLE IF NOT EXISTS public.admin_users (
+      id           BIGSERIAL PRIMARY KEY,
+      nome         TEXT NOT NULL,
+      email        TEXT NOT NULL UNIQUE,
+      senha_hash   TEXT NOT NULL,
+      papel        TEXT NOT NULL DEFAULT 'checkin',
+      ativo        BOOLEAN NOT NULL DEFAULT TRUE,
+      ultimo_login TIMESTAMPTZ,
+      criado_em    TIMESTAMPTZ DEFAULT NOW(),
+      updated_at   TIMESTAMPTZ
+    );
+  `);
+  await pgPool.query(`
+    CREATE TABLE IF NOT EXISTS public.admin_sessions (
+      token_hash  TEXT PRIMARY KEY,
+      user_id     BIGINT NOT NULL REFERENCES public.admin_users(id) ON DELETE CASCADE,
+      ip          TEXT,
+      criado_em   TIMESTAMPTZ DEFAULT NOW(),
+      expira_em   TIMESTAMPTZ NOT NULL,
+      revogada_em TIMESTAMPTZ
+    );
+  `);
+
+  // Configurações editáveis sem redeploy (sobrepõem as variáveis de ambiente)
+  await pgPool.query(`
+    CREATE TABLE IF NOT EXISTS public.config (
+      chave      TEXT PRIMARY KEY,
+      valor      TEXT,
+      updated_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+
+  // Preços: lotes (por data e/ou quantidade) e cupons de desconto
+  await pgPool.query(`
+    CREATE TABLE IF NOT EXISTS public.lotes (
+      id                BIGSERIAL PRIMARY KEY,
+      nome              TEXT NOT NULL,
+      preco_cents       INTEGER NOT NULL,
+      inicio            TIMESTAMPTZ,
+      fim               TIMESTAMPTZ,
+      limite_inscricoes INTEGER,
+      ordem             INTEGER NOT NULL DEFAULT 0,
+      ativo             BOOLEAN NOT NULL DEFAULT TRUE,
+      criado_em         TIMESTAMPTZ DEFAULT NOW(),
+      updated_at        TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+  await pgPool.query(`
+    CREATE TABLE IF NOT EXISTS public.cupons (
+      id              BIGSERIAL PRIMARY KEY,
+      codigo          TEXT NOT NULL UNIQUE,
+      descricao       TEXT,
+      tipo            TEXT NOT NULL,        -- percentual | valor | preco
+      valor           INTEGER NOT NULL,     -- % (percentual) ou centavos (valor/preco)
+      limite_usos     INTEGER,
+      campus          TEXT[],               -- NULL = qualquer campus
+      validade_inicio TIMESTAMPTZ,
+      validade_fim    TIMESTAMPTZ,
+      ativo           BOOLEAN NOT NULL DEFAULT TRUE,
+      criado_em       TIMESTAMPTZ DEFAULT NOW(),
+      updated_at      TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+
+  // Perguntas extras do formulário (definidas no painel); respostas em inscritos.respostas
+  await pgPool.query(`
+    CREATE TABLE IF NOT EXISTS public.campos_inscricao (
+      id          BIGSERIAL PRIMARY KEY,
+      chave       TEXT NOT NULL UNIQUE,   -- nome da resposta no JSON (não muda)
+      rotulo      TEXT NOT NULL,
+      tipo        TEXT NOT NULL,          -- texto | texto_longo | numero | data | selecao | multipla | sim_nao
+      opcoes      JSONB,                  -- selecao/multipla: ["P","M","G"]
+      obrigatorio BOOLEAN NOT NULL DEFAULT FALSE,
+      visivel_se  JSONB,                  -- { campo, valores: [...] } ou NULL (sempre visível)
+      ajuda       TEXT,
+      ordem       INTEGER NOT NULL DEFAULT 0,
+      ativo       BOOLEAN NOT NULL DEFAULT TRUE,
+      criado_em   TIMESTAMPTZ DEFAULT NOW(),
+      updated_at  TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+
+  // Quartos/dormitórios (hospedagem) — inscritos.quarto_id aponta p/ cá
+  await pgPool.query(`
+    CREATE TABLE IF NOT EXISTS public.quartos (
+      id          BIGSERIAL PRIMARY KEY,
+      nome        TEXT NOT NULL UNIQUE,
+      bloco       TEXT,
+      capacidade  INTEGER NOT NULL,
+      sexo        TEXT NOT NULL DEFAULT 'misto',  -- M | F | misto
+      idade_min   INTEGER,                        -- idade no dia do evento
+      idade_max   INTEGER,
+      observacao  TEXT,
+      ordem       INTEGER NOT NULL DEFAULT 0,
+      ativo       BOOLEAN NOT NULL DEFAULT TRUE,
+      criado_em   TIMESTAMPTZ DEFAULT NOW(),
+      updated_at  TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+
+  // Webhooks recebidos (event store + fila de retentativas)
+  await pgPool.query(`
+    CREATE TABLE IF NOT EXISTS public.webhook_events (
+      id                   BIGSERIAL PRIMARY KEY,
+      evento_id            TEXT NOT NULL UNIQUE,
+      evento               TEXT,
+      payment_id           TEXT,
+      payment_status       TEXT,
+      payload              JSONB NOT NULL,
+      status               TEXT NOT NULL DEFAULT 'recebido',  -- recebido | processando | processado | ignorado | falhou | abandonado
+      tentativas           INT NOT NULL DEFAULT 0,
+      proxima_tentativa_em TIMESTAMPTZ,
+      ultimo_erro          TEXT,
+      recebido_em          TIMESTAMPTZ DEFAULT NOW(),
+      processado_em        TIMESTAMPTZ,
+      updated_at           TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+
+  // E-mails: outbox (log de entrega + fila de retentativas) e templates editados no painel
+  await pgPool.query(`
+    CREATE TABLE IF NOT EXISTS public.email_outbox (
+      id                   BIGSERIAL PRIMARY KEY,
+      template             TEXT NOT NULL,
+      idioma               TEXT NOT NULL DEFAULT 'pt-BR',
+      destinatarios        TEXT[] NOT NULL,
+      assunto              TEXT NOT NULL,
+      html                 TEXT NOT NULL,
+      anexos               JSONB NOT NULL DEFAULT '[]'::jsonb,
+      status               TEXT NOT NULL DEFAULT 'pendente',  -- pendente | enviando | enviado | falhou
+      tentativas           INT NOT NULL DEFAULT 0,
+      proxima_tentativa_em TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      ultimo_erro          TEXT,
+      resposta             JSONB,
+      provider_id          TEXT,
+      inscrito_id          BIGINT REFERENCES public.inscritos(id) ON DELETE SET NULL,
+      chave                TEXT UNIQUE,
+      criado_em            TIMESTAMPTZ DEFAULT NOW(),
+      enviado_em           TIMESTAMPTZ,
+      updated_at           TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+  await pgPool.query(`
+    CREATE TABLE IF NOT EXISTS public.email_templates (
+      chave      TEXT NOT NULL,
+      idioma     TEXT NOT NULL DEFAULT 'pt-BR',
+      assunto    TEXT NOT NULL,
+      html       TEXT NOT NULL,
+      updated_at TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (chave, idioma)
+    );
+  `);
+
+  // Reembolsos: uma linha por estorno pedido ao Asaas (parcial ou total de uma parcela)
+  await pgPool.query(`
+    CREATE TABLE IF NOT EXISTS public.reembolsos (
+      id               BIGSERIAL PRIMARY KEY,
+      inscrito_id      BIGINT NOT NULL REFERENCES public.inscritos(id) ON DELETE CASCADE,
+      parcela_id       BIGINT REFERENCES public.parcelas(id) ON DELETE SET NULL,
+      asaas_payment_id TEXT,
+      valor_cents      INTEGER NOT NULL CHECK (valor_cents > 0),
+      percentual       NUMERIC(5,2),
+      faixa            TEXT,                                   -- integral | parcial | nenhum | manual
+      motivo           TEXT NOT NULL,
+      status           TEXT NOT NULL DEFAULT 'processando',    -- processando | efetuado | falhou
+      resposta         JSONB,
+      ultimo_erro      TEXT,
+      criado_por       TEXT,
+      criado_em        TIMESTAMPTZ DEFAULT NOW(),
+      processado_em    TIMESTAMPTZ,
+      updated_at       TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+
+  // Grupos/famílias: um responsável paga uma cobrança única por N participantes (inscritos.grupo_id)
+  await pgPool.query(`
+    CREATE TABLE IF NOT EXISTS public.grupos (
+      id                   BIGSERIAL PRIMARY KEY,
+      nome                 TEXT,
+      responsavel_nome     TEXT NOT NULL,
+      responsavel_cpf      TEXT,
+      responsavel_cpf_norm TEXT,
+      responsavel_email    TEXT NOT NULL,
+      responsavel_telefone TEXT,
+      forma_pagamento      TEXT,
+      criado_em            TIMESTAMPTZ DEFAULT NOW(),
+      updated_at           TIMESTAMPTZ
+    );
+  `);
+
+  // Portal do inscrito: link mágico, código de uso único e sessões (só o sha256 fica salvo)
+  await pgPool.query(`
+    CREATE TABLE IF NOT EXISTS public.portal_tokens (
+      id          BIGSERIAL PRIMARY KEY,
+      token_hash  TEXT NOT NULL,
+      inscrito_id BIGINT NOT NULL REFERENCES public.inscritos(id) ON DELETE CASCADE,
+      tipo        TEXT NOT NULL,                 -- link | codigo | sessao
+      tentativas  INT NOT NULL DEFAULT 0,
+      ip          TEXT,
+      criado_em   TIMESTAMPTZ DEFAULT NOW(),
+      expira_em   TIMESTAMPTZ NOT NULL,
+      usado_em    TIMESTAMPTZ
+    );
+  `);
+
   // Índices úteis (performance)
   await pgPool.query(`CREATE INDEX IF NOT EXISTS idx_inscritos_email ON public.inscritos (LOWER(email));`);
   await pgPool.query(`CREATE INDEX IF NOT EXISTS idx_inscritos_cpf   ON public.inscritos (cpf_norm);`);
   await pgPool.query(`CREATE INDEX IF NOT EXISTS idx_parcelas_ins    ON public.parcelas (inscrito_id);`);
   await pgPool.query(`CREATE INDEX IF NOT EXISTS idx_leads_email     ON public.leads (LOWER(email));`);
   await pgPool.query(`CREATE INDEX IF NOT EXISTS idx_leads_created   ON public.leads (created_at DESC);`);
+  await pgPool.query(`CREATE INDEX IF NOT EXISTS idx_espera_status   ON public.lista_espera (status, posicao);`);
+  await pgPool.query(`CREATE INDEX IF NOT EXISTS idx_audit_target   ON public.audit_log (target_type, target_id, created_at DESC);`);
+  await pgPool.query(`CREATE INDEX IF NOT EXISTS idx_sessions_user  ON public.admin_sessions (user_id);`);
+  await pgPool.query(`CREATE INDEX IF NOT EXISTS idx_webhook_fila   ON public.webhook_events (status, proxima_tentativa_em);`);
+  await pgPool.query(`CREATE INDEX IF NOT EXISTS idx_webhook_pay    ON public.webhook_events (payment_id);`);
+  await pgPool.query(`CREATE INDEX IF NOT EXISTS idx_outbox_fila    ON public.email_outbox (status, proxima_tentativa_em);`);
+  await pgPool.query(`CREATE INDEX IF NOT EXISTS idx_outbox_ins     ON public.email_outbox (inscrito_id);`);
+  await pgPool.query(`CREATE INDEX IF NOT EXISTS idx_reembolsos_ins ON public.reembolsos (inscrito_id);`);
+  await pgPool.query(`CREATE INDEX IF NOT EXISTS idx_reembolsos_par ON public.reembolsos (parcela_id);`);
+  await pgPool.query(`CREATE INDEX IF NOT EXISTS idx_portal_hash    ON public.portal_tokens (token_hash);`);
+  await pgPool.query(`CREATE INDEX IF NOT EXISTS idx_portal_ins     ON public.portal_tokens (inscrito_id, tipo);`);
 
-  console.log('✅ [DB] Tabelas prontas (inscritos, parcelas, leads)');
+  console.log('✅ [DB] Tabelas prontas (eventos, inscritos, parcelas, leads, lista_espera, audit_log, admin_users, admin_sessions, config, lotes, cupons, webhook_events, email_outbox, email_templates, reembolsos, portal_tokens, grupos, campos_inscricao, quartos)');
 }
-ensureTables().catch(err => {
+const ensureTablesPronto = ensureTables();
+ensureTablesPronto.then(criarOwnerInicial).catch(err => {
   console.error('❌ [DB] Erro ao garantir tabelas:', err?.message || err);
   process.exit(1);
 });
@@ -257,11 +615,251 @@ ensureTables().catch(err => {
         END IF;
       END$$;
     `);
+    await pgPool.query(`
+      ALTER TABLE public.inscritos
+        ADD COLUMN IF NOT EXISTS checkin_nonce TEXT,
+        ADD COLUMN IF NOT EXISTS checkin_em    TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS checkin_por   TEXT,
+        ADD COLUMN IF NOT EXISTS ticket_enviado_em TIMESTAMPTZ;
+    `);
     await pgPool.query(`CREATE INDEX IF NOT EXISTS idx_inscritos_status ON public.inscritos (status);`);
     console.log('✅ [DB] Colunas extras aplicadas (canceled_at, cancel_reason, updated_at)');
   } catch (e) {
     console.warn('⚠️ [DB] alterTablesSoftly:', e?.message || e);
   }
+
+  // Lembretes de boleto: o que já foi enviado (por parcela) + pausa/atraso (por inscrito)
+  // status_manual: status de pagamento definido pelo financeiro (não é recalculado)
+  // asaas_evento_em: data do último evento do webhook aplicado na parcela (regra de ordem)
+  // forma/asaas_installment_id/link_pagamento: cartão parcelado (checkout hospedado do Asaas)
+  try {
+    await ensureTablesPronto;
+    await pgPool.query(`
+      ALTER TABLE public.parcelas
+        ADD COLUMN IF NOT EXISTS lembrete_d3_em         TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS lembrete_vencimento_em TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS asaas_evento_em        TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS forma                  TEXT,
+        ADD COLUMN IF NOT EXISTS asaas_installment_id   TEXT,
+        ADD COLUMN IF NOT EXISTS link_pagamento         TEXT;
+    `);
+    await pgPool.query(`
+      ALTER TABLE public.inscritos
+        ADD COLUMN IF NOT EXISTS lembretes_pausados    BOOLEAN NOT NULL DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS pagamento_atrasado_em TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS status_manual         BOOLEAN NOT NULL DEFAULT FALSE;
+    `);
+  } catch (e) {
+    console.warn('⚠️ [DB] colunas de lembretes:', e?.message || e);
+  }
+
+  // Preço que a pessoa de fato recebeu (lote + cupom) fica gravado na inscrição
+  try {
+    await ensureTablesPronto;
+    await pgPool.query(`
+      ALTER TABLE public.inscritos
+        ADD COLUMN IF NOT EXISTS lote_id          BIGINT REFERENCES public.lotes(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS preco_base_cents INTEGER,
+        ADD COLUMN IF NOT EXISTS desconto_cents   INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS preco_cents      INTEGER,
+        ADD COLUMN IF NOT EXISTS cupom_codigo     TEXT;
+    `);
+    await pgPool.query(`ALTER TABLE public.lista_espera ADD COLUMN IF NOT EXISTS cupom TEXT;`);
+    await pgPool.query(`CREATE INDEX IF NOT EXISTS idx_inscritos_cupom ON public.inscritos (cupom_codigo) WHERE cupom_codigo IS NOT NULL;`);
+    await pgPool.query(`CREATE INDEX IF NOT EXISTS idx_inscritos_lote  ON public.inscritos (lote_id) WHERE lote_id IS NOT NULL;`);
+  } catch (e) {
+    console.warn('⚠️ [DB] colunas de preço:', e?.message || e);
+  }
+
+  // Pedido de cancelamento feito pelo próprio inscrito (portal); quem cancela é o painel
+  try {
+    await ensureTablesPronto;
+    await pgPool.query(`
+      ALTER TABLE public.inscritos
+        ADD COLUMN IF NOT EXISTS cancelamento_solicitado_em TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS cancelamento_motivo        TEXT;
+    `);
+  } catch (e) {
+    console.warn('⚠️ [DB] colunas do portal:', e?.message || e);
+  }
+
+  // Grupo: participantes apontam p/ o grupo; a cobrança única do grupo também (parcelas.grupo_id)
+  try {
+    await ensureTablesPronto;
+    await pgPool.query(`ALTER TABLE public.inscritos ADD COLUMN IF NOT EXISTS grupo_id BIGINT REFERENCES public.grupos(id) ON DELETE SET NULL;`);
+    await pgPool.query(`ALTER TABLE public.parcelas  ADD COLUMN IF NOT EXISTS grupo_id BIGINT REFERENCES public.grupos(id) ON DELETE SET NULL;`);
+    await pgPool.query(`CREATE INDEX IF NOT EXISTS idx_inscritos_grupo ON public.inscritos (grupo_id) WHERE grupo_id IS NOT NULL;`);
+    await pgPool.query(`CREATE INDEX IF NOT EXISTS idx_parcelas_grupo  ON public.parcelas (grupo_id) WHERE grupo_id IS NOT NULL;`);
+  } catch (e) {
+    console.warn('⚠️ [DB] colunas de grupo:', e?.message || e);
+  }
+
+  // Menores: idade na data do evento, faixa etária e autorização do responsável legal
+  try {
+    await ensureTablesPronto;
+    await pgPool.query(`
+      ALTER TABLE public.inscritos
+        ADD COLUMN IF NOT EXISTS idade_evento               INTEGER,
+        ADD COLUMN IF NOT EXISTS faixa_etaria               TEXT,
+        ADD COLUMN IF NOT EXISTS responsavel_legal_nome     TEXT,
+        ADD COLUMN IF NOT EXISTS responsavel_legal_cpf      TEXT,
+        ADD COLUMN IF NOT EXISTS responsavel_legal_telefone TEXT,
+        ADD COLUMN IF NOT EXISTS termo_menor_aceito_em      TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS termo_menor_ip             TEXT,
+        ADD COLUMN IF NOT EXISTS termo_menor_versao         TEXT;
+    `);
+    // quem está na fila guarda o responsável/termo até virar inscrição
+    await pgPool.query(`ALTER TABLE public.lista_espera ADD COLUMN IF NOT EXISTS dados_menor JSONB;`);
+    await pgPool.query(`CREATE INDEX IF NOT EXISTS idx_inscritos_menor ON public.inscritos (idade_evento) WHERE idade_evento < 18;`);
+  } catch (e) {
+    console.warn('⚠️ [DB] colunas de menores:', e?.message || e);
+  }
+
+  // Respostas das perguntas extras (campos_inscricao)
+  try {
+    await ensureTablesPronto;
+    await pgPool.query(`ALTER TABLE public.inscritos    ADD COLUMN IF NOT EXISTS respostas JSONB NOT NULL DEFAULT '{}'::jsonb;`);
+    await pgPool.query(`ALTER TABLE public.lista_espera ADD COLUMN IF NOT EXISTS respostas JSONB;`);
+  } catch (e) {
+    console.warn('⚠️ [DB] colunas de respostas:', e?.message || e);
+  }
+
+  // Hospedagem: sexo (restrição dos quartos) + quarto atribuído
+  try {
+    await ensureTablesPronto;
+    await pgPool.query(`
+      ALTER TABLE public.inscritos
+        ADD COLUMN IF NOT EXISTS sexo      TEXT,
+        ADD COLUMN IF NOT EXISTS quarto_id BIGINT REFERENCES public.quartos(id) ON DELETE SET NULL;
+    `);
+    await pgPool.query(`ALTER TABLE public.lista_espera ADD COLUMN IF NOT EXISTS sexo TEXT;`);
+    await pgPool.query(`CREATE INDEX IF NOT EXISTS idx_inscritos_quarto ON public.inscritos (quarto_id);`);
+  } catch (e) {
+    console.warn('⚠️ [DB] colunas de hospedagem:', e?.message || e);
+  }
+
+  // Multi-evento: cria o evento padrão com o que era config/constante do Retiro 2026
+  // e pendura nele tudo o que já existe (evento_id)
+  try {
+    await ensureTablesPronto;
+    const { rows: [{ n }] } = await pgPool.query(`SELECT COUNT(*)::int AS n FROM public.eventos`);
+    if (!n) {
+      const cfg = { ...CONFIG_PADRAO };
+      const { rows } = await pgPool.query(`SELECT chave, valor FROM public.config`);
+      for (const r of rows) if (r.chave in cfg && r.valor != null) cfg[r.chave] = r.valor;
+      await pgPool.query(`
+        INSERT INTO public.eventos
+        (slug, nome, datas, local, inicio_em, evento_data, capacidade, preco_cents, inscricoes_abertura, inscricoes_encerramento,
+         boleto_limite, reembolso_integral_ate, reembolso_parcial_ate, reembolso_parcial_pct, idade_minima, faixas_etarias,
+         sheet_id, sheet_tab)
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18)
+      `, [
+        EVENTO_PADRAO_SLUG, EVENTO_LEGADO.nome, EVENTO_LEGADO.datas, EVENTO_LEGADO.local, EVENTO_LEGADO.inicio_em,
+        cfg.evento_data || null, parseInt(cfg.capacidade, 10) || 0, parseInt(cfg.preco_cents, 10) || 0,
+        cfg.inscricoes_abertura || null, cfg.inscricoes_encerramento || null, EVENTO_LEGADO.boleto_limite,
+        cfg.reembolso_integral_ate || null, cfg.reembolso_parcial_ate || null, Number(cfg.reembolso_parcial_pct) || 0,
+        parseInt(cfg.idade_minima, 10) || 0, JSON.stringify(normalizarFaixasEtarias(cfg.faixas_etarias).faixas || []),
+        SHEET_ID, SHEET_TAB
+      ]);
+      console.log(`✅ [DB] evento padrão criado (${EVENTO_PADRAO_SLUG})`);
+    }
+    const padrao = await eventoPadrao();
+    for (const t of TABELAS_POR_EVENTO) {
+      await pgPool.query(`ALTER TABLE public.${t} ADD COLUMN IF NOT EXISTS evento_id BIGINT REFERENCES public.eventos(id);`);
+      await pgPool.query(`UPDATE public.${t} SET evento_id=$1 WHERE evento_id IS NULL`, [padrao.id]);
+      await pgPool.query(`ALTER TABLE public.${t} ALTER COLUMN evento_id SET NOT NULL;`);
+      await pgPool.query(`CREATE INDEX IF NOT EXISTS idx_${t}_evento ON public.${t} (evento_id);`);
+    }
+    // unicidades que eram globais passam a valer dentro do evento
+    await pgPool.query(`ALTER TABLE public.leads            DROP CONSTRAINT IF EXISTS leads_email_key;`);
+    await pgPool.query(`ALTER TABLE public.campos_inscricao DROP CONSTRAINT IF EXISTS campos_inscricao_chave_key;`);
+    await pgPool.query(`ALTER TABLE public.quartos          DROP CONSTRAINT IF EXISTS quartos_nome_key;`);
+    await pgPool.query(`ALTER TABLE public.cupons           DROP CONSTRAINT IF EXISTS cupons_codigo_key;`);
+    await pgPool.query(`CREATE UNIQUE INDEX IF NOT EXISTS uq_leads_evento_email  ON public.leads (evento_id, email);`);
+    await pgPool.query(`CREATE UNIQUE INDEX IF NOT EXISTS uq_campos_evento_chave ON public.campos_inscricao (evento_id, chave);`);
+    await pgPool.query(`CREATE UNIQUE INDEX IF NOT EXISTS uq_quartos_evento_nome ON public.quartos (evento_id, nome);`);
+    await pgPool.query(`CREATE UNIQUE INDEX IF NOT EXISTS uq_cupons_evento_codigo ON public.cupons (evento_id, codigo);`);
+    // idade no evento (depende do evento_id de cada inscrição)
+    const idades = await recalcularIdades(pgPool, { soFaltando: true });
+    if (idades) console.log(`✅ [DB] idade no evento calculada para ${idades} inscrito(s)`);
+  } catch (e) {
+    console.warn('⚠️ [DB] multi-evento:', e?.message || e);
+  }
+
+  // Funil: UTM em leads/inscrições/fila e lead ligado à inscrição (e-mail ou CPF)
+  try {
+    await ensureTablesPronto;
+    for (const t of ['leads', 'inscritos', 'lista_espera']) {
+      await pgPool.query(`
+        ALTER TABLE public.${t}
+          ADD COLUMN IF NOT EXISTS utm_source   TEXT,
+          ADD COLUMN IF NOT EXISTS utm_medium   TEXT,
+          ADD COLUMN IF NOT EXISTS utm_campaign TEXT;
+      `);
+    }
+    await pgPool.query(`
+      ALTER TABLE public.leads
+        ADD COLUMN IF NOT EXISTS cpf_norm     TEXT,
+        ADD COLUMN IF NOT EXISTS inscrito_id  BIGINT REFERENCES public.inscritos(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS convertido_em TIMESTAMPTZ;
+    `);
+    await pgPool.query(`CREATE INDEX IF NOT EXISTS idx_leads_inscrito ON public.leads (inscrito_id);`);
+    // leads antigos: liga a quem já se inscreveu no mesmo evento
+    const { rowCount } = await pgPool.query(`
+      UPDATE public.leads l SET inscrito_id=${sqlInscritoDoLead('l.evento_id', 'l.email', 'l.cpf_norm')}
+      WHERE l.inscrito_id IS NULL AND ${sqlInscritoDoLead('l.evento_id', 'l.email', 'l.cpf_norm')} IS NOT NULL
+    `);
+    await pgPool.query(`
+      UPDATE public.leads l SET convertido_em=i.criado_em
+      FROM public.inscritos i WHERE i.id=l.inscrito_id AND l.convertido_em IS NULL
+    `);
+    if (rowCount) console.log(`✅ [DB] ${rowCount} lead(s) ligados à inscrição`);
+  } catch (e) {
+    console.warn('⚠️ [DB] colunas do funil:', e?.message || e);
+  }
+
+  // Etiquetas livres do painel (ações em massa/filtro da lista)
+  try {
+    await ensureTablesPronto;
+    await pgPool.query(`ALTER TABLE public.inscritos ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';`);
+    await pgPool.query(`CREATE INDEX IF NOT EXISTS idx_inscritos_tags ON public.inscritos USING GIN (tags);`);
+  } catch (e) {
+    console.warn('⚠️ [DB] tags de inscritos:', e?.message || e);
+  }
+
+  // idioma dos e-mails por evento (bases criadas antes da coluna)
+  try {
+    await ensureTablesPronto;
+    await pgPool.query(`ALTER TABLE public.eventos ADD COLUMN IF NOT EXISTS idioma TEXT NOT NULL DEFAULT 'pt-BR';`);
+  } catch (e) {
+    console.warn('⚠️ [DB] idioma de eventos:', e?.message || e);
+  }
+
+  // 1 inscrição ativa por CPF em cada evento (canceladas e estornadas não contam). Se já
+  // houver duplicados na base, o índice não sobe — avisamos e seguimos (a checagem no POST cobre).
+  try {
+    await ensureTablesPronto;
+    await pgPool.query(`DROP INDEX IF EXISTS public.uq_inscritos_cpf_ativo;`);
+    await pgPool.query(`DROP INDEX IF EXISTS public.uq_inscritos_evento_cpf_ativo;`);
+    await pgPool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS uq_inscritos_evento_cpf_ocupa
+      ON public.inscritos (evento_id, cpf_norm)
+      WHERE cpf_norm IS NOT NULL AND ${OCUPA_VAGA};
+    `);
+    console.log('✅ [DB] Índice único de CPF ativo (por evento) aplicado');
+  } catch (e) {
+    console.warn('⚠️ [DB] uq_inscritos_evento_cpf_ocupa (existem CPFs duplicados ativos?):', e?.message || e);
+  }
+
+  // QRs antigos (cpf + timestamp) não resolvem ninguém: regera com token assinado
+  try {
+    await ensureTablesPronto;
+    const { rows } = await pgPool.query(`SELECT id FROM public.inscritos WHERE checkin_nonce IS NULL ORDER BY id`);
+    for (const r of rows) await gravarQRCheckin(pgPool, r.id);
+    if (rows.length) console.log(`✅ [DB] QR de check-in regerado para ${rows.length} inscrito(s)`);
+  } catch (e) {
+    console.warn('⚠️ [DB] regerar QRs de check-in:', e?.message || e);
+  }
 })();
 
 /* ======================================================================
@@ -281,7 +879,7 @@ async function asaas(pathUrl, opts = {}) {
     body: opts.body ? JSON.stringify(opts.body) : undefined
   });
   const text = await res.text();
-  if (!res.ok) throw new Error(text);
+  if (!res.ok) throw Object.assign(new Error(text), { status: res.status });
   return JSON.parse(text);
 }
 
@@ -291,6 +889,109 @@ async function asaas(pathUrl, opts = {}) {
 function normalizarCPF(cpf) {
   return (cpf || '').replace(/\D/g, '');
 }
+
+/* ======================================================================
+   VALIDAÇÃO (mesmas regras do front, mas quem manda é o servidor)
+====================================================================== */
+function cpfValido(cpf) {
+  const s = normalizarCPF(cpf);
+  if (!/^\d{11}$/.test(s)) return false;
+  if (/^(\d)\1{10}$/.test(s)) return false;
+  const dv = (len) => {
+    let soma = 0;
+    for (let i = 0; i < len; i++) soma += Number(s[i]) * (len + 1 - i);
+    const resto = (soma * 10) % 11;
+    return resto === 10 ? 0 : resto;
+  };
+  return dv(9) === Number(s[9]) && dv(10) === Number(s[10]);
+}
+
+function emailValido(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(String(email || '').trim());
+}
+
+// Telefone BR: DDD + 8/9 dígitos (aceita +55 na frente)
+function normalizarTelefone(tel) {
+  let s = String(tel || '').replace(/\D/g, '');
+  if (s.length > 11 && s.startsWith('55')) s = s.slice(2);
+  return s;
+}
+function telefoneValido(tel) {
+  return /^[1-9]{2}9?\d{8}$/.test(normalizarTelefone(tel));
+}
+
+// Aceita DD/MM/AAAA ou AAAA-MM-DD; devolve ISO (AAAA-MM-DD) ou null
+function parseNascimento(v) {
+  const s = String(v || '').trim();
+  let y, m, d;
+  let mt = s.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (mt) { [, y, m, d] = mt; }
+  else if ((mt = s.match(/^(\d{2})\/(\d{2})\/(\d{4})$/))) { [, d, m, y] = mt; }
+  else return null;
+  const dt = new Date(Date.UTC(Number(y), Number(m) - 1, Number(d)));
+  if (dt.getUTCFullYear() !== Number(y) || dt.getUTCMonth() !== Number(m) - 1 || dt.getUTCDate() !== Number(d)) return null;
+  const hoje = new Date();
+  if (dt > hoje || Number(y) < 1900) return null;
+  return `${y}-${m}-${d}`;
+}
+
+const FREQUENTA_PV = ['Sim', 'Não', 'Visitante'];
+const SEXOS = ['M', 'F'];           // quartos separados por sexo (QUARTOS)
+const FORMAS_PAGAMENTO = ['pix', 'boleto', 'cartao'];
+
+// Valida o corpo de POST /inscricao. Retorna { dados, campos } — se `campos`
+// tiver chaves, cada uma traz a mensagem do respectivo input do formulário.
+// Com o config (getConfig) também aplica as regras de idade (validarIdade); com
+// camposExtras (camposInscricao) valida as respostas das perguntas extras.
+function validarInscricao(body = {}, { cfg = null, camposExtras = null } = {}) {
+  const campos = {};
+  const txt = v => (v == null ? '' : String(v).trim());
+
+  const nome = txt(body.nome).replace(/\s+/g, ' ');
+  if (nome.length < 3) campos.nome = 'Informe o nome completo.';
+  else if (nome.length > 120) campos.nome = 'Nome muito longo.';
+
+  const cpf = txt(body.cpf);
+  if (!cpf) campos.cpf = 'Informe o CPF.';
+  else if (!cpfValido(cpf)) campos.cpf = 'CPF inválido.';
+
+  const nascimento = parseNascimento(body.nascimento);
+  if (!txt(body.nascimento)) campos.nascimento = 'Informe a data de nascimento.';
+  else if (!nascimento) campos.nascimento = 'Data de nascimento inválida (use DD/MM/AAAA).';
+
+  const email = txt(body.email).toLowerCase();
+  if (!email) campos.email = 'Informe o e-mail.';
+  else if (!emailValido(email)) campos.email = 'E-mail inválido.';
+
+  const telefone = txt(body.telefone);
+  if (!telefone) campos.telefone = 'Informe o telefone.';
+  else if (!telefoneValido(telefone)) campos.telefone = 'Telefone inválido (use DDD + número).';
+
+  const sexo = txt(body.sexo).toUpperCase();
+  if (!SEXOS.includes(sexo)) campos.sexo = 'Selecione o sexo (masculino ou feminino).';
+
+  const frequentaPV = txt(body.frequentaPV);
+  if (!FREQUENTA_PV.includes(frequentaPV)) campos.frequentaPV = 'Selecione se frequenta a Palavra Viva.';
+
+  const campus = txt(body.campus) || null;
+  if (frequentaPV === 'Sim' && !campus) campos.campus = 'Selecione qual Palavra Viva.';
+
+  const formaPagamento = txt(body.formaPagamento).toLowerCase();
+  if (!FORMAS_PAGAMENTO.includes(formaPagamento)) campos.formaPagamento = 'Selecione a forma de pagamento.';
+
+  const dados = {
+    nome, cpf, cpfNorm: normalizarCPF(cpf), nascimento, email,
+    telefone, sexo, frequentaPV, campus, formaPagamento, cupom: normalizarCupom(body.cupom) || null,
+    respostas: {}
+  };
+  if (cfg && nascimento) Object.assign(campos, validarIdade(body, dados, cfg));
+  if (camposExtras?.length) {
+    const r = validarRespostas(camposExtras, body.respostas, dados);
+    Object.assign(campos, r.campos);
+    dados.respostas = r.respostas;
+  }
+  return { campos, dados };
+}
 async function getOrCreateCustomer(nome, email, cpf) {
   const find = await asaas(`/customers?cpfCnpj=${cpf}`);
   if (find.data.length) return find.data[0];
@@ -301,706 +1002,6378 @@ async function getOrCreateCustomer(nome, email, cpf) {
 }
 
 /* ======================================================================
-   HOME
+   EVENTOS — cada retiro/conferência tem sua linha em public.eventos
+   (capacidade + janela de inscrições + preço + reembolso + marca)
+   - inscritos, parcelas, grupos, leads, lista de espera, lotes, cupons, campos e
+     quartos carregam evento_id; públicas aceitam /e/:slug/..., e sem slug
+     caem no evento padrão (EVENTO_SLUG) — a landing antiga segue funcionando
+   - preço em centavos; é a base do status de pagamento
+   - política de reembolso: 100% até reembolso_integral_ate, reembolso_parcial_pct
+     até reembolso_parcial_ate, nada depois (datas vazias = faixa desligada)
+   - evento_data: dia em que a idade é calculada; idade_minima (0 = sem mínimo);
+     faixas_etarias: JSON (ver MENORES DE IDADE)
+   - CONFIG_PADRAO/EVENTO_LEGADO só semeiam o evento padrão na 1ª subida
+     (junto com o que houver em public.config)
 ====================================================================== */
-app.get('/', (_req, res) => {
-  res.send('🔥 Backend Retiro rodando (PostgreSQL + Sheets backup)');
-});
+const CONFIG_PADRAO = {
+  capacidade: process.env.EVENTO_CAPACIDADE || '115',
+  inscricoes_abertura: process.env.INSCRICOES_ABERTURA || '',
+  inscricoes_encerramento: process.env.INSCRICOES_ENCERRAMENTO || '2026-04-03T18:00:00-03:00',
+  preco_cents: process.env.EVENTO_PRECO_CENTS || '32000',
+  reembolso_integral_ate: process.env.REEMBOLSO_INTEGRAL_ATE || '',
+  reembolso_parcial_ate: process.env.REEMBOLSO_PARCIAL_ATE || '',
+  reembolso_parcial_pct: process.env.REEMBOLSO_PARCIAL_PCT || '50',
+  evento_data: process.env.EVENTO_DATA || '2026-04-03',
+  idade_minima: process.env.IDADE_MINIMA || '0',
+  faixas_etarias: process.env.FAIXAS_ETARIAS || '[]'
+};
 
-/* ======================================================================
-   HEALTHCHECK (DB + Sheets)
-====================================================================== */
-app.get('/health', async (_req, res) => {
-  const out = { ok: true, db: false, sheets: !!sheets };
+const EVENTO_PADRAO_SLUG = process.env.EVENTO_SLUG || 'retiro-2026';
+const EVENTO_LEGADO = {
+  nome: process.env.EVENTO_NOME || 'Retiro 2026 — Até Quando?',
+  datas: process.env.EVENTO_DATAS || '03 a 05 de Abril de 2026',
+  local: process.env.EVENTO_LOCAL || 'Palhoça - SC',
+  inicio_em: process.env.EVENTO_INICIO || '2026-04-03T18:00:00-03:00',
+  boleto_limite: process.env.BOLETO_LIMITE || '2026-04-01'
+};
+
+const TABELAS_POR_EVENTO = ['inscritos', 'parcelas', 'grupos', 'leads', 'lista_espera', 'lotes', 'cupons', 'campos_inscricao', 'quartos'];
+const SLUG_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+async function buscarEvento(db = pgPool, { id, slug } = {}) {
+  if (id != null) {
+    const { rows } = await db.query(`SELECT * FROM public.eventos WHERE id=$1`, [id]);
+    return rows[0] || null;
+  }
+  if (slug) {
+    const { rows } = await db.query(`SELECT * FROM public.eventos WHERE slug=$1`, [String(slug).toLowerCase()]);
+    return rows[0] || null;
+  }
+  return eventoPadrao(db);
+}
+
+// Evento de quem não diz qual: o do EVENTO_SLUG; sem ele, o mais antigo ativo
+async function eventoPadrao(db = pgPool) {
+  const { rows } = await db.query(`
+    SELECT * FROM public.eventos
+    ORDER BY (slug = $1) DESC, ativo DESC, id ASC
+    LIMIT 1
+  `, [EVENTO_PADRAO_SLUG]);
+  return rows[0] || null;
+}
+
+// Públicas: /e/:slug/... escolhe o evento; sem slug, o padrão
+async function comEvento(req, res, next) {
   try {
-    await pgPool.query('SELECT 1');
-    out.db = true;
-  } catch {
-    out.ok = false;
+    const ev = await buscarEvento(pgPool, { slug: req.params.slug });
+    if (!ev || (req.params.slug && !ev.ativo)) return res.status(404).json({ erro: 'Evento não encontrado.' });
+    req.evento = ev;
+    next();
+  } catch (e) {
+    console.error('❌ evento:', e?.message || e);
+    res.status(500).json({ erro: 'Erro ao carregar o evento.' });
   }
-  res.json(out);
-});
+}
+
+// Mesmo formato de sempre (capacidade, abertura, preço...), agora lido do evento
+async function getConfig(db = pgPool, eventoId = null) {
+  const ev = await buscarEvento(db, { id: eventoId });
+  if (!ev) throw new Error('Nenhum evento cadastrado');
+  const data = v => {
+    if (!v) return null;
+    const d = new Date(v);
+    return isNaN(d) ? null : d;
+  };
+  return {
+    evento_id: Number(ev.id),
+    slug: ev.slug,
+    nome: ev.nome,
+    datas: ev.datas,
+    local: ev.local,
+    inicio_em: data(ev.inicio_em),
+    boleto_limite: ev.boleto_limite ? dataISO(ev.boleto_limite) : null,
+    sheet_id: ev.sheet_id || null,
+    sheet_tab: ev.sheet_tab || null,
+    marca: ev.marca || {},
+    capacidade: Math.max(0, parseInt(ev.capacidade, 10) || 0),
+    abertura: data(ev.inscricoes_abertura),
+    encerramento: data(ev.inscricoes_encerramento),
+    preco_cents: Math.max(0, parseInt(ev.preco_cents, 10) || 0),
+    reembolso_integral_ate: data(ev.reembolso_integral_ate),
+    reembolso_parcial_ate: data(ev.reembolso_parcial_ate),
+    reembolso_parcial_pct: Math.min(100, Math.max(0, Number(ev.reembolso_parcial_pct) || 0)),
+    evento_data: ev.evento_data ? new Date(`${dataISO(ev.evento_data)}T00:00:00Z`) : null,
+    idade_minima: Math.max(0, parseInt(ev.idade_minima, 10) || 0),
+    faixas_etarias: normalizarFaixasEtarias(ev.faixas_etarias).faixas || []
+  };
+}
+
+// DATE do pg vem como Date à meia-noite local: devolve só o AAAA-MM-DD
+function dataISO(v) {
+  if (!(v instanceof Date)) return String(v).slice(0, 10);
+  const p = n => String(n).padStart(2, '0');
+  return `${v.getFullYear()}-${p(v.getMonth() + 1)}-${p(v.getDate())}`;
+}
+
+// Contagem de vagas: canceladas e estornadas não ocupam vaga; ofertas da lista de espera
+// ainda dentro do prazo seguram a vaga de quem foi chamado.
+async function contarVagas(db = pgPool, eventoId = null) {
+  const cfg = await getConfig(db, eventoId);
+  const { rows } = await db.query(`
+    SELECT
+      (SELECT COUNT(*) FROM public.inscritos WHERE evento_id=$1 AND ${OCUPA_VAGA})::int AS ativos,
+      (SELECT COUNT(*) FROM public.inscritos WHERE evento_id=$1 AND status = 'quitado')::int                 AS pagos,
+      (SELECT COUNT(*) FROM public.lista_espera
+        WHERE evento_id=$1 AND status = 'oferecido' AND oferta_expira_em > NOW())::int                       AS reservadas,
+      (SELECT COUNT(*) FROM public.lista_espera WHERE evento_id=$1 AND status = 'aguardando')::int           AS fila
+  `, [cfg.evento_id]);
+  const { ativos = 0, pagos = 0, reservadas = 0, fila = 0 } = rows[0] || {};
+  const livres = Math.max(0, cfg.capacidade - ativos - reservadas);
+
+  const agora = new Date();
+  let motivo = null;
+  if (cfg.abertura && agora < cfg.abertura) motivo = 'nao_aberto';
+  else if (cfg.encerramento && agora >= cfg.encerramento) motivo = 'encerrado';
+  else if (livres <= 0 || fila > 0) motivo = 'lotado'; // quem chega agora vai pra fila
+
+  return {
+    evento_id: cfg.evento_id,
+    total: cfg.capacidade,
+    inscritos: ativos,
+    pagos,
+    pendentes: ativos - pagos,
+    reservadas,
+    restantes: fila > 0 ? 0 : livres,
+    lista_espera: fila,
+    aberto: !motivo,
+    motivo,
+    abertura: cfg.abertura ? cfg.abertura.toISOString() : null,
+    encerramento: cfg.encerramento ? cfg.encerramento.toISOString() : null,
+    preco_cents: cfg.preco_cents,
+    reembolso: {
+      integral_ate: cfg.reembolso_integral_ate ? cfg.reembolso_integral_ate.toISOString() : null,
+      parcial_ate: cfg.reembolso_parcial_ate ? cfg.reembolso_parcial_ate.toISOString() : null,
+      parcial_pct: cfg.reembolso_parcial_pct
+    },
+    evento_data: cfg.evento_data ? cfg.evento_data.toISOString().slice(0, 10) : null,
+    idade_minima: cfg.idade_minima,
+    maioridade: MAIORIDADE,
+    faixas_etarias: cfg.faixas_etarias
+  };
+}
+
+// Dados exibidos no ingresso, e-mails e landing (sem segredos: sheet fica de fora)
+function eventoPublico(ev) {
+  return {
+    id: Number(ev.id),
+    slug: ev.slug,
+    nome: ev.nome,
+    datas: ev.datas || '',
+    local: ev.local || '',
+    inicio_em: ev.inicio_em ? new Date(ev.inicio_em).toISOString() : null,
+    preco_cents: Number(ev.preco_cents) || 0,
+    boleto_limite: ev.boleto_limite ? dataISO(ev.boleto_limite) : null,
+    marca: ev.marca || {}
+  };
+}
+
+const MOTIVOS_FECHADO = {
+  nao_aberto: 'As inscrições ainda não foram abertas.',
+  encerrado: 'Inscrições encerradas — prazo finalizado.',
+  lotado: 'Inscrições encerradas — vagas esgotadas.'
+};
 
 /* ======================================================================
-   EMAILS — LEAD (admin + inscrito, consolidado) e INSCRIÇÃO
+   MENORES DE IDADE — idade no dia do evento + autorização do responsável
+   - idade calculada na evento_data do evento (não na data da inscrição)
+   - menor de MAIORIDADE: nome, CPF e telefone do responsável legal + termo
+     aceito; a inscrição guarda quando, de qual IP e qual versão do termo
+   - faixas_etarias: [{ nome, idade_min, idade_max?, preco_cents? }]; a 1ª que
+     contém a idade dá o nome (filtros/relatórios) e, com preco_cents, troca
+     o preço do lote (cupom continua valendo por cima)
+   - idade_minima > 0 recusa quem não tem a idade no dia do evento
 ====================================================================== */
-async function enviarEmailsDeLead(lead) {
-  const results = [];
-  try {
-    const apiKey   = (process.env.RESEND_API_KEY || '').trim();
-    const fromAddr = (process.env.EMAIL_FROM || 'retirorpulse@resend.dev').trim();
-    const admins = (process.env.EMAIL_NOTIFICAR || '')
-      .split(',').map(s => s.trim()).filter(Boolean);
+const MAIORIDADE = 18;
+const TERMO_MENOR_VERSAO = (process.env.TERMO_MENOR_VERSAO || '2026-01').trim();
 
-    if (!apiKey || admins.length === 0) {
-      console.warn('⚠️ RESEND_API_KEY/EMAIL_NOTIFICAR ausentes – pulando envio de email (lead).');
-      return;
-    }
+// Idade completa em `data` para nascimento ISO (AAAA-MM-DD); null se não dá pra saber
+function idadeEm(nascimento, data) {
+  const m = String(nascimento || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m || !data) return null;
+  const [ano, mes, dia] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  const ref = new Date(data);
+  let idade = ref.getUTCFullYear() - ano;
+  const mesRef = ref.getUTCMonth() + 1;
+  if (mesRef < mes || (mesRef === mes && ref.getUTCDate() < dia)) idade--;
+  return idade;
+}
 
-    // 1 único envio: admin(s) + inscrito
-    const destinatarios = [...admins, (lead.email || '').trim()].filter(Boolean);
-
-    const r = await fetch('https://api.resend.com/emails', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        from: fromAddr,
-        to: destinatarios,
-        subject: 'Sua inscrição foi recebida! 🙌',
-        html: `
-          <h2>Inscrição recebida</h2>
-          <p><b>Nome:</b> ${lead.name}</p>
-          <p><b>E-mail:</b> ${lead.email}</p>
-          <p><b>Telefone:</b> ${lead.phone || '—'}</p>
-          <p><b>Origem:</b> ${lead.source || 'landing'}</p>
-          <hr/>
-          <p>Registrado em: ${lead.created_at}</p>
-        `
-      })
-    });
-    const text = await r.text();
-    let body; try { body = JSON.parse(text); } catch { body = { raw: text }; }
-    results.push({ to: destinatarios, ok: r.ok, status: r.status, body });
-    if (!r.ok) throw new Error(`Resend falhou (lead) status ${r.status}`);
-    console.log('📧 Emails (lead) enviados:', JSON.stringify(results));
-  } catch (e) {
-    console.error('❌ Erro ao enviar emails (lead):', e?.message || e);
-    if (results.length) console.error('Detalhes (lead):', JSON.stringify(results));
+// Aceita lista ou JSON; { faixas } ou { erro } (usado pelo getConfig e pelo PUT do config)
+function normalizarFaixasEtarias(v) {
+  let lista = v;
+  if (typeof v === 'string') {
+    try { lista = v.trim() ? JSON.parse(v) : []; } catch { return { erro: 'faixas_etarias: JSON inválido' }; }
+  }
+  if (!Array.isArray(lista)) return { erro: 'faixas_etarias: use uma lista' };
+  const vazio = x => x == null || x === '';
+  const faixas = [];
+  for (const [k, f] of lista.entries()) {
+    const nome = String(f?.nome || '').trim().slice(0, 40);
+    const min = vazio(f?.idade_min) ? 0 : Number(f.idade_min);
+    const max = vazio(f?.idade_max) ? null : Number(f.idade_max);
+    const preco = vazio(f?.preco_cents) ? null : Number(f.preco_cents);
+    if (!nome) return { erro: `faixas_etarias: faixa ${k + 1} sem nome` };
+    if (!Number.isInteger(min) || min < 0 || (max != null && (!Number.isInteger(max) || max < min))) {
+      return { erro: `faixas_etarias: idades inválidas na faixa ${k + 1}` };
+    }
+    if (preco != null && (!Number.isInteger(preco) || preco < 0)) {
+      return { erro: `faixas_etarias: preco_cents inválido na faixa ${k + 1}` };
+    }
+    faixas.push({ nome, idade_min: min, idade_max: max, preco_cents: preco });
   }
+  return { faixas };
 }
 
-async function enviarEmailInscricao({ nome, email, telefone, formaPagamento }) {
-  const results = [];
-  try {
-    const apiKey   = (process.env.RESEND_API_KEY || '').trim();
-    const fromAddr = (process.env.EMAIL_FROM || 'retirorpulse@resend.dev').trim();
-    const admins = (process.env.EMAIL_NOTIFICAR || '')
-      .split(',').map(s => s.trim()).filter(Boolean);
+function faixaEtaria(cfg, idade) {
+  if (idade == null) return null;
+  return cfg.faixas_etarias.find(f => idade >= f.idade_min && (f.idade_max == null || idade <= f.idade_max)) || null;
+}
 
-    if (!apiKey || admins.length === 0) {
-      console.warn('⚠️ RESEND_API_KEY/EMAIL_NOTIFICAR ausentes – pulando envio de email (inscrição).');
-      return;
-    }
+// idade/faixa/menor a partir do nascimento (não valida nada)
+function completarIdade(dados, cfg) {
+  dados.idade = idadeEm(dados.nascimento, cfg.evento_data);
+  dados.faixaEtaria = faixaEtaria(cfg, dados.idade)?.nome || null;
+  dados.menor = dados.idade != null && dados.idade < MAIORIDADE;
+  return dados;
+}
 
-    const destinatarios = [...admins, (email || '').trim()].filter(Boolean);
-
-    const r = await fetch('https://api.resend.com/emails', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        from: fromAddr,
-        to: destinatarios,
-        subject: 'Inscrição confirmada (Retiro 2026)',
-        html: `
-          <h2>Nova inscrição</h2>
-          <p><b>Nome:</b> ${nome}</p>
-          <p><b>E-mail:</b> ${email || '—'}</p>
-          <p><b>Telefone:</b> ${telefone || '—'}</p>
-          <p><b>Forma de pagamento:</b> ${(formaPagamento || '—').toUpperCase()}</p>
-          <hr/>
-          <p>Registrado em: ${new Date().toISOString()}</p>
-        `
-      })
-    });
-    const text = await r.text();
-    let body; try { body = JSON.parse(text); } catch { body = { raw: text }; }
-    results.push({ to: destinatarios, ok: r.ok, status: r.status, body });
-    if (!r.ok) throw new Error(`Resend falhou (inscrição) status ${r.status}`);
-    console.log('📧 Emails (inscrição) enviados:', JSON.stringify(results));
-  } catch (e) {
-    console.error('❌ Erro ao enviar emails (inscrição):', e?.message || e);
+// Regras de idade sobre os dados já validados; completa `dados` com idade,
+// faixa e responsável legal e devolve os erros por campo
+function validarIdade(body, dados, cfg) {
+  const campos = {};
+  const txt = v => (v == null ? '' : String(v).trim());
+  completarIdade(dados, cfg);
+  dados.responsavelLegal = null;
+  if (dados.idade == null) return campos;
+  if (cfg.idade_minima && dados.idade < cfg.idade_minima) {
+    campos.nascimento = `Idade mínima: ${cfg.idade_minima} anos na data do evento.`;
+    return campos;
+  }
+  if (!dados.menor) return campos;
+
+  const nome = txt(body.responsavelNome).replace(/\s+/g, ' ');
+  const cpf = txt(body.responsavelCpf);
+  const telefone = txt(body.responsavelTelefone);
+  if (nome.length < 3) campos.responsavelNome = 'Informe o nome do responsável legal.';
+  if (!cpfValido(cpf)) campos.responsavelCpf = 'CPF do responsável inválido.';
+  else if (normalizarCPF(cpf) === dados.cpfNorm) campos.responsavelCpf = 'O responsável legal precisa ser outra pessoa.';
+  if (!telefoneValido(telefone)) campos.responsavelTelefone = 'Telefone do responsável inválido (use DDD + número).';
+  if (body.termoMenor !== true && body.termoMenor !== 'true') {
+    campos.termoMenor = 'O responsável precisa aceitar o termo de autorização.';
+  }
+  dados.responsavelLegal = { nome, cpf: normalizarCPF(cpf), telefone };
+  return campos;
+}
+
+// Recalcula idade_evento/faixa_etaria (data do evento ou faixas mudaram, nascimento editado).
+// soFaltando: só quem ainda não tem idade; eventoId: só um evento. Devolve quantos mudaram.
+async function recalcularIdades(db = pgPool, { id = null, soFaltando = false, eventoId = null } = {}) {
+  const where = [];
+  const args = [];
+  if (id) { args.push(id); where.push(`id=$${args.length}`); }
+  if (eventoId) { args.push(eventoId); where.push(`evento_id=$${args.length}`); }
+  if (soFaltando) where.push('idade_evento IS NULL');
+  const { rows } = await db.query(`
+    SELECT id, evento_id, nascimento, idade_evento, faixa_etaria FROM public.inscritos
+    ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+  `, args);
+  const cfgs = new Map();
+  let n = 0;
+  for (const r of rows) {
+    if (!cfgs.has(r.evento_id)) cfgs.set(r.evento_id, await getConfig(db, r.evento_id));
+    const d = completarIdade({ nascimento: parseNascimento(r.nascimento) }, cfgs.get(r.evento_id));
+    if (d.idade === r.idade_evento && d.faixaEtaria === r.faixa_etaria) continue;
+    await db.query(`UPDATE public.inscritos SET idade_evento=$2, faixa_etaria=$3 WHERE id=$1`, [r.id, d.idade, d.faixaEtaria]);
+    n++;
   }
+  return n;
 }
 
 /* ======================================================================
-   INSCRIÇÃO (manual: sem disparar pagamentos) — envia e-mail e evento
+   CAMPOS PERSONALIZADOS — perguntas extras do formulário (painel)
+   - tipos: texto, texto_longo, numero, data, selecao, multipla, sim_nao
+   - visivel_se { campo, valores }: campo é um dos CAMPOS_CONDICAO ou a chave
+     de outra pergunta (que venha antes na ordem); escondida => não obrigatória
+     e a resposta é descartada
+   - respostas validadas ficam em inscritos.respostas (JSONB, por chave);
+     perguntas desativadas somem do formulário mas as respostas continuam lá
 ====================================================================== */
-app.post('/inscricao', async (req, res) => {
-  try {
-    const {
-      nome, cpf, nascimento, email, telefone, frequentaPV, campus, formaPagamento
-    } = req.body || {};
+const TIPOS_CAMPO = ['texto', 'texto_longo', 'numero', 'data', 'selecao', 'multipla', 'sim_nao'];
+const CAMPOS_CONDICAO = ['frequentaPV', 'campus', 'formaPagamento'];
 
-    const cpfNorm = normalizarCPF(cpf);
-    const qr = await QRCode.toDataURL(cpfNorm + '-' + Date.now());
+async function camposInscricao(db = pgPool, { eventoId, todos = false } = {}) {
+  const { rows } = await db.query(`
+    SELECT id, chave, rotulo, tipo, opcoes, obrigatorio, visivel_se, ajuda, ordem, ativo
+    FROM public.campos_inscricao WHERE evento_id=$1 ${todos ? '' : 'AND ativo'}
+    ORDER BY ordem, id
+  `, [eventoId]);
+  return rows;
+}
 
-    const insertSQL = `
-      INSERT INTO public.inscritos
-      (nome, cpf, cpf_norm, nascimento, email, telefone, frequentaPV, campus, qrcode, status, forma_pagamento)
-      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
-      RETURNING id;
-    `;
-    const { rows } = await pgPool.query(insertSQL, [
-      nome || null,
-      cpf || null,
-      cpfNorm || null,
-      nascimento || null,
-      email || null,
-      telefone || null,
-      frequentaPV || null,
-      campus || null,
-      qr,
-      'pendente_pagamento',
-      formaPagamento || null
-    ]);
+function campoVisivel(c, dados, respostas) {
+  const cond = c.visivel_se;
+  if (!cond?.campo) return true;
+  const atual = CAMPOS_CONDICAO.includes(cond.campo) ? dados[cond.campo] : respostas[cond.campo];
+  const valores = (cond.valores || []).map(String);
+  if (Array.isArray(atual)) return atual.some(v => valores.includes(String(v)));
+  if (typeof atual === 'boolean') return valores.includes(atual ? 'Sim' : 'Não');
+  return atual != null && valores.includes(String(atual));
+}
 
-    const id = rows[0].id;
-
-    // e-mail admin + inscrito (não bloqueante)
-    enviarEmailInscricao({ nome, email, telefone, formaPagamento }).catch(console.error);
-    // tempo real no painel
-    emitEvent('inscrito:new', { id, nome, email, formaPagamento });
-
-    // backup best-effort (não bloqueia resposta)
-    salvarBackupSheets({
-      id,
-      nome,
-      cpf,
-      nascimento,
-      email,
-      telefone,
-      frequentaPV,
-      campus,
-      formaPagamento,
-      status: 'pendente_pagamento'
-    }).catch(() => {});
-
-    res.json({ id });
-  } catch (e) {
-    console.error('[INSCRICAO] erro:', e?.message || e);
+// { campos: { 'respostas.<chave>': msg }, respostas } — só guarda pergunta conhecida e visível
+function validarRespostas(defs, entrada, dados) {
+  const campos = {};
+  const respostas = {};
+  const bruto = entrada && typeof entrada === 'object' ? entrada : {};
+  for (const c of defs) {
+    if (!campoVisivel(c, dados, respostas)) continue;
+    const chave = `respostas.${c.chave}`;
+    let v = typeof bruto[c.chave] === 'string' ? bruto[c.chave].trim() : bruto[c.chave];
+    if (v == null || v === '' || (Array.isArray(v) && !v.length)) {
+      if (c.obrigatorio) campos[chave] = `${c.rotulo}: resposta obrigatória.`;
+      continue;
+    }
+    const opcoes = (c.opcoes || []).map(String);
+    if (c.tipo === 'texto' || c.tipo === 'texto_longo') {
+      v = String(v).slice(0, c.tipo === 'texto' ? 200 : 2000);
+    } else if (c.tipo === 'numero') {
+      v = Number(String(v).replace(',', '.'));
+      if (!Number.isFinite(v)) { campos[chave] = `${c.rotulo}: informe um número.`; continue; }
+    } else if (c.tipo === 'data') {
+      const d = new Date(`${String(v).slice(0, 10)}T00:00:00Z`);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(String(v)) || isNaN(d) || d.toISOString().slice(0, 10) !== v) {
+        campos[chave] = `${c.rotulo}: data inválida.`; continue;
+      }
+    } else if (c.tipo === 'selecao') {
+      v = String(v);
+      if (!opcoes.includes(v)) { campos[chave] = `${c.rotulo}: opção inválida.`; continue; }
+    } else if (c.tipo === 'multipla') {
+      v = [...new Set((Array.isArray(v) ? v : [v]).map(String))];
+      if (v.some(x => !opcoes.includes(x))) { campos[chave] = `${c.rotulo}: opção inválida.`; continue; }
+    } else if (c.tipo === 'sim_nao') {
+      const t = String(v).toLowerCase();
+      if (['true', 'sim', 's'].includes(t)) v = true;
+      else if (['false', 'não', 'nao', 'n'].includes(t)) v = false;
+      else { campos[chave] = `${c.rotulo}: responda sim ou não.`; continue; }
+    }
+    respostas[c.chave] = v;
+  }
+  return { campos, respostas };
+}
+
+// Resposta como texto (CSV, drawer)
+function formatarResposta(v) {
+  if (v == null) return '';
+  if (Array.isArray(v)) return v.join(', ');
+  if (typeof v === 'boolean') return v ? 'Sim' : 'Não';
+  return String(v);
+}
+
+// Landing monta o formulário a partir daqui
+app.get(['/inscricao/campos', '/e/:slug/inscricao/campos'], comEvento, async (req, res) => {
+  try {
+    const campos = await camposInscricao(pgPool, { eventoId: req.evento.id });
+    res.json({ campos: campos.map(({ id, ativo, ...c }) => c) });
+  } catch (e) {
+    console.error('[CAMPOS] listar:', e?.message || e);
+    res.status(500).json({ erro: 'Falha ao carregar o formulário' });
+  }
+});
+
+/* ======================================================================
+   PREÇOS — lotes + cupons
+   - lote vigente: o 1º ativo (por ordem) dentro da janela de datas e com
+     limite_inscricoes ainda não atingido; sem lote => preco_cents do evento
+   - cupom: percentual (valor = %), valor (desconto em centavos) ou preco
+     (preço final fixo — staff/voluntários); limite de usos conta inscrições
+     não canceladas; campus opcional
+   - a inscrição grava lote, preço base, desconto, cupom e preço final:
+     PIX, boleto, status de pagamento e relatórios usam esse preço
+====================================================================== */
+const TIPOS_CUPOM = ['percentual', 'valor', 'preco'];
+const MOTIVOS_CUPOM = {
+  inexistente: 'Cupom não encontrado.',
+  inativo: 'Cupom inativo.',
+  nao_iniciado: 'Cupom ainda não está valendo.',
+  expirado: 'Cupom expirado.',
+  esgotado: 'Cupom esgotado.',
+  campus: 'Cupom não vale para este campus.'
+};
+
+function normalizarCupom(c) {
+  return String(c || '').trim().toUpperCase().replace(/\s+/g, '');
+}
+
+async function loteVigente(db = pgPool, eventoId) {
+  const { rows } = await db.query(`
+    SELECT l.id, l.nome, l.preco_cents, l.inicio, l.fim, l.limite_inscricoes,
+           (SELECT COUNT(*) FROM public.inscritos i
+             WHERE i.lote_id=l.id AND COALESCE(i.status,'') <> 'cancelado')::int AS usados
+    FROM public.lotes l
+    WHERE l.evento_id=$1 AND l.ativo
+      AND (l.inicio IS NULL OR l.inicio <= NOW())
+      AND (l.fim IS NULL OR l.fim > NOW())
+    ORDER BY l.ordem, l.id
+  `, [eventoId]);
+  return rows.find(l => l.limite_inscricoes == null || l.usados < l.limite_inscricoes) || null;
+}
+
+// { cupom } ou { motivo } (chave de MOTIVOS_CUPOM); cupom de outro evento não existe aqui
+async function validarCupom(db, eventoId, codigo, campus) {
+  const { rows } = await db.query(`
+    SELECT c.*,
+           (SELECT COUNT(*) FROM public.inscritos i
+             WHERE i.cupom_codigo=c.codigo AND i.evento_id=c.evento_id AND COALESCE(i.status,'') <> 'cancelado')::int AS usados
+    FROM public.cupons c WHERE c.codigo=$1 AND c.evento_id=$2
+  `, [normalizarCupom(codigo), eventoId]);
+  const c = rows[0];
+  const agora = new Date();
+  if (!c) return { motivo: 'inexistente' };
+  if (!c.ativo) return { motivo: 'inativo' };
+  if (c.validade_inicio && agora < new Date(c.validade_inicio)) return { motivo: 'nao_iniciado' };
+  if (c.validade_fim && agora >= new Date(c.validade_fim)) return { motivo: 'expirado' };
+  if (c.limite_usos != null && c.usados >= c.limite_usos) return { motivo: 'esgotado' };
+  if (c.campus?.length) {
+    const alvo = String(campus || '').trim().toLowerCase();
+    if (!c.campus.some(x => String(x).trim().toLowerCase() === alvo)) return { motivo: 'campus' };
+  }
+  return { cupom: c };
+}
+
+function descontoCupom(baseCents, c) {
+  if (!c) return 0;
+  const d = c.tipo === 'percentual' ? Math.round(baseCents * Math.min(100, c.valor) / 100)
+          : c.tipo === 'valor'      ? c.valor
+          : baseCents - c.valor; // preco: preço final fixo
+  return Math.max(0, Math.min(baseCents, d));
+}
+
+// Cotação: usada pela landing (GET /precos/cotacao) e gravada no /inscricao.
+// Com nascimento, a faixa etária com preço próprio substitui o do lote.
+async function cotarPreco(db = pgPool, { eventoId = null, campus = null, cupom = null, nascimento = null } = {}) {
+  const cfg = await getConfig(db, eventoId);
+  const lote = await loteVigente(db, cfg.evento_id);
+  const idade = idadeEm(nascimento, cfg.evento_data);
+  const faixa = faixaEtaria(cfg, idade);
+  const base = faixa?.preco_cents != null ? faixa.preco_cents : (lote ? lote.preco_cents : cfg.preco_cents);
+  const out = {
+    lote: lote ? { id: Number(lote.id), nome: lote.nome, fim: lote.fim } : null,
+    idade,
+    faixa: faixa ? { nome: faixa.nome, preco_proprio: faixa.preco_cents != null } : null,
+    preco_base_cents: base, desconto_cents: 0, preco_cents: base, cupom: null, cupom_erro: null
+  };
+  if (!normalizarCupom(cupom)) return out;
+
+  const v = await validarCupom(db, cfg.evento_id, cupom, campus);
+  if (v.motivo) {
+    out.cupom_erro = MOTIVOS_CUPOM[v.motivo];
+    out.cupom_motivo = v.motivo;
+    return out;
+  }
+  out.cupom = { codigo: v.cupom.codigo, descricao: v.cupom.descricao, tipo: v.cupom.tipo };
+  out.desconto_cents = descontoCupom(base, v.cupom);
+  out.preco_cents = base - out.desconto_cents;
+  return out;
+}
+
+// Preço gravado na inscrição (inscrições antigas, sem preço, usam o do evento)
+async function precoDoInscrito(i) {
+  return i?.preco_cents != null ? Number(i.preco_cents) : (await getConfig(pgPool, i?.evento_id)).preco_cents;
+}
+
+/* ======================================================================
+   QR DE CHECK-IN (token assinado)
+   - formato: <id>.<nonce>.<assinatura>  (HMAC-SHA256 com CHECKIN_SECRET)
+   - nonce fica em inscritos.checkin_nonce: trocar o nonce invalida o QR antigo
+   - sem CHECKIN_SECRET no env, gera um e guarda em public.config (os QRs
+     continuam válidos após restart)
+====================================================================== */
+let checkinSecret = (process.env.CHECKIN_SECRET || '').trim() || null;
+async function segredoCheckin() {
+  if (checkinSecret) return checkinSecret;
+  const novo = crypto.randomBytes(32).toString('hex');
+  await pgPool.query(`
+    INSERT INTO public.config (chave, valor) VALUES ('checkin_secret', $1)
+    ON CONFLICT (chave) DO NOTHING
+  `, [novo]);
+  const { rows } = await pgPool.query(`SELECT valor FROM public.config WHERE chave='checkin_secret'`);
+  checkinSecret = rows[0].valor;
+  return checkinSecret;
+}
+
+async function assinarCheckin(id, nonce) {
+  const sig = crypto.createHmac('sha256', await segredoCheckin()).update(`${id}.${nonce}`).digest('base64url');
+  return `${id}.${nonce}.${sig.slice(0, 22)}`;
+}
+
+// Devolve { id, nonce } se a assinatura bate; null caso contrário
+async function verificarTokenCheckin(token) {
+  const m = String(token || '').trim().match(/^(\d+)\.([A-Za-z0-9_-]{8,32})\.([A-Za-z0-9_-]{22})$/);
+  if (!m) return null;
+  const esperado = Buffer.from(await assinarCheckin(m[1], m[2]));
+  const recebido = Buffer.from(m[0]);
+  if (esperado.length !== recebido.length || !crypto.timingSafeEqual(esperado, recebido)) return null;
+  return { id: Number(m[1]), nonce: m[2] };
+}
+
+// Gera nonce novo + QR (data URL) e grava no inscrito
+async function gravarQRCheckin(db, id) {
+  const nonce = crypto.randomBytes(9).toString('base64url');
+  const token = await assinarCheckin(id, nonce);
+  const qr = await QRCode.toDataURL(token, { margin: 1, width: 320 });
+  await db.query(`UPDATE public.inscritos SET qrcode=$2, checkin_nonce=$3 WHERE id=$1`, [id, qr, nonce]);
+  return { token, qr };
+}
+
+/* ======================================================================
+   HOME
+====================================================================== */
+app.get('/', (_req, res) => {
+  res.send('🔥 Backend Retiro rodando (PostgreSQL + Sheets backup)');
+});
+
+/* ======================================================================
+   HEALTHCHECK (DB + Sheets)
+====================================================================== */
+app.get('/health', async (_req, res) => {
+  const out = { ok: true, db: false, sheets: !!sheets };
+  try {
+    await pgPool.query('SELECT 1');
+    out.db = true;
+  } catch {
+    out.ok = false;
+  }
+  res.json(out);
+});
+
+/* ======================================================================
+   EMAIL — templates + outbox (email_outbox) + worker com retentativas
+   - todo envio vira uma linha na outbox (render feito na hora de enfileirar)
+   - worker envia via Resend; falha => nova tentativa com backoff exponencial
+   - templates padrão ficam aqui; public.email_templates sobrepõe (painel)
+   - {{var}} é escapado (HTML); {{{var}}} entra cru — só p/ HTML montado aqui
+   - idioma: o do evento (eventos.idioma); template sem a versão cai no pt-BR.
+     Valor em dados como { 'pt-BR': ..., en: ... } é resolvido no idioma do envio
+   - testes locais: RESEND_API_URL=http://localhost:4010/emails + `npm run email:stub`
+====================================================================== */
+const RESEND_API_URL = (process.env.RESEND_API_URL || 'https://api.resend.com/emails').trim();
+const EMAIL_MAX_TENTATIVAS = Math.max(1, parseInt(process.env.EMAIL_MAX_TENTATIVAS || '6', 10) || 6);
+const IDIOMAS_EMAIL = ['pt-BR', 'en'];
+
+function escapeHtml(v) {
+  return String(v == null ? '' : v)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function renderTemplate(tpl, dados, { html = true } = {}) {
+  return String(tpl || '').replace(/\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g, (_, cru, esc) => {
+    if (cru) return dados[cru] == null ? '' : String(dados[cru]);
+    const v = dados[esc] == null ? '' : dados[esc];
+    return html ? escapeHtml(v) : String(v);
+  });
+}
+
+const TEMPLATES_EMAIL = {
+  lead_recebido: {
+    'pt-BR': {
+      assunto: 'Sua inscrição foi recebida! 🙌',
+      html: `
+        <h2>Inscrição recebida</h2>
+        <p><b>Nome:</b> {{nome}}</p>
+        <p><b>E-mail:</b> {{email}}</p>
+        <p><b>Telefone:</b> {{telefone}}</p>
+        <p><b>Origem:</b> {{origem}}</p>
+        <hr/>
+        <p>Registrado em: {{registrado_em}}</p>
+      `
+    },
+    en: {
+      assunto: 'We got your registration! 🙌',
+      html: `
+        <h2>Registration received</h2>
+        <p><b>Name:</b> {{nome}}</p>
+        <p><b>E-mail:</b> {{email}}</p>
+        <p><b>Phone:</b> {{telefone}}</p>
+        <p><b>Source:</b> {{origem}}</p>
+        <hr/>
+        <p>Registered at: {{registrado_em}}</p>
+      `
+    }
+  },
+  confirmacao: {
+    'pt-BR': {
+      assunto: 'Inscrição confirmada ({{evento}})',
+      html: `
+        <h2>Nova inscrição</h2>
+        <p><b>Nome:</b> {{nome}}</p>
+        <p><b>E-mail:</b> {{email}}</p>
+        <p><b>Telefone:</b> {{telefone}}</p>
+        <p><b>Forma de pagamento:</b> {{forma_pagamento}}</p>
+        <p>Acompanhe pagamento e boletos em <a href="{{portal_url}}">Minha inscrição</a>.</p>
+        <hr/>
+        <p>Registrado em: {{registrado_em}}</p>
+      `
+    },
+    en: {
+      assunto: 'Registration confirmed ({{evento}})',
+      html: `
+        <h2>New registration</h2>
+        <p><b>Name:</b> {{nome}}</p>
+        <p><b>E-mail:</b> {{email}}</p>
+        <p><b>Phone:</b> {{telefone}}</p>
+        <p><b>Payment method:</b> {{forma_pagamento}}</p>
+        <p>Track payments and bank slips at <a href="{{portal_url}}">My registration</a>.</p>
+        <hr/>
+        <p>Registered at: {{registrado_em}}</p>
+      `
+    }
+  },
+  confirmacao_grupo: {
+    'pt-BR': {
+      assunto: 'Inscrição do grupo confirmada ({{evento}})',
+      html: `
+        <h2>Nova inscrição em grupo</h2>
+        <p><b>Grupo:</b> {{grupo}} (#{{grupo_id}})</p>
+        <p><b>Responsável:</b> {{nome}} • {{email}} • {{telefone}}</p>
+        <p><b>Participantes ({{qtd_participantes}}):</b> {{participantes}}</p>
+        <p><b>Total:</b> R$ {{total}} • <b>Forma de pagamento:</b> {{forma_pagamento}}</p>
+        <hr/>
+        <p>Registrado em: {{registrado_em}}</p>
+      `
+    },
+    en: {
+      assunto: 'Group registration confirmed ({{evento}})',
+      html: `
+        <h2>New group registration</h2>
+        <p><b>Group:</b> {{grupo}} (#{{grupo_id}})</p>
+        <p><b>Contact person:</b> {{nome}} • {{email}} • {{telefone}}</p>
+        <p><b>Participants ({{qtd_participantes}}):</b> {{participantes}}</p>
+        <p><b>Total:</b> R$ {{total}} • <b>Payment method:</b> {{forma_pagamento}}</p>
+        <hr/>
+        <p>Registered at: {{registrado_em}}</p>
+      `
+    }
+  },
+  oferta_vaga: {
+    'pt-BR': {
+      assunto: 'Abriu uma vaga para você no {{evento}}! ⏳',
+      html: `
+        <h2>Sua vaga chegou, {{nome}}!</h2>
+        <p>Uma vaga foi liberada e você é o próximo da lista de espera.</p>
+        <p><a href="{{link}}"><b>Clique aqui para confirmar sua inscrição</b></a></p>
+        <p>O link vale até <b>{{expira_em}}</b>. Depois disso a vaga passa para a próxima pessoa da fila.</p>
+      `
+    },
+    en: {
+      assunto: 'A spot just opened for you at {{evento}}! ⏳',
+      html: `
+        <h2>Your spot is here, {{nome}}!</h2>
+        <p>A spot was released and you are next on the waitlist.</p>
+        <p><a href="{{link}}"><b>Click here to confirm your registration</b></a></p>
+        <p>The link is valid until <b>{{expira_em}}</b>. After that the spot goes to the next person in line.</p>
+      `
+    }
+  },
+  ingresso: {
+    'pt-BR': {
+      assunto: 'Seu ingresso — {{evento}} 🎟️',
+      html: `
+        <h2>Pagamento confirmado, {{nome}}!</h2>
+        <p>Sua vaga no <b>{{evento}}</b> está garantida.</p>
+        <p><b>Quando:</b> {{evento_datas}}<br/><b>Onde:</b> {{evento_local}}</p>
+        <p>Apresente o QR abaixo (ou o crachá em PDF anexo) no check-in:</p>
+        <p><img src="cid:qrcode" alt="QR de check-in" width="240" height="240"/></p>
+        <p style="color:#777">Inscrição #{{id}}</p>
+      `
+    },
+    en: {
+      assunto: 'Your ticket — {{evento}} 🎟️',
+      html: `
+        <h2>Payment confirmed, {{nome}}!</h2>
+        <p>Your spot at <b>{{evento}}</b> is guaranteed.</p>
+        <p><b>When:</b> {{evento_datas}}<br/><b>Where:</b> {{evento_local}}</p>
+        <p>Show the QR below (or the attached PDF badge) at check-in:</p>
+        <p><img src="cid:qrcode" alt="Check-in QR" width="240" height="240"/></p>
+        <p style="color:#777">Registration #{{id}}</p>
+      `
+    }
+  },
+  lembrete_pagamento: {
+    'pt-BR': {
+      assunto: 'Lembrete: parcela {{parcela}} {{situacao}} ({{evento}})',
+      html: `
+        <h2>Olá, {{nome}}!</h2>
+        <p>A parcela <b>{{parcela}}</b> da sua inscrição, no valor de <b>R$ {{valor}}</b>, {{situacao}} (vencimento {{vencimento}}).</p>
+        <p><a href="{{boleto_url}}"><b>Abrir boleto</b></a></p>
+        <p style="color:#777">Se você já pagou, desconsidere este e-mail.</p>
+      `
+    },
+    en: {
+      assunto: 'Reminder: installment {{parcela}} {{situacao}} ({{evento}})',
+      html: `
+        <h2>Hi, {{nome}}!</h2>
+        <p>Installment <b>{{parcela}}</b> of your registration, <b>R$ {{valor}}</b>, {{situacao}} (due {{vencimento}}).</p>
+        <p><a href="{{boleto_url}}"><b>Open bank slip</b></a></p>
+        <p style="color:#777">If you have already paid, please ignore this e-mail.</p>
+      `
+    }
+  },
+  cancelamento: {
+    'pt-BR': {
+      assunto: 'Sua inscrição foi cancelada ({{evento}})',
+      html: `
+        <h2>Olá, {{nome}}</h2>
+        <p>Sua inscrição #{{id}} no <b>{{evento}}</b> foi cancelada.</p>
+        <p><b>Motivo:</b> {{motivo}}</p>
+        <p>Se isso foi um engano, responda este e-mail ou fale com a equipe.</p>
+      `
+    },
+    en: {
+      assunto: 'Your registration was cancelled ({{evento}})',
+      html: `
+        <h2>Hi, {{nome}}</h2>
+        <p>Your registration #{{id}} for <b>{{evento}}</b> was cancelled.</p>
+        <p><b>Reason:</b> {{motivo}}</p>
+        <p>If this was a mistake, reply to this e-mail or contact the team.</p>
+      `
+    }
+  },
+  acesso_portal: {
+    'pt-BR': {
+      assunto: 'Acesso à sua inscrição ({{evento}})',
+      html: `
+        <h2>Olá, {{nome}}!</h2>
+        <p><a href="{{link}}"><b>Clique aqui para abrir sua inscrição</b></a></p>
+        <p>Ou use o código <b style="font-size:20px;letter-spacing:3px">{{codigo}}</b> junto com seu CPF.</p>
+        <p>Link e código valem por {{validade}} minutos e só podem ser usados uma vez.</p>
+        <p style="color:#777">Se não foi você que pediu, ignore este e-mail.</p>
+      `
+    },
+    en: {
+      assunto: 'Access to your registration ({{evento}})',
+      html: `
+        <h2>Hi, {{nome}}!</h2>
+        <p><a href="{{link}}"><b>Click here to open your registration</b></a></p>
+        <p>Or use the code <b style="font-size:20px;letter-spacing:3px">{{codigo}}</b> together with your CPF.</p>
+        <p>Link and code are valid for {{validade}} minutes and can be used only once.</p>
+        <p style="color:#777">If you did not request this, ignore this e-mail.</p>
+      `
+    }
+  },
+  cancelamento_solicitado: {
+    'pt-BR': {
+      assunto: 'Pedido de cancelamento — inscrição #{{id}}',
+      html: `
+        <h2>Pedido de cancelamento</h2>
+        <p><b>{{nome}}</b> (inscrição #{{id}}, {{email}}) pediu o cancelamento pelo portal.</p>
+        <p><b>Motivo:</b> {{motivo}}</p>
+        <p><b>Status atual:</b> {{status}} • <b>Pago:</b> R$ {{pago}}</p>
+        <p>Cancele (e reembolse, se for o caso) pelo painel.</p>
+      `
+    }
+  }
+};
+
+async function obterTemplate(chave, idioma = 'pt-BR') {
+  const { rows } = await pgPool.query(`
+    SELECT idioma, assunto, html FROM public.email_templates
+    WHERE chave=$1 AND idioma IN ($2,'pt-BR')
+    ORDER BY (idioma=$2) DESC LIMIT 1
+  `, [chave, idioma]);
+  const padrao = TEMPLATES_EMAIL[chave]?.[idioma] || TEMPLATES_EMAIL[chave]?.['pt-BR'];
+  const tpl = rows[0]?.idioma === idioma || !padrao ? rows[0] : padrao;
+  if (!tpl) throw new Error(`template de e-mail desconhecido: ${chave}`);
+  return tpl;
+}
+
+function emailsAdmins() {
+  return (process.env.EMAIL_NOTIFICAR || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function fmtDataHora(d) {
+  return new Intl.DateTimeFormat('pt-BR', {
+    timeZone: 'America/Sao_Paulo', dateStyle: 'short', timeStyle: 'short'
+  }).format(new Date(d));
+}
+
+// Renderiza e grava na outbox. `chave` (opcional) evita enfileirar o mesmo e-mail 2x.
+// Retorna o id da outbox (ou null se já existia com essa chave / sem destinatário).
+// {{evento}}/{{evento_datas}}/{{evento_local}}: eventoId, senão o evento da inscrição, senão o padrão.
+// idioma: o informado, senão o desse mesmo evento.
+async function enfileirarEmail({ template, para, dados = {}, idioma = null, anexos = [], inscritoId = null, eventoId = null, chave = null }) {
+  const to = [...new Set((para || []).map(e => String(e || '').trim()).filter(Boolean))];
+  if (!to.length) {
+    console.warn(`⚠️ [EMAIL] ${template}: sem destinatário – não enfileirado.`);
+    return null;
+  }
+  if (eventoId == null && inscritoId) {
+    const { rows: ins } = await pgPool.query(`SELECT evento_id FROM public.inscritos WHERE id=$1`, [inscritoId]);
+    eventoId = ins[0]?.evento_id ?? null;
+  }
+  const ev = await buscarEvento(pgPool, { id: eventoId });
+  idioma = idioma || ev?.idioma || 'pt-BR';
+  const tpl = await obterTemplate(template, idioma);
+  const ctx = { evento: ev?.nome || '', evento_datas: ev?.datas || '', evento_local: ev?.local || '' };
+  for (const [k, v] of Object.entries(dados)) {
+    ctx[k] = v && typeof v === 'object' && 'pt-BR' in v ? (v[idioma] ?? v['pt-BR']) : v;
+  }
+
+  const { rows } = await pgPool.query(`
+    INSERT INTO public.email_outbox (template, idioma, destinatarios, assunto, html, anexos, inscrito_id, chave)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+    ON CONFLICT (chave) DO NOTHING
+    RETURNING id
+  `, [
+    template, idioma, to,
+    renderTemplate(tpl.assunto, ctx, { html: false }),
+    renderTemplate(tpl.html, ctx),
+    JSON.stringify(anexos), inscritoId, chave
+  ]);
+  if (rows.length) setImmediate(() => processarOutbox().catch(e => console.error('[EMAIL] worker:', e?.message || e)));
+  return rows[0]?.id || null;
+}
+
+async function enviarViaResend({ destinatarios, assunto, html, anexos }) {
+  const fromAddr = (process.env.EMAIL_FROM || 'retirorpulse@resend.dev').trim();
+  const r = await fetch(RESEND_API_URL, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${(process.env.RESEND_API_KEY || '').trim()}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      from: fromAddr,
+      to: destinatarios,
+      subject: assunto,
+      html,
+      ...(anexos?.length ? { attachments: anexos } : {})
+    })
+  });
+  const text = await r.text();
+  let body; try { body = JSON.parse(text); } catch { body = { raw: text.slice(0, 2000) }; }
+  if (!r.ok) throw Object.assign(new Error(`Resend status ${r.status}`), { resposta: { status: r.status, body } });
+  return { status: r.status, body };
+}
+
+// Backoff: 1, 2, 4, 8, 16... min (teto 6h)
+function proximaTentativaMin(tentativas) {
+  return Math.min(360, 2 ** Math.max(0, tentativas - 1));
+}
+
+let outboxRodando = false;
+let avisouSemChave = false;
+async function processarOutbox() {
+  if (outboxRodando) return;
+  if (!(process.env.RESEND_API_KEY || '').trim()) {
+    if (!avisouSemChave) console.warn('⚠️ RESEND_API_KEY ausente – e-mails ficam pendentes na outbox.');
+    avisouSemChave = true;
+    return;
+  }
+  outboxRodando = true;
+  try {
+    for (;;) {
+      // 'enviando' há muito tempo = processo caiu no meio do envio
+      const { rows } = await pgPool.query(`
+        UPDATE public.email_outbox SET status='enviando', updated_at=NOW()
+        WHERE id IN (
+          SELECT id FROM public.email_outbox
+          WHERE (status='pendente' AND proxima_tentativa_em <= NOW())
+             OR (status='enviando' AND updated_at < NOW() - INTERVAL '10 minutes')
+          ORDER BY id
+          LIMIT 10
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING id, destinatarios, assunto, html, anexos, tentativas, template
+      `);
+      if (!rows.length) break;
+
+      for (const m of rows) {
+        try {
+          const resposta = await enviarViaResend(m);
+          await pgPool.query(`
+            UPDATE public.email_outbox
+            SET status='enviado', tentativas=tentativas+1, enviado_em=NOW(), updated_at=NOW(),
+                resposta=$2, provider_id=$3, ultimo_erro=NULL
+            WHERE id=$1
+          `, [m.id, JSON.stringify(resposta), resposta.body?.id || null]);
+          console.log(`📧 [EMAIL] #${m.id} ${m.template} enviado`);
+        } catch (e) {
+          const tentativas = m.tentativas + 1;
+          const desistiu = tentativas >= EMAIL_MAX_TENTATIVAS;
+          await pgPool.query(`
+            UPDATE public.email_outbox
+            SET status=$2, tentativas=$3, ultimo_erro=$4, resposta=$5, updated_at=NOW(),
+                proxima_tentativa_em=NOW() + make_interval(mins => $6::int)
+            WHERE id=$1
+          `, [m.id, desistiu ? 'falhou' : 'pendente', tentativas, String(e?.message || e).slice(0, 500),
+              JSON.stringify(e?.resposta || null), proximaTentativaMin(tentativas)]);
+          console.error(`❌ [EMAIL] #${m.id} ${m.template} tentativa ${tentativas}${desistiu ? ' (desistiu)' : ''}:`, e?.message || e);
+          if (desistiu) emitEvent('email:falhou', { id: m.id, template: m.template });
+        }
+      }
+    }
+  } finally {
+    outboxRodando = false;
+  }
+}
+
+setInterval(() => {
+  processarOutbox().catch(e => console.error('[EMAIL] worker:', e?.message || e));
+}, 60 * 1000);
+
+// Lead: 1 único envio, admin(s) + inscrito
+async function enviarEmailsDeLead(lead) {
+  return enfileirarEmail({
+    template: 'lead_recebido',
+    para: [...emailsAdmins(), lead.email],
+    eventoId: lead.evento_id,
+    dados: {
+      nome: lead.name, email: lead.email, telefone: lead.phone || '—',
+      origem: lead.source || 'landing', registrado_em: fmtDataHora(lead.created_at || new Date())
+    }
+  });
+}
+
+async function enviarEmailInscricao({ id, nome, email, telefone, formaPagamento, registradoEm = null, copiaAdmins = true }) {
+  return enfileirarEmail({
+    template: 'confirmacao',
+    para: copiaAdmins ? [...emailsAdmins(), email] : [email],
+    inscritoId: id || null,
+    dados: {
+      id, nome, email: email || '—', telefone: telefone || '—',
+      forma_pagamento: (formaPagamento || '—').toUpperCase(), registrado_em: fmtDataHora(registradoEm || new Date()),
+      portal_url: urlPortal()
+    }
+  });
+}
+
+// Grupo: 1 e-mail só (admin(s) + responsável) com todos os participantes
+async function enviarEmailGrupo({ grupoId, nome, responsavel, participantes, totalCents, formaPagamento, eventoId }) {
+  return enfileirarEmail({
+    template: 'confirmacao_grupo',
+    para: [...emailsAdmins(), responsavel.email],
+    eventoId,
+    chave: `confirmacao_grupo:${grupoId}`,
+    dados: {
+      grupo_id: grupoId, grupo: nome || '—',
+      nome: responsavel.nome, email: responsavel.email || '—', telefone: responsavel.telefone || '—',
+      participantes: participantes.map(p => p.nome).join(', '), qtd_participantes: participantes.length,
+      total: (totalCents / 100).toFixed(2).replace('.', ','),
+      forma_pagamento: (formaPagamento || '—').toUpperCase(), registrado_em: fmtDataHora(new Date())
+    }
+  });
+}
+
+async function enviarEmailOfertaVaga({ id, evento_id, nome, email, oferta_token, oferta_expira_em }) {
+  return enfileirarEmail({
+    template: 'oferta_vaga',
+    para: [email],
+    eventoId: evento_id,
+    chave: `oferta_vaga:${oferta_token}`,
+    dados: { nome, link: linkOferta(oferta_token), expira_em: fmtDataHora(oferta_expira_em), lista_espera_id: id }
+  });
+}
+
+async function enviarEmailCancelamento({ id, nome, email, motivo }) {
+  return enfileirarEmail({
+    template: 'cancelamento',
+    para: [email],
+    inscritoId: id,
+    dados: { id, nome, motivo: motivo || '—' }
+  });
+}
+
+/* ======================================================================
+   INGRESSO — crachá em PDF + e-mail com QR (enviado 1x ao quitar)
+====================================================================== */
+function dataUrlParaBuffer(dataUrl) {
+  const b64 = String(dataUrl || '').split(',')[1] || '';
+  return Buffer.from(b64, 'base64');
+}
+
+// Crachá 100x150mm: nome, campus, QR de check-in (cabeçalho com o evento da inscrição)
+async function gerarCrachaPDF(i) {
+  const ev = await buscarEvento(pgPool, { id: i.evento_id ?? null });
+  const cor = /^#[0-9a-f]{6}$/i.test(ev?.marca?.cor || '') ? ev.marca.cor : '#16D2F2';
+  return new Promise((resolve, reject) => {
+    const mm = v => v * 72 / 25.4;
+    const W = mm(100), H = mm(150);
+    const doc = new PDFDocument({ size: [W, H], margin: mm(8), info: { Title: `Ingresso #${i.id} — ${ev?.nome || ''}` } });
+    const chunks = [];
+    doc.on('data', c => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.rect(0, 0, W, mm(22)).fill('#0f1226');
+    doc.fillColor(cor).font('Helvetica-Bold').fontSize(13)
+      .text(ev?.nome || '', mm(8), mm(6), { width: W - mm(16), align: 'center' });
+    doc.fillColor('#ffffff').font('Helvetica').fontSize(8)
+      .text([ev?.datas, ev?.local].filter(Boolean).join(' • '), { width: W - mm(16), align: 'center' });
+
+    doc.fillColor('#111111').font('Helvetica-Bold').fontSize(18)
+      .text(i.nome || '—', mm(8), mm(30), { width: W - mm(16), align: 'center' });
+    doc.font('Helvetica').fontSize(11).fillColor('#444444')
+      .text(i.campus || 'Visitante', { width: W - mm(16), align: 'center' });
+
+    const qrSize = mm(62);
+    if (i.qrcode) doc.image(dataUrlParaBuffer(i.qrcode), (W - qrSize) / 2, mm(58), { width: qrSize, height: qrSize });
+
+    doc.fontSize(8).fillColor('#777777')
+      .text(`Inscrição #${i.id} • apresente este QR no check-in`, mm(8), H - mm(14), { width: W - mm(16), align: 'center' });
+    doc.end();
+  });
+}
+
+function enviarEmailTicket(i, pdf, { chave = null } = {}) {
+  return enfileirarEmail({
+    template: 'ingresso',
+    para: [i.email],
+    inscritoId: i.id,
+    chave,
+    dados: { id: i.id, nome: i.nome },
+    anexos: [
+      { filename: 'qrcode.png', content: dataUrlParaBuffer(i.qrcode).toString('base64'), content_id: 'qrcode' },
+      { filename: `ingresso-${i.id}.pdf`, content: pdf.toString('base64') }
+    ]
+  });
+}
+
+// Enfileira o ingresso de quem está quitado. Sem `forcar`, só 1x por inscrito
+// (ticket_enviado_em é "reservado" antes e liberado se não der p/ enfileirar;
+// a entrega em si é garantida pelas retentativas da outbox).
+async function enviarTicket(id, { forcar = false } = {}) {
+  const { rows } = await pgPool.query(`
+    UPDATE public.inscritos SET ticket_enviado_em=NOW()
+    WHERE id=$1 AND status='quitado' ${forcar ? '' : 'AND ticket_enviado_em IS NULL'}
+    RETURNING id, evento_id, nome, email, campus, qrcode
+  `, [id]);
+  const i = rows[0];
+  if (!i) return false;
+  try {
+    if (!i.qrcode) i.qrcode = (await gravarQRCheckin(pgPool, i.id)).qr;
+    const outboxId = await enviarEmailTicket(i, await gerarCrachaPDF(i));
+    if (!outboxId) throw new Error('inscrito sem e-mail');
+    emitEvent('inscrito:update', { id: i.id, ticket: 'enviado' });
+    return true;
+  } catch (e) {
+    if (!forcar) await pgPool.query(`UPDATE public.inscritos SET ticket_enviado_em=NULL WHERE id=$1`, [id]).catch(() => {});
+    throw e;
+  }
+}
+
+/* ======================================================================
+   INSCRIÇÃO (manual: sem disparar pagamentos) — envia e-mail e evento
+====================================================================== */
+const RESPOSTA_CPF_DUPLICADO = {
+  erro: 'Já existe uma inscrição ativa para este CPF.',
+  campos: { cpf: 'CPF já inscrito.' }
+};
+
+// cotacao = cotarPreco(); preço zero (cupom 100%/staff) já entra quitado
+async function inserirInscrito(db, d, cotacao, grupoId = null) {
+  const { rows } = await db.query(`
+    INSERT INTO public.inscritos
+    (nome, cpf, cpf_norm, nascimento, email, telefone, frequentaPV, campus, status, forma_pagamento,
+     lote_id, preco_base_cents, desconto_cents, preco_cents, cupom_codigo, grupo_id,
+     idade_evento, faixa_etaria, responsavel_legal_nome, responsavel_legal_cpf, responsavel_legal_telefone,
+     termo_menor_aceito_em, termo_menor_ip, termo_menor_versao, respostas, sexo, evento_id,
+     utm_source, utm_medium, utm_campaign)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,
+            CASE WHEN $19::text IS NOT NULL THEN COALESCE($22::timestamptz, NOW()) END, $23, $24, $25, $26, $27,
+            $28, $29, $30)
+    RETURNING id;
+  `, [
+    d.nome,
+    d.cpf,
+    d.cpfNorm,
+    d.nascimento,
+    d.email,
+    d.telefone,
+    d.frequentaPV,
+    d.campus,
+    cotacao.preco_cents === 0 ? 'quitado' : 'pendente_pagamento',
+    d.formaPagamento,
+    cotacao.lote?.id || null,
+    cotacao.preco_base_cents,
+    cotacao.desconto_cents,
+    cotacao.preco_cents,
+    cotacao.cupom?.codigo || null,
+    grupoId,
+    d.idade ?? null,
+    d.faixaEtaria || null,
+    d.responsavelLegal?.nome || null,
+    d.responsavelLegal?.cpf || null,
+    d.responsavelLegal?.telefone || null,
+    d.termoAceitoEm || null,
+    d.responsavelLegal ? (d.termoIp || null) : null,
+    d.responsavelLegal ? TERMO_MENOR_VERSAO : null,
+    JSON.stringify(d.respostas || {}),
+    d.sexo || null,
+    d.eventoId,
+    d.utm?.utm_source || null,
+    d.utm?.utm_medium || null,
+    d.utm?.utm_campaign || null
+  ]);
+  const id = rows[0].id;
+  await gravarQRCheckin(db, id); // QR depende do id
+  return id;
+}
+
+// Efeitos colaterais de uma inscrição nova (e-mail, SSE, Sheets) — nada bloqueia
+// (importação: e-mail opcional e o status que veio da planilha)
+// confirmacao: false p/ quem manda a própria confirmação (grupo); ingresso segue `email`
+function aposInscricao(id, d, cotacao, { email: notificar = true, confirmacao = notificar, status = null } = {}) {
+  const gratuita = cotacao?.preco_cents === 0;
+  status = status || (gratuita ? 'quitado' : 'pendente_pagamento');
+  const { nome, cpf, nascimento, email, telefone, frequentaPV, campus, formaPagamento, eventoId } = d;
+
+  // funil: leads do mesmo e-mail/CPF neste evento viram "convertidos"
+  vincularLeads(pgPool, { inscritoId: id, eventoId, email, cpfNorm: d.cpfNorm })
+    .catch(e => console.error('[FUNIL] vincular leads:', id, e?.message || e));
+
+  // e-mail admin + inscrito (não bloqueante)
+  if (confirmacao) enviarEmailInscricao({ id, nome, email, telefone, formaPagamento }).catch(console.error);
+  // tempo real no painel
+  emitEvent('inscrito:new', { id, nome, email, formaPagamento });
+  if (notificar && status === 'quitado') enviarTicket(id).catch(e => console.error('❌ [TICKET] inscrição quitada:', id, e?.message || e));
+
+  // backup best-effort (não bloqueia resposta)
+  salvarBackupSheets({
+    id,
+    nome,
+    cpf,
+    nascimento,
+    email,
+    telefone,
+    frequentaPV,
+    campus,
+    formaPagamento,
+    status,
+    eventoId
+  }).catch(() => {});
+}
+
+app.post(['/inscricao', '/e/:slug/inscricao'], comEvento, async (req, res) => {
+  try {
+    const eventoId = req.evento.id;
+    const [cfg, camposExtras] = await Promise.all([getConfig(pgPool, eventoId), camposInscricao(pgPool, { eventoId })]);
+    const { dados, campos } = validarInscricao(req.body || {}, { cfg, camposExtras });
+    if (Object.keys(campos).length) {
+      return res.status(400).json({
+        erro: 'Dados inválidos. Confira os campos destacados.',
+        campos
+      });
+    }
+    dados.eventoId = eventoId;
+    dados.utm = lerUtm(req.body || {});
+    if (dados.responsavelLegal) dados.termoIp = clientIp(req);
+
+    // Vaga + CPF checados e gravados sob o mesmo lock: duas pessoas
+    // disputando a última vaga entram em fila aqui, nunca as duas.
+    let id, cotacao;
+    const client = await pgPool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`SELECT pg_advisory_xact_lock(hashtext('inscricao'))`);
+
+      const dup = await client.query(`
+        SELECT id FROM public.inscritos
+        WHERE cpf_norm=$1 AND evento_id=$2 AND ${OCUPA_VAGA}
+        LIMIT 1
+      `, [dados.cpfNorm, eventoId]);
+      if (dup.rows.length) {
+        await client.query('ROLLBACK');
+        return res.status(409).json(RESPOSTA_CPF_DUPLICADO);
+      }
+
+      const vagas = await contarVagas(client, eventoId);
+      if (vagas.motivo === 'lotado') {
+        const espera = await entrarListaEspera(client, dados);
+        await client.query('COMMIT');
+        if (espera.jaNaFila) {
+          return res.status(409).json({
+            erro: `Você já está na lista de espera (posição ${espera.posicao}).`,
+            campos: { cpf: 'CPF já está na lista de espera.' }
+          });
+        }
+        emitEvent('espera:update', { id: espera.id, nome: dados.nome, posicao: espera.posicao });
+        return res.status(202).json({ listaEspera: true, id: espera.id, posicao: espera.posicao });
+      }
+      if (!vagas.aberto) {
+        await client.query('ROLLBACK');
+        return res.status(403).json({ erro: MOTIVOS_FECHADO[vagas.motivo], motivo: vagas.motivo });
+      }
+
+      cotacao = await cotarPreco(client, dados);
+      if (cotacao.cupom_erro) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ erro: cotacao.cupom_erro, campos: { cupom: cotacao.cupom_erro } });
+      }
+      id = await inserirInscrito(client, dados, cotacao);
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+
+    aposInscricao(id, dados, cotacao);
+    res.json({
+      id, preco_cents: cotacao.preco_cents, desconto_cents: cotacao.desconto_cents, lote: cotacao.lote?.nome || null,
+      pagamento_token: await assinarPagamento(id)
+    });
+  } catch (e) {
+    // corrida entre dois envios do mesmo CPF: o índice único decide
+    if (e?.code === '23505') return res.status(409).json(RESPOSTA_CPF_DUPLICADO);
+    console.error('[INSCRICAO] erro:', e?.message || e);
     res.status(500).json({ erro: 'Erro interno' });
   }
-});
+});
+
+/* ======================================================================
+   INSCRIÇÃO EM GRUPO / FAMÍLIA — um responsável, N participantes
+   - cada participante vira um inscrito normal (CPF, nascimento, QR, ingresso),
+     com o preço do seu lote/cupom; inscritos.grupo_id liga todos ao grupo
+   - cobrança única (Pix ou boleto) no nome do responsável: parcelas.grupo_id,
+     com inscrito_id = primeiro participante (titular da cobrança)
+   - total do grupo = soma dos preços dos participantes não cancelados;
+     cancelar alguém reduz as parcelas ainda em aberto (ajustarTotalGrupo)
+   - sem lista de espera: ou cabe o grupo inteiro, ou nada
+====================================================================== */
+const GRUPO_MAX_PARTICIPANTES = Math.max(2, parseInt(process.env.GRUPO_MAX_PARTICIPANTES || '10', 10) || 10);
+const FORMAS_GRUPO = ['pix', 'boleto'];
+
+// ctx = { cfg, camposExtras } (ver validarInscricao), aplicado a cada participante
+function validarGrupo(body = {}, ctx = {}) {
+  const campos = {};
+  const txt = v => (v == null ? '' : String(v).trim());
+  const r = body.responsavel || {};
+  const responsavel = {
+    nome: txt(r.nome).replace(/\s+/g, ' '),
+    cpf: txt(r.cpf),
+    email: txt(r.email).toLowerCase(),
+    telefone: txt(r.telefone)
+  };
+  if (responsavel.nome.length < 3) campos['responsavel.nome'] = 'Informe o nome do responsável.';
+  if (!cpfValido(responsavel.cpf)) campos['responsavel.cpf'] = 'CPF do responsável inválido.';
+  if (!emailValido(responsavel.email)) campos['responsavel.email'] = 'E-mail do responsável inválido.';
+  if (!telefoneValido(responsavel.telefone)) campos['responsavel.telefone'] = 'Telefone do responsável inválido (use DDD + número).';
+
+  const formaPagamento = txt(body.formaPagamento).toLowerCase();
+  if (!FORMAS_GRUPO.includes(formaPagamento)) campos.formaPagamento = 'Inscrição em grupo é paga com Pix ou boleto.';
+
+  const lista = Array.isArray(body.participantes) ? body.participantes : [];
+  if (lista.length < 2) campos.participantes = 'O grupo precisa de pelo menos 2 participantes.';
+  else if (lista.length > GRUPO_MAX_PARTICIPANTES) campos.participantes = `No máximo ${GRUPO_MAX_PARTICIPANTES} participantes por grupo.`;
+
+  const participantes = [];
+  const cpfs = new Set();
+  lista.slice(0, GRUPO_MAX_PARTICIPANTES).forEach((p, idx) => {
+    // contato do participante é opcional: sem ele vale o do responsável;
+    // menor sem responsável legal informado => o responsável do grupo (termo aceito no grupo)
+    const v = validarInscricao({
+      ...(p || {}),
+      email: txt(p?.email) || responsavel.email,
+      telefone: txt(p?.telefone) || responsavel.telefone,
+      formaPagamento: FORMAS_GRUPO.includes(formaPagamento) ? formaPagamento : 'pix',
+      cupom: body.cupom,
+      responsavelNome: txt(p?.responsavelNome) || responsavel.nome,
+      responsavelCpf: txt(p?.responsavelCpf) || responsavel.cpf,
+      responsavelTelefone: txt(p?.responsavelTelefone) || responsavel.telefone,
+      termoMenor: p?.termoMenor ?? body.termoMenor
+    }, ctx);
+    for (const [k, msg] of Object.entries(v.campos)) campos[`participantes.${idx}.${k}`] = msg;
+    if (v.dados.cpfNorm && cpfs.has(v.dados.cpfNorm)) campos[`participantes.${idx}.cpf`] = 'CPF repetido no grupo.';
+    cpfs.add(v.dados.cpfNorm);
+    participantes.push(v.dados);
+  });
+
+  return {
+    campos,
+    dados: {
+      nome: txt(body.nome).slice(0, 80) || null,
+      responsavel: { ...responsavel, cpfNorm: normalizarCPF(responsavel.cpf) },
+      participantes,
+      formaPagamento
+    }
+  };
+}
+
+// Total (ativos), pago e em aberto da cobrança do grupo
+async function resumoGrupo(db, grupoId) {
+  const { rows: membros } = await db.query(`
+    SELECT id, nome, cpf_norm, status, preco_cents, evento_id FROM public.inscritos WHERE grupo_id=$1 ORDER BY id
+  `, [grupoId]);
+  let total = 0;
+  for (const m of membros) if (m.status !== 'cancelado') total += await precoDoInscrito(m);
+  const { rows } = await db.query(`
+    SELECT COALESCE(SUM(p.valor_cents) FILTER (WHERE UPPER(p.status) = ANY($2::text[])), 0)::int AS pago,
+           COALESCE(SUM(p.valor_cents) FILTER (WHERE ${PARCELA_EM_ABERTO}), 0)::int AS pendente
+    FROM public.parcelas p WHERE p.grupo_id=$1
+  `, [grupoId, ASAAS_PAGO]);
+  return {
+    membros,
+    titular_id: membros[0]?.id || null,
+    ativos: membros.filter(m => m.status !== 'cancelado').length,
+    total_cents: total,
+    pago_cents: rows[0].pago,
+    pendente_cents: rows[0].pendente
+  };
+}
+
+// Quem paga e quanto: avulso => o que falta do preço da inscrição, no nome do inscrito;
+// grupo => o que falta do total do grupo, no nome do responsável
+async function dadosCobranca(i) {
+  if (!i.grupo_id) {
+    const { rows } = await pgPool.query(`
+      SELECT COALESCE(SUM(valor_cents) FILTER (WHERE UPPER(COALESCE(status,'')) = ANY($2)), 0)::int AS pago
+      FROM public.parcelas WHERE inscrito_id=$1 AND grupo_id IS NULL
+    `, [i.id, ASAAS_PAGO]);
+    return {
+      valorCents: Math.max(0, (await precoDoInscrito(i)) - rows[0].pago),
+      nome: i.nome, email: i.email, cpf: i.cpf_norm, inscritoId: i.id, grupoId: null
+    };
+  }
+  const g = await resumoGrupo(pgPool, i.grupo_id);
+  const { rows } = await pgPool.query(`
+    SELECT responsavel_nome, responsavel_email, responsavel_cpf_norm FROM public.grupos WHERE id=$1
+  `, [i.grupo_id]);
+  return {
+    valorCents: Math.max(0, g.total_cents - g.pago_cents),
+    nome: rows[0].responsavel_nome, email: rows[0].responsavel_email, cpf: rows[0].responsavel_cpf_norm,
+    inscritoId: g.titular_id, grupoId: i.grupo_id
+  };
+}
+
+// Depois de cancelar/restaurar participante: reduz (das últimas p/ as primeiras) as parcelas
+// em aberto que passaram do que o grupo ainda deve. Parcela que zera é cancelada no Asaas.
+// Aumento (restaurar) não gera cobrança sozinho: volta como falta_cobrar_cents.
+async function ajustarTotalGrupo(grupoId, { req = null } = {}) {
+  const g = await resumoGrupo(pgPool, grupoId);
+  const devido = Math.max(0, g.total_cents - g.pago_cents);
+  let sobra = g.pendente_cents - devido;
+  const ajustes = [];
+
+  if (sobra > 0) {
+    const { rows: abertas } = await pgPool.query(`
+      SELECT p.id, p.parcela, p.valor_cents, p.asaas_payment_id FROM public.parcelas p
+      WHERE p.grupo_id=$1 AND ${PARCELA_EM_ABERTO}
+      ORDER BY p.parcela DESC NULLS LAST, p.id DESC
+    `, [grupoId]);
+    for (const p of abertas) {
+      if (sobra <= 0) break;
+      const novo = Math.max(0, p.valor_cents - sobra);
+      try {
+        if (novo === 0) {
+          if (p.asaas_payment_id) {
+            try { await asaas(`/payments/${p.asaas_payment_id}`, { method: 'DELETE' }); }
+            catch (e) { if (e?.status !== 404) throw e; }
+          }
+          await pgPool.query(`UPDATE public.parcelas SET status='CANCELLED' WHERE id=$1`, [p.id]);
+        } else {
+          if (p.asaas_payment_id) await asaas(`/payments/${p.asaas_payment_id}`, { method: 'POST', body: { value: novo / 100 } });
+          await pgPool.query(`UPDATE public.parcelas SET valor_cents=$2 WHERE id=$1`, [p.id, novo]);
+        }
+        ajustes.push({ parcela_id: p.id, parcela: p.parcela, de: p.valor_cents, para: novo });
+        sobra -= p.valor_cents - novo;
+      } catch (e) {
+        console.error('❌ [GRUPO] ajustar parcela', p.id, String(e?.message || e).slice(0, 200));
+        ajustes.push({ parcela_id: p.id, parcela: p.parcela, de: p.valor_cents, para: p.valor_cents, erro: String(e?.message || e).slice(0, 300) });
+      }
+    }
+  }
+
+  const depois = await resumoGrupo(pgPool, grupoId);
+  const r = {
+    grupo_id: grupoId,
+    total_cents: depois.total_cents,
+    pago_cents: depois.pago_cents,
+    pendente_cents: depois.pendente_cents,
+    excedente_cents: Math.max(0, depois.pago_cents - depois.total_cents),   // pago a mais: ver reembolso
+    falta_cobrar_cents: Math.max(0, depois.total_cents - depois.pago_cents - depois.pendente_cents),
+    ajustes
+  };
+  if (ajustes.length) {
+    await auditar(req, {
+      action: 'grupo:ajuste', targetType: 'grupo', targetId: grupoId,
+      diff: {
+        total_cents: { de: null, para: r.total_cents },
+        parcelas: { de: ajustes.map(a => a.de), para: ajustes.map(a => a.para) }
+      }
+    });
+  }
+  emitEvent('grupo:update', { id: grupoId, total_cents: r.total_cents, pendente_cents: r.pendente_cents });
+  if (g.titular_id) {
+    await recalcularStatusPagamento(g.titular_id, { req })
+      .catch(e => console.error('[PAGAMENTO] recalcular grupo:', grupoId, e?.message || e));
+  }
+  return r;
+}
+
+app.post(['/inscricao/grupo', '/e/:slug/inscricao/grupo'], comEvento, async (req, res) => {
+  try {
+    const eventoId = req.evento.id;
+    const [cfg, camposExtras] = await Promise.all([getConfig(pgPool, eventoId), camposInscricao(pgPool, { eventoId })]);
+    const { dados, campos } = validarGrupo(req.body || {}, { cfg, camposExtras });
+    if (Object.keys(campos).length) {
+      return res.status(400).json({ erro: 'Dados inválidos. Confira os campos destacados.', campos });
+    }
+    const { responsavel, participantes } = dados;
+    const utm = lerUtm(req.body || {});
+    for (const p of participantes) {
+      p.eventoId = eventoId;
+      p.utm = utm;
+      if (p.responsavelLegal) p.termoIp = clientIp(req);
+    }
+
+    // mesmo lock da inscrição individual: o grupo inteiro entra ou ninguém entra
+    let grupoId;
+    const ids = [], cotacoes = [];
+    const client = await pgPool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`SELECT pg_advisory_xact_lock(hashtext('inscricao'))`);
+
+      const { rows: dup } = await client.query(`
+        SELECT cpf_norm FROM public.inscritos
+        WHERE cpf_norm = ANY($1::text[]) AND evento_id=$2 AND ${OCUPA_VAGA}
+      `, [participantes.map(p => p.cpfNorm), eventoId]);
+      if (dup.length) {
+        await client.query('ROLLBACK');
+        const ja = new Set(dup.map(r => r.cpf_norm));
+        const c = {};
+        participantes.forEach((p, idx) => { if (ja.has(p.cpfNorm)) c[`participantes.${idx}.cpf`] = 'CPF já inscrito.'; });
+        return res.status(409).json({ erro: 'Já existe inscrição ativa para CPF do grupo.', campos: c });
+      }
+
+      const vagas = await contarVagas(client, eventoId);
+      if (!vagas.aberto && vagas.motivo !== 'lotado') {
+        await client.query('ROLLBACK');
+        return res.status(403).json({ erro: MOTIVOS_FECHADO[vagas.motivo], motivo: vagas.motivo });
+      }
+      if (vagas.restantes < participantes.length) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          erro: vagas.restantes
+            ? `Restam só ${vagas.restantes} vaga(s) — não cabe o grupo inteiro.`
+            : MOTIVOS_FECHADO.lotado,
+          motivo: 'lotado', restantes: vagas.restantes
+        });
+      }
+
+      const { rows: g } = await client.query(`
+        INSERT INTO public.grupos
+          (nome, responsavel_nome, responsavel_cpf, responsavel_cpf_norm, responsavel_email, responsavel_telefone, forma_pagamento, evento_id)
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+        RETURNING id
+      `, [dados.nome, responsavel.nome, responsavel.cpf, responsavel.cpfNorm, responsavel.email,
+          responsavel.telefone, dados.formaPagamento, eventoId]);
+      grupoId = g[0].id;
+
+      // cota e grava um a um: limite de lote/cupom enxerga quem acabou de entrar
+      for (const p of participantes) {
+        const cotacao = await cotarPreco(client, p);
+        if (cotacao.cupom_erro) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ erro: cotacao.cupom_erro, campos: { cupom: cotacao.cupom_erro } });
+        }
+        cotacoes.push(cotacao);
+        ids.push(await inserirInscrito(client, p, cotacao, grupoId));
+      }
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+
+    ids.forEach((id, k) => aposInscricao(id, participantes[k], cotacoes[k], { confirmacao: false }));
+    const total = cotacoes.reduce((t, c) => t + c.preco_cents, 0);
+    enviarEmailGrupo({
+      grupoId, nome: dados.nome, responsavel, participantes, totalCents: total,
+      formaPagamento: dados.formaPagamento, eventoId
+    }).catch(console.error);
+    emitEvent('grupo:update', { id: grupoId, novo: true, participantes: ids.length, total_cents: total });
+    res.json({
+      grupo_id: grupoId,
+      ids,
+      total_cents: total,
+      participantes: ids.map((id, k) => ({ id, nome: participantes[k].nome, preco_cents: cotacoes[k].preco_cents }))
+    });
+  } catch (e) {
+    if (e?.code === '23505') return res.status(409).json({ erro: 'Já existe inscrição ativa para CPF do grupo.' });
+    console.error('[GRUPO] erro:', e?.message || e);
+    res.status(500).json({ erro: 'Erro interno' });
+  }
+});
+
+/* ======================================================================
+   LISTA DE ESPERA
+   - /inscricao coloca a pessoa na fila quando o evento está lotado
+   - vaga liberada (cancelamento, aumento de capacidade) => oferta para o
+     próximo da fila, com link de confirmação válido por N horas
+   - oferta vencida => 'expirado' e a vaga vai para o próximo
+====================================================================== */
+const SITE_URL = (process.env.SITE_URL || '').trim().replace(/\/$/, '');
+const OFERTA_HORAS = Math.max(1, parseInt(process.env.LISTA_ESPERA_OFERTA_HORAS || '48', 10) || 48);
+if (!SITE_URL) console.warn('⚠️ SITE_URL não definida – links de oferta da lista de espera ficarão incompletos.');
+
+function linkOferta(token) {
+  return `${SITE_URL}/?oferta=${encodeURIComponent(token)}`;
+}
+
+// Chamada dentro da transação de /inscricao (lock já adquirido)
+async function entrarListaEspera(db, d) {
+  const ja = await db.query(`
+    SELECT id, posicao FROM public.lista_espera
+    WHERE cpf_norm=$1 AND evento_id=$2 AND status IN ('aguardando','oferecido')
+    LIMIT 1
+  `, [d.cpfNorm, d.eventoId]);
+  if (ja.rows.length) return { jaNaFila: true, ...ja.rows[0] };
+
+  const { rows } = await db.query(`
+    INSERT INTO public.lista_espera
+    (nome, cpf, cpf_norm, nascimento, email, telefone, frequentaPV, campus, forma_pagamento, cupom, dados_menor, respostas, sexo, evento_id,
+     utm_source, utm_medium, utm_campaign, posicao)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,
+      (SELECT COALESCE(MAX(posicao),0)+1 FROM public.lista_espera WHERE status='aguardando' AND evento_id=$14))
+    RETURNING id, posicao
+  `, [d.nome, d.cpf, d.cpfNorm, d.nascimento, d.email, d.telefone, d.frequentaPV, d.campus, d.formaPagamento, d.cupom || null,
+      d.responsavelLegal
+        ? JSON.stringify({ responsavelLegal: d.responsavelLegal, termoIp: d.termoIp || null, termoAceitoEm: new Date().toISOString() })
+        : null,
+      JSON.stringify(d.respostas || {}), d.sexo || null, d.eventoId,
+      d.utm?.utm_source || null, d.utm?.utm_medium || null, d.utm?.utm_campaign || null]);
+  return rows[0];
+}
+
+// Renumera a fila (1..N) seguindo a ordem dada
+async function renumerarListaEspera(db, idsEmOrdem) {
+  for (let i = 0; i < idsEmOrdem.length; i++) {
+    await db.query(`UPDATE public.lista_espera SET posicao=$1, updated_at=NOW() WHERE id=$2`, [i + 1, idsEmOrdem[i]]);
+  }
+}
+
+async function ofertarVaga(db, id) {
+  const token = crypto.randomBytes(24).toString('hex');
+  const { rows } = await db.query(`
+    UPDATE public.lista_espera
+    SET status='oferecido', oferta_token=$2, oferecido_em=NOW(),
+        oferta_expira_em=NOW() + make_interval(hours => $3::int), posicao=NULL, updated_at=NOW()
+    WHERE id=$1
+    RETURNING id, evento_id, nome, email, oferta_token, oferta_expira_em
+  `, [id, token, OFERTA_HORAS]);
+  return rows[0];
+}
+
+// Expira ofertas vencidas e oferece as vagas livres para a fila, em ordem
+// (cada evento tem sua fila; sem eventoId, passa por todos)
+async function promoverListaEspera(eventoId = null) {
+  if (eventoId == null) {
+    const { rows: eventos } = await pgPool.query(`SELECT id FROM public.eventos ORDER BY id`);
+    const todas = [];
+    for (const ev of eventos) todas.push(...await promoverListaEspera(ev.id));
+    return todas;
+  }
+  const ofertas = [];
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext('inscricao'))`);
+
+    const exp = await client.query(`
+      UPDATE public.lista_espera SET status='expirado', updated_at=NOW()
+      WHERE evento_id=$1 AND status='oferecido' AND oferta_expira_em <= NOW()
+      RETURNING id
+    `, [eventoId]);
+
+    const vagas = await contarVagas(client, eventoId);
+    const livres = Math.max(0, vagas.total - vagas.inscritos - vagas.reservadas);
+    const prazoOk = vagas.motivo !== 'encerrado' && vagas.motivo !== 'nao_aberto';
+
+    if (livres > 0 && prazoOk) {
+      const { rows: proximos } = await client.query(`
+        SELECT id FROM public.lista_espera
+        WHERE evento_id=$2 AND status='aguardando'
+        ORDER BY posicao NULLS LAST, id
+        LIMIT $1
+        FOR UPDATE
+      `, [livres, eventoId]);
+      for (const p of proximos) ofertas.push(await ofertarVaga(client, p.id));
+
+      if (ofertas.length) {
+        const { rows: resto } = await client.query(`
+          SELECT id FROM public.lista_espera WHERE evento_id=$1 AND status='aguardando' ORDER BY posicao NULLS LAST, id
+        `, [eventoId]);
+        await renumerarListaEspera(client, resto.map(r => r.id));
+      }
+    }
+    await client.query('COMMIT');
+
+    if (exp.rows.length || ofertas.length) {
+      emitEvent('espera:update', { evento_id: eventoId, expiradas: exp.rows.length, ofertas: ofertas.length });
+    }
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+
+  for (const o of ofertas) enviarEmailOfertaVaga(o).catch(console.error);
+  return ofertas;
+}
+
+// Varredura periódica: ofertas vencidas liberam a vaga para o próximo
+setInterval(() => {
+  promoverListaEspera().catch(e => console.error('[ESPERA] varredura:', e?.message || e));
+}, 10 * 60 * 1000);
+
+// Dados públicos da oferta (página de confirmação na landing)
+app.get('/lista-espera/oferta/:token', async (req, res) => {
+  try {
+    const { rows } = await pgPool.query(`
+      SELECT nome, status, oferta_expira_em, evento_id FROM public.lista_espera WHERE oferta_token=$1
+    `, [req.params.token]);
+    const o = rows[0];
+    if (!o) return res.status(404).json({ erro: 'Oferta não encontrada.' });
+    const vencida = o.status === 'expirado' || (o.status === 'oferecido' && new Date(o.oferta_expira_em) <= new Date());
+    res.json({
+      nome: o.nome,
+      status: vencida ? 'expirado' : o.status,
+      expira_em: o.oferta_expira_em,
+      evento: eventoPublico(await buscarEvento(pgPool, { id: o.evento_id }))
+    });
+  } catch (e) {
+    console.error('[ESPERA] oferta:', e?.message || e);
+    res.status(500).json({ erro: 'Erro interno' });
+  }
+});
+
+// Confirma a vaga: vira inscrição normal (pendente_pagamento)
+app.post('/lista-espera/oferta/:token/aceitar', async (req, res) => {
+  let id, dados, cotacao;
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext('inscricao'))`);
+
+    const { rows } = await client.query(`
+      SELECT * FROM public.lista_espera WHERE oferta_token=$1 FOR UPDATE
+    `, [req.params.token]);
+    const o = rows[0];
+    if (!o) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ erro: 'Oferta não encontrada.' });
+    }
+    if (o.status === 'convertido') {
+      await client.query('ROLLBACK');
+      return res.json({ id: o.inscrito_id, jaConfirmado: true });
+    }
+    if (o.status !== 'oferecido' || new Date(o.oferta_expira_em) <= new Date()) {
+      await client.query('ROLLBACK');
+      return res.status(410).json({ erro: 'Esta oferta expirou ou não está mais disponível.' });
+    }
+
+    const dup = await client.query(`
+      SELECT id FROM public.inscritos
+      WHERE cpf_norm=$1 AND evento_id=$2 AND ${OCUPA_VAGA}
+      LIMIT 1
+    `, [o.cpf_norm, o.evento_id]);
+    if (dup.rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(409).json(RESPOSTA_CPF_DUPLICADO);
+    }
+
+    dados = {
+      nome: o.nome, cpf: o.cpf, cpfNorm: o.cpf_norm, nascimento: o.nascimento, email: o.email,
+      telefone: o.telefone, sexo: o.sexo, frequentaPV: o.frequentapv, campus: o.campus, formaPagamento: o.forma_pagamento,
+      respostas: o.respostas || {}, eventoId: o.evento_id,
+      utm: { utm_source: o.utm_source, utm_medium: o.utm_medium, utm_campaign: o.utm_campaign },
+      ...(o.dados_menor || {})   // responsável legal + termo aceito ao entrar na fila
+    };
+    completarIdade(dados, await getConfig(client, o.evento_id));
+    // preço de hoje (a oferta pode chegar num lote seguinte); cupom que não vale mais é descartado
+    const base = { eventoId: o.evento_id, campus: o.campus, nascimento: o.nascimento };
+    cotacao = await cotarPreco(client, { ...base, cupom: o.cupom });
+    if (cotacao.cupom_erro) cotacao = await cotarPreco(client, base);
+    id = await inserirInscrito(client, dados, cotacao);
+
+    await client.query(`
+      UPDATE public.lista_espera SET status='convertido', inscrito_id=$2, updated_at=NOW() WHERE id=$1
+    `, [o.id, id]);
+    await client.query('COMMIT');
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (e?.code === '23505') return res.status(409).json(RESPOSTA_CPF_DUPLICADO);
+    console.error('[ESPERA] aceitar:', e?.message || e);
+    return res.status(500).json({ erro: 'Erro interno' });
+  } finally {
+    client.release();
+  }
+
+  aposInscricao(id, dados, cotacao);
+  emitEvent('espera:update', { evento_id: dados.eventoId, inscrito_id: id, convertido: true });
+  res.json({ id });
+});
+
+/* ======================================================================
+   PIX (mantido p/ futura automação)
+   - gerarPix também atende o "gerar PIX de novo" do portal do inscrito:
+     a cobrança PIX anterior ainda em aberto é cancelada antes — por isso a
+     rota pública exige o dono da inscrição (pagamentoAuth, como o cartão)
+   - participante de grupo => PIX único do grupo (dadosCobranca)
+   - boleto/cartão ainda em aberto já cobre parte do valor: o PIX é só do resto
+====================================================================== */
+// Soma das cobranças em aberto que não são PIX (boleto/cartão) do inscrito ou do grupo dele;
+// `forma` restringe a uma só (o boleto desconta só o cartão: os boletos antigos ele mesmo troca)
+async function cobrancaAbertaNaoPix(db, i, { forma = null } = {}) {
+  const { rows } = await db.query(`
+    SELECT COALESCE(SUM(p.valor_cents), 0)::int AS total
+    FROM public.parcelas p
+    WHERE ${i.grupo_id ? 'p.grupo_id=$1' : 'p.inscrito_id=$1 AND p.grupo_id IS NULL'}
+      AND COALESCE(p.forma,'') <> 'PIX' AND ($2::text IS NULL OR p.forma=$2) AND ${PARCELA_EM_ABERTO}
+  `, [i.grupo_id || i.id, forma]);
+  return rows[0].total;
+}
+
+async function gerarPix(i) {
+  const c = await dadosCobranca(i);
+  const preco_cents = c.valorCents - await cobrancaAbertaNaoPix(pgPool, i);
+  if (preco_cents <= 0) return null;
+  const customer = await getOrCreateCustomer(c.nome, c.email, c.cpf);
+
+  const { rows: abertas } = await pgPool.query(`
+    SELECT id, asaas_payment_id FROM public.parcelas
+    WHERE ${c.grupoId ? 'grupo_id=$1' : 'inscrito_id=$1'} AND forma='PIX' AND COALESCE(status,'') ILIKE 'PEND%'
+  `, [c.grupoId || i.id]);
+  for (const p of abertas) {
+    try { if (p.asaas_payment_id) await asaas(`/payments/${p.asaas_payment_id}`, { method: 'DELETE' }); }
+    catch (e) { if (e?.status !== 404) { console.warn('[PIX] cancelar anterior:', String(e?.message || e).slice(0, 160)); continue; } }
+    await pgPool.query(`UPDATE public.parcelas SET status='CANCELLED' WHERE id=$1`, [p.id]);
+  }
+
+  const pay = await asaas(`/payments`, {
+    method: 'POST',
+    body: {
+      customer: customer.id,
+      billingType: 'PIX',
+      value: preco_cents / 100
+    }
+  });
+
+  await pgPool.query(`
+    INSERT INTO public.parcelas
+    (inscrito_id, parcela, valor_cents, status, asaas_payment_id, forma, grupo_id, evento_id)
+    VALUES ($1,$2,$3,$4,$5,'PIX',$6,$7)
+  `, [c.inscritoId, 1, preco_cents, 'pending', pay.id, c.grupoId, i.evento_id]);
+
+  return {
+    qrPayload: pay.pixQrCode?.payload,
+    qrImageBase64: pay.pixQrCode?.encodedImage
+  };
+}
+
+app.post('/pagamentos/asaas/pix/:id', pagamentoAuth, async (req, res) => {
+  try {
+    const inscritoId = Number(req.params.id);
+    const { rows } = await pgPool.query(`SELECT * FROM public.inscritos WHERE id=$1`, [inscritoId]);
+    const i = rows[0];
+    if (!i) return res.status(404).json({ erro: 'Inscrito não encontrado' });
+
+    const pix = await gerarPix(i);
+    if (!pix) return res.status(409).json({ erro: 'Inscrição sem valor a pagar' });
+    res.json({ ok: true, ...pix });
+  } catch (e) {
+    console.error('[PIX] erro:', e?.message || e);
+    res.status(500).json({ erro: 'Erro interno' });
+  }
+});
+
+/* ======================================================================
+   BOLETO (mantido p/ futura automação)
+   - mesmo dono que o cartão (pagamentoAuth): trocar boletos cancela os anteriores
+   - tudo é validado antes de mexer nas cobranças em aberto
+   - cartão ainda em aberto já cobre parte do valor: os boletos são só do resto
+====================================================================== */
+const BOLETO_MAX_PARCELAS = 3;
+
+app.post('/pagamentos/asaas/boletos/:id', pagamentoAuth, async (req, res) => {
+  try {
+    const inscritoId = Number(req.params.id);
+    const parcelas = Number(req.body?.parcelas ?? 3);
+    if (!Number.isInteger(parcelas) || parcelas < 1 || parcelas > BOLETO_MAX_PARCELAS) {
+      return res.status(400).json({ ok: false, erro: `Parcelas: de 1 a ${BOLETO_MAX_PARCELAS}.` });
+    }
+
+    const { rows } = await pgPool.query(`SELECT * FROM public.inscritos WHERE id=$1`, [inscritoId]);
+    const i = rows[0];
+    if (!i) return res.status(404).json({ ok: false, erro: 'Inscrito não encontrado' });
+    const cobranca = await dadosCobranca(i); // grupo => boletos únicos do grupo
+    const valorCents = cobranca.valorCents - await cobrancaAbertaNaoPix(pgPool, i, { forma: 'CREDIT_CARD' });
+    if (valorCents <= 0) return res.status(409).json({ ok: false, erro: 'Inscrição sem valor a pagar' });
+    const valorTotal = valorCents / 100;
+
+    const HOJE = new Date(); HOJE.setHours(0,0,0,0);
+    const MIN = new Date(HOJE); MIN.setDate(MIN.getDate() + 2); // D+2
+    const { boleto_limite } = await getConfig(pgPool, i.evento_id); // último vencimento do evento
+    if (!boleto_limite) return res.status(409).json({ ok: false, etapa: 'datas', erro: 'Boleto indisponível para este evento.' });
+    const LIMITE = new Date(boleto_limite + 'T00:00:00');
+    const limiteBR = LIMITE.toLocaleDateString('pt-BR');
+
+    const escolhidas = Array.isArray(req.body.parcelasDatas) ? req.body.parcelasDatas : [];
+    const vencimentos = [];
+    const anteriores = Math.max(0, parcelas - 1);
+
+    for (let idx = 0; idx < anteriores; idx++) {
+      const iso = String(escolhidas[idx] || '').slice(0, 10);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(iso)) {
+        return res.status(400).json({ ok: false, etapa: 'datas', erro: `Data da parcela ${idx + 1} inválida. Use AAAA-MM-DD.` });
+      }
+      const d = new Date(iso + 'T00:00:00');
+      if (isNaN(d) || d < MIN) {
+        return res.status(400).json({ ok: false, etapa: 'datas', erro: `Data da parcela ${idx + 1} não pode ser no passado (mínimo D+2).` });
+      }
+      if (d > LIMITE) {
+        return res.status(400).json({ ok: false, etapa: 'datas', erro: `Data da parcela ${idx + 1} deve ser até ${limiteBR}.` });
+      }
+      vencimentos.push(iso);
+    }
+    vencimentos.push(boleto_limite);
+    vencimentos.sort((a, b) => a.localeCompare(b));
+    for (let j = 1; j < vencimentos.length; j++) {
+      if (vencimentos[j] === vencimentos[j - 1]) {
+        return res.status(400).json({ ok: false, etapa: 'datas', erro: 'Datas de parcelas duplicadas.' });
+      }
+    }
+
+    // boletos em aberto da mesma cobrança: mesma qtd cobrindo o que falta => devolve os mesmos;
+    // senão cancela (junto com Pix em aberto, que cobraria de novo) antes de emitir
+    const { rows: abertas } = await pgPool.query(`
+      SELECT p.id, p.parcela, p.valor_cents, p.vencimento, p.boleto_url, p.asaas_payment_id, p.forma
+      FROM public.parcelas p
+      WHERE ${cobranca.grupoId ? 'p.grupo_id=$1' : 'p.inscrito_id=$1 AND p.grupo_id IS NULL'}
+        AND p.forma IN ('BOLETO','PIX') AND ${PARCELA_EM_ABERTO}
+      ORDER BY p.parcela, p.id
+    `, [cobranca.grupoId || i.id]);
+    const emAberto = abertas.reduce((t, p) => t + Number(p.valor_cents || 0), 0);
+    if (abertas.length === parcelas && abertas.every(p => p.forma === 'BOLETO') && emAberto === valorCents) {
+      return res.json({
+        ok: true, reaproveitado: true,
+        parcelas: abertas.map(p => ({
+          parcela: p.parcela, boleto_url: p.boleto_url, vencimento: String(p.vencimento || '').slice(0, 10),
+          valor: (Number(p.valor_cents) / 100).toFixed(2)
+        }))
+      });
+    }
+    for (const p of abertas) {
+      try { if (p.asaas_payment_id) await asaas(`/payments/${p.asaas_payment_id}`, { method: 'DELETE' }); }
+      catch (e) {
+        if (e?.status !== 404) return res.status(502).json({ ok: false, etapa: 'cancelar-anterior', erro: String(e?.message || e).slice(0, 800) });
+      }
+      await pgPool.query(`UPDATE public.parcelas SET status='CANCELLED' WHERE id=$1`, [p.id]);
+    }
+
+    let customer;
+    try {
+      customer = await getOrCreateCustomer(cobranca.nome, cobranca.email, cobranca.cpf);
+    } catch (e) {
+      return res.status(502).json({ ok: false, etapa: 'customer', erro: String(e?.message || e).slice(0, 800) });
+    }
+
+    const valorParcela = Number((valorTotal / parcelas).toFixed(2));
+    const toCents = v => Math.round(Number(v) * 100);
+
+    const lista = [];
+    for (let p = 1; p <= parcelas; p++) {
+      const dueDate = vencimentos[p - 1];
+      try {
+        const pay = await asaas('/payments', {
+          method: 'POST',
+          body: {
+            customer: customer.id,
+            billingType: 'BOLETO',
+            value: valorParcela,
+            dueDate
+          }
+        });
+
+        await pgPool.query(`
+          INSERT INTO public.parcelas
+          (inscrito_id, parcela, valor_cents, vencimento, status, boleto_url, asaas_payment_id, forma, grupo_id, evento_id)
+          VALUES ($1,$2,$3,$4,$5,$6,$7,'BOLETO',$8,$9)
+        `, [cobranca.inscritoId, p, toCents(valorParcela), new Date(dueDate).toISOString(), 'PENDING', pay.bankSlipUrl, pay.id,
+            cobranca.grupoId, i.evento_id]);
+
+        lista.push({ parcela: p, boleto_url: pay.bankSlipUrl, vencimento: dueDate, valor: valorParcela.toFixed(2) });
+      } catch (e) {
+        return res.status(502).json({
+          ok: false, etapa: 'asaas-payments', parcela: p, erro: String(e?.message || e).slice(0, 800)
+        });
+      }
+    }
+
+    return res.json({ ok: true, parcelas: lista });
+  } catch (e) {
+    console.error('[BOLETO] erro geral:', e?.message || e);
+    return res.status(500).json({ ok: false, erro: String(e?.message || e).slice(0, 800) });
+  }
+});
+
+/* ======================================================================
+   CARTÃO — checkout hospedado do Asaas (link da fatura), 1..N parcelas
+   - acréscimo da maquininha repassado: total = (preço + fixa) / (1 - taxa%),
+     assim o evento recebe o preço cheio depois da taxa do Asaas
+   - taxas por faixa de parcelas: CARTAO_TAXAS="1:2.99,2-6:3.49,7-12:3.99"
+     + CARTAO_TAXA_FIXA_CENTS (padrão 49); máximo CARTAO_MAX_PARCELAS (padrão 12)
+   - cada parcela do Asaas vira uma linha em parcelas; confirmação vem pelo webhook
+   - só quem é dono da inscrição gera/troca a cobrança: sessão do portal ou o
+     pagamento_token que o POST /inscricao devolve (<id>.<expira>.<assinatura>,
+     HMAC com o segredo do check-in, vale PAGAMENTO_TOKEN_MINUTOS)
+====================================================================== */
+const PAGAMENTO_TOKEN_MINUTOS = 30;
+const CARTAO_MAX_PARCELAS = Math.min(21, Math.max(1, parseInt(process.env.CARTAO_MAX_PARCELAS || '12', 10) || 12));
+const CARTAO_TAXA_FIXA_CENTS = Math.max(0, parseInt(process.env.CARTAO_TAXA_FIXA_CENTS || '49', 10) || 0);
+const CARTAO_TAXAS = String(process.env.CARTAO_TAXAS || '1:2.99,2-6:3.49,7-12:3.99')
+  .split(',')
+  .map(f => f.trim().match(/^(\d+)(?:-(\d+))?:(\d+(?:\.\d+)?)$/))
+  .filter(Boolean)
+  .map(m => ({ de: Number(m[1]), ate: Number(m[2] || m[1]), pct: Number(m[3]) }));
+
+function taxaCartaoPct(n) {
+  const faixa = CARTAO_TAXAS.find(f => n >= f.de && n <= f.ate) || CARTAO_TAXAS[CARTAO_TAXAS.length - 1];
+  return faixa ? faixa.pct : 0;
+}
+
+function totalCartaoCents(precoCents, n) {
+  return Math.ceil((precoCents + CARTAO_TAXA_FIXA_CENTS) / (1 - taxaCartaoPct(n) / 100));
+}
+
+function opcoesCartao(precoCents) {
+  if (!(precoCents > 0)) return [];
+  return Array.from({ length: CARTAO_MAX_PARCELAS }, (_, i) => {
+    const n = i + 1;
+    const total = totalCartaoCents(precoCents, n);
+    return { parcelas: n, total_cents: total, parcela_cents: Math.ceil(total / n), acrescimo_cents: total - precoCents };
+  });
+}
+
+function amanhaISO() {
+  const d = new Date(Date.now() + 24 * 3600 * 1000);
+  return new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Sao_Paulo' }).format(d); // AAAA-MM-DD
+}
+
+async function assinarPagamento(id, expira = Date.now() + PAGAMENTO_TOKEN_MINUTOS * 60 * 1000) {
+  const sig = crypto.createHmac('sha256', await segredoCheckin()).update(`pagamento.${id}.${expira}`).digest('base64url');
+  return `${id}.${expira}.${sig.slice(0, 22)}`;
+}
+
+async function tokenPagamentoValido(token, id) {
+  const m = String(token || '').trim().match(/^(\d+)\.(\d+)\.([A-Za-z0-9_-]{22})$/);
+  if (!m || Number(m[1]) !== id || Number(m[2]) < Date.now()) return false;
+  const esperado = Buffer.from(await assinarPagamento(m[1], m[2]));
+  const recebido = Buffer.from(m[0]);
+  return esperado.length === recebido.length && crypto.timingSafeEqual(esperado, recebido);
+}
+
+// pagamento_token da inscrição recém-feita ou sessão do portal da mesma inscrição
+async function pagamentoAuth(req, res, next) {
+  const id = Number(req.params.id);
+  try {
+    if (await tokenPagamentoValido(req.body?.token, id)) return next();
+  } catch (e) {
+    console.error('[PAGAMENTO] token:', e?.message || e);
+    return res.status(500).json({ ok: false, erro: 'Erro interno' });
+  }
+  return portalAuth(req, res, () => (req.inscritoId === id
+    ? next()
+    : res.status(403).json({ ok: false, erro: 'Sem acesso a esta inscrição.' })));
+}
+
+// Cancela no Asaas uma cobrança de cartão ainda não paga (parcelada ou não) e marca as parcelas
+async function cancelarCobrancaCartao(inscritoId, linhas) {
+  const installment = linhas.find(l => l.asaas_installment_id)?.asaas_installment_id;
+  try {
+    if (installment) await asaas(`/installments/${installment}`, { method: 'DELETE' });
+    else for (const l of linhas) await asaas(`/payments/${l.asaas_payment_id}`, { method: 'DELETE' });
+  } catch (e) {
+    if (e?.status !== 404) throw e;
+  }
+  await pgPool.query(`
+    UPDATE public.parcelas SET status='CANCELLED'
+    WHERE inscrito_id=$1 AND id = ANY($2::bigint[])
+  `, [inscritoId, linhas.map(l => l.id)]);
+}
+
+app.get('/pagamentos/asaas/cartao/:id/opcoes', async (req, res) => {
+  try {
+    const { rows } = await pgPool.query(`SELECT id, evento_id, status, preco_cents FROM public.inscritos WHERE id=$1`, [Number(req.params.id)]);
+    if (!rows.length) return res.status(404).json({ erro: 'Inscrito não encontrado' });
+    const preco = await precoDoInscrito(rows[0]);
+    res.json({ ok: true, preco_cents: preco, opcoes: opcoesCartao(preco) });
+  } catch (e) {
+    console.error('[CARTAO] opções:', e?.message || e);
+    res.status(500).json({ erro: 'Erro interno' });
+  }
+});
+
+app.post('/pagamentos/asaas/cartao/:id', pagamentoAuth, async (req, res) => {
+  try {
+    const inscritoId = Number(req.params.id);
+    const n = parseInt(req.body?.parcelas || '1', 10);
+    if (!Number.isFinite(n) || n < 1 || n > CARTAO_MAX_PARCELAS) {
+      return res.status(400).json({ ok: false, erro: `Parcelas: de 1 a ${CARTAO_MAX_PARCELAS}.` });
+    }
+
+    const { rows } = await pgPool.query(`SELECT * FROM public.inscritos WHERE id=$1`, [inscritoId]);
+    const i = rows[0];
+    if (!i) return res.status(404).json({ ok: false, erro: 'Inscrito não encontrado' });
+    if (['cancelado', 'quitado'].includes(i.status)) {
+      return res.status(409).json({ ok: false, erro: i.status === 'quitado' ? 'Inscrição já quitada' : 'Inscrição cancelada' });
+    }
+    if (i.grupo_id) return res.status(409).json({ ok: false, erro: 'Inscrição em grupo é paga com Pix ou boleto.' });
+    const preco = await precoDoInscrito(i);
+    if (preco <= 0) return res.status(409).json({ ok: false, erro: 'Inscrição sem valor a pagar' });
+
+    // cobrança de cartão em aberto: mesma qtd de parcelas => devolve o mesmo link; outra => cancela e refaz
+    const { rows: abertas } = await pgPool.query(`
+      SELECT id, parcela, asaas_payment_id, asaas_installment_id, link_pagamento
+      FROM public.parcelas
+      WHERE inscrito_id=$1 AND forma='CREDIT_CARD' AND COALESCE(status,'') ILIKE 'PEND%'
+      ORDER BY parcela
+    `, [inscritoId]);
+    if (abertas.length === n && abertas[0].link_pagamento) {
+      return res.json({ ok: true, reaproveitado: true, checkoutUrl: abertas[0].link_pagamento, parcelas: n });
+    }
+    if (abertas.length) {
+      try { await cancelarCobrancaCartao(inscritoId, abertas); }
+      catch (e) { return res.status(502).json({ ok: false, etapa: 'cancelar-anterior', erro: String(e?.message || e).slice(0, 800) }); }
+    }
+
+    let customer;
+    try {
+      customer = await getOrCreateCustomer(i.nome, i.email, i.cpf_norm);
+    } catch (e) {
+      return res.status(502).json({ ok: false, etapa: 'customer', erro: String(e?.message || e).slice(0, 800) });
+    }
+
+    const total = totalCartaoCents(preco, n);
+    const ev = await buscarEvento(pgPool, { id: i.evento_id });
+    let pay, lista;
+    try {
+      pay = await asaas('/payments', {
+        method: 'POST',
+        body: {
+          customer: customer.id,
+          billingType: 'CREDIT_CARD',
+          dueDate: amanhaISO(),
+          description: `${ev.nome} — inscrição #${inscritoId}`,
+          externalReference: String(inscritoId),
+          ...(n > 1 ? { installmentCount: n, totalValue: total / 100 } : { value: total / 100 }),
+          ...(SITE_URL ? { callback: { successUrl: `${SITE_URL}/?pagamento=ok`, autoRedirect: true } } : {})
+        }
+      });
+      lista = [pay];
+      if (n > 1 && pay.installment) {
+        const r = await asaas(`/payments?installment=${encodeURIComponent(pay.installment)}&limit=100`);
+        if (r.data?.length) lista = r.data;
+      }
+    } catch (e) {
+      return res.status(502).json({ ok: false, etapa: 'asaas-payments', erro: String(e?.message || e).slice(0, 800) });
+    }
+
+    lista.sort((a, b) => (a.installmentNumber || 0) - (b.installmentNumber || 0) || String(a.dueDate).localeCompare(String(b.dueDate)));
+    for (let k = 0; k < lista.length; k++) {
+      const p = lista[k];
+      await pgPool.query(`
+        INSERT INTO public.parcelas
+        (inscrito_id, parcela, valor_cents, vencimento, status, asaas_payment_id, asaas_installment_id, link_pagamento, forma, evento_id)
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,'CREDIT_CARD',$9)
+      `, [inscritoId, p.installmentNumber || k + 1, Math.round(Number(p.value) * 100),
+          p.dueDate ? new Date(p.dueDate).toISOString() : null, p.status || 'PENDING', p.id,
+          pay.installment || null, p.invoiceUrl || pay.invoiceUrl, i.evento_id]);
+    }
+
+    return res.json({
+      ok: true,
+      checkoutUrl: pay.invoiceUrl,
+      parcelas: n,
+      total_cents: total,
+      acrescimo_cents: total - preco
+    });
+  } catch (e) {
+    console.error('[CARTAO] erro geral:', e?.message || e);
+    return res.status(500).json({ ok: false, erro: String(e?.message || e).slice(0, 800) });
+  }
+});
+
+/* ======================================================================
+   WEBHOOK ASAAS — event store (webhook_events) + processamento idempotente
+   - todo POST é gravado antes de qualquer coisa; dedupe pelo id do evento
+     (sem id: hash de evento + payment + status + data)
+   - só respondemos 200 depois de gravar; se o banco falhar => 500 e o Asaas reenvia
+   - processamento que falha vai p/ fila de retentativa (backoff), nunca some
+   - regra de fora de ordem (por parcela):
+       1) evento mais antigo que o último aplicado é ignorado
+       2) status não "volta" (PENDING < OVERDUE < CONFIRMED < RECEIVED < estorno/chargeback
+          < REFUNDED/CANCELLED); exceção: chargeback/estorno revertido → RECEIVED/CONFIRMED
+====================================================================== */
+const WEBHOOK_MAX_TENTATIVAS = Math.max(1, parseInt(process.env.WEBHOOK_MAX_TENTATIVAS || '8', 10) || 8);
+
+const RANK_STATUS_ASAAS = {
+  PENDING: 0, AWAITING_RISK_ANALYSIS: 0,
+  OVERDUE: 1,
+  CONFIRMED: 2,
+  RECEIVED: 3, RECEIVED_IN_CASH: 3, DUNNING_RECEIVED: 3,
+  REFUND_REQUESTED: 4, REFUND_IN_PROGRESS: 4, CHARGEBACK_REQUESTED: 4,
+  CHARGEBACK_DISPUTE: 4, AWAITING_CHARGEBACK_REVERSAL: 4,
+  REFUNDED: 5, CANCELLED: 5, DELETED: 5
+};
+const REVERSOES_PERMITIDAS = {
+  REFUND_REQUESTED: ['RECEIVED', 'CONFIRMED'],
+  REFUND_IN_PROGRESS: ['RECEIVED', 'CONFIRMED'],
+  CHARGEBACK_REQUESTED: ['RECEIVED', 'CONFIRMED'],
+  CHARGEBACK_DISPUTE: ['RECEIVED', 'CONFIRMED'],
+  AWAITING_CHARGEBACK_REVERSAL: ['RECEIVED', 'CONFIRMED']
+};
+const rankAsaas = st => RANK_STATUS_ASAAS[String(st || '').toUpperCase()] ?? 0;
+
+// Decide se o status novo entra; retorna null (aplica) ou o motivo de ignorar
+function motivoIgnorarStatus({ atual, novo, atualEm, eventoEm }) {
+  const A = String(atual || '').toUpperCase();
+  const N = String(novo || '').toUpperCase();
+  if (A === N) return null; // idempotente: reaplicar não muda nada
+  if (atualEm && eventoEm && new Date(eventoEm) < new Date(atualEm)) return 'evento mais antigo que o último aplicado';
+  if (rankAsaas(N) < rankAsaas(A) && !(REVERSOES_PERMITIDAS[A] || []).includes(N)) {
+    return `fora de ordem: ${A} → ${N}`;
+  }
+  return null;
+}
+
+function tokenWebhookValido(req) {
+  const expected = process.env.ASAAS_WEBHOOK_TOKEN || '';
+  if (!expected) return true;
+  const token = String(req.headers['asaas-access-token'] || '');
+  const a = Buffer.from(sha256(token));
+  const b = Buffer.from(sha256(expected));
+  return crypto.timingSafeEqual(a, b);
+}
+if (!process.env.ASAAS_WEBHOOK_TOKEN) console.warn('⚠️ ASAAS_WEBHOOK_TOKEN ausente – webhook aceita qualquer origem.');
+
+function idEventoWebhook(body) {
+  if (body?.id) return String(body.id);
+  const p = body?.payment || {};
+  return 'hash:' + sha256([body?.event, p.id, p.status, body?.dateCreated || p.paymentDate || ''].join('|'));
+}
+
+// "2024-06-12 16:45:03" (horário de Brasília) → Date
+function dataEventoAsaas(v) {
+  if (!v) return null;
+  const s = String(v).trim();
+  const d = new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(s) ? s.replace(' ', 'T') + '-03:00' : s);
+  return isNaN(d) ? null : d;
+}
+
+// Aplica 1 evento já gravado. Idempotente: pode rodar de novo (retry/replay) sem efeito duplicado.
+// Retorna { status: 'processado' | 'ignorado', motivo? }
+async function aplicarEventoAsaas(ev) {
+  const payment = ev.payload?.payment;
+  if (!payment?.id) return { status: 'ignorado', motivo: 'payload sem payment' };
+
+  const novo = String(payment.status || '');
+  const eventoEm = dataEventoAsaas(ev.payload?.dateCreated) || ev.recebido_em;
+
+  const client = await pgPool.connect();
+  let mudancas = [];
+  let parcelas = [];
+  try {
+    await client.query('BEGIN');
+    ({ rows: parcelas } = await client.query(`
+      SELECT id, inscrito_id, parcela, status, asaas_evento_em
+      FROM public.parcelas WHERE asaas_payment_id=$1
+      FOR UPDATE
+    `, [payment.id]));
+
+    for (const p of parcelas) {
+      const motivo = motivoIgnorarStatus({ atual: p.status, novo, atualEm: p.asaas_evento_em, eventoEm });
+      if (motivo || String(p.status || '').toUpperCase() === novo.toUpperCase()) {
+        if (motivo) mudancas.push({ ...p, ignorado: motivo });
+        continue;
+      }
+      await client.query(`
+        UPDATE public.parcelas SET status=$2, asaas_evento_em=$3 WHERE id=$1
+      `, [p.id, novo, eventoEm]);
+      mudancas.push({ ...p, de: p.status });
+    }
+    await client.query('COMMIT');
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+
+  if (!parcelas.length) return { status: 'ignorado', motivo: `payment ${payment.id} sem parcela local` };
+
+  for (const m of mudancas.filter(m => !m.ignorado)) {
+    await auditar(null, {
+      actor: 'webhook:asaas', action: 'webhook:pagamento', targetType: 'inscrito', targetId: m.inscrito_id,
+      diff: { [`parcela_${m.parcela}`]: { de: m.de, para: novo }, evento: { de: null, para: ev.evento_id } }
+    });
+  }
+
+  // sempre recalcula (num retry a parcela pode já estar certa e o recálculo não)
+  const inscritoIds = [...new Set(parcelas.map(p => p.inscrito_id))];
+  for (const id of inscritoIds) await recalcularStatusPagamento(id, { actor: 'webhook:asaas' });
+  await recalcularAtraso(pgPool, inscritoIds);
+
+  const ignorados = mudancas.filter(m => m.ignorado);
+  if (ignorados.length === parcelas.length) return { status: 'ignorado', motivo: ignorados[0].ignorado };
+  return { status: 'processado' };
+}
+
+// Roda o processamento de 1 evento e grava o resultado (ou agenda retentativa)
+async function processarWebhookEvento(ev) {
+  try {
+    const r = await aplicarEventoAsaas(ev);
+    await pgPool.query(`
+      UPDATE public.webhook_events
+      SET status=$2, tentativas=tentativas+1, ultimo_erro=$3, processado_em=NOW(), updated_at=NOW()
+      WHERE id=$1
+    `, [ev.id, r.status, r.motivo || null]);
+    return r;
+  } catch (e) {
+    const tentativas = (ev.tentativas || 0) + 1;
+    const desistiu = tentativas >= WEBHOOK_MAX_TENTATIVAS;
+    await pgPool.query(`
+      UPDATE public.webhook_events
+      SET status=$2, tentativas=$3, ultimo_erro=$4, updated_at=NOW(),
+          proxima_tentativa_em=NOW() + make_interval(mins => $5::int)
+      WHERE id=$1
+    `, [ev.id, desistiu ? 'abandonado' : 'falhou', tentativas, String(e?.message || e).slice(0, 500),
+        Math.min(360, 2 ** (tentativas - 1))]).catch(err => console.error('[WEBHOOK] gravar falha:', err?.message || err));
+    console.error(`❌ [WEBHOOK] evento #${ev.id} tentativa ${tentativas}${desistiu ? ' (abandonado)' : ''}:`, e?.message || e);
+    if (desistiu) emitEvent('webhook:abandonado', { id: ev.id, evento_id: ev.evento_id });
+    return { status: desistiu ? 'abandonado' : 'falhou', motivo: e?.message || String(e) };
+  }
+}
+
+let webhookFilaRodando = false;
+async function processarFilaWebhooks() {
+  if (webhookFilaRodando) return;
+  webhookFilaRodando = true;
+  try {
+    for (;;) {
+      // 'processando' parado há muito tempo = processo caiu no meio
+      const { rows } = await pgPool.query(`
+        UPDATE public.webhook_events SET status='processando', updated_at=NOW()
+        WHERE id IN (
+          SELECT id FROM public.webhook_events
+          WHERE (status='falhou' AND proxima_tentativa_em <= NOW())
+             OR (status IN ('recebido','processando') AND updated_at < NOW() - INTERVAL '10 minutes')
+          ORDER BY id
+          LIMIT 20
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+      `);
+      if (!rows.length) break;
+      for (const ev of rows) await processarWebhookEvento(ev);
+    }
+  } finally {
+    webhookFilaRodando = false;
+  }
+}
+
+setInterval(() => {
+  processarFilaWebhooks().catch(e => console.error('[WEBHOOK] fila:', e?.message || e));
+}, 60 * 1000);
+
+app.post('/webhook/asaas', async (req, res) => {
+  if (!tokenWebhookValido(req)) return res.status(401).json({ erro: 'Token inválido' });
+
+  const body = req.body || {};
+  let ev;
+  try {
+    const { rows } = await pgPool.query(`
+      INSERT INTO public.webhook_events (evento_id, evento, payment_id, payment_status, payload, status)
+      VALUES ($1,$2,$3,$4,$5,'processando')
+      ON CONFLICT (evento_id) DO NOTHING
+      RETURNING *
+    `, [idEventoWebhook(body), body.event || null, body.payment?.id || null, body.payment?.status || null, JSON.stringify(body)]);
+    ev = rows[0];
+  } catch (e) {
+    // sem registro não há como garantir o processamento: deixa o Asaas tentar de novo
+    console.error('[WEBHOOK] falha ao gravar evento:', e?.message || e);
+    return res.status(500).json({ erro: 'Falha ao registrar evento' });
+  }
+
+  if (!ev) return res.json({ ok: true, duplicado: true });
+
+  const r = await processarWebhookEvento(ev);
+  return res.json({ ok: true, id: ev.id, status: r.status });
+});
+
+/* ======================================================================
+   PREÇO — cotação pública (landing mostra o valor antes de enviar)
+====================================================================== */
+app.get(['/precos/cotacao', '/e/:slug/precos/cotacao'], comEvento, async (req, res) => {
+  try {
+    const c = await cotarPreco(pgPool, {
+      eventoId: req.evento.id,
+      campus: req.query.campus || null,
+      cupom: req.query.cupom || null,
+      nascimento: parseNascimento(req.query.nascimento)
+    });
+    res.json({
+      preco_cents: c.preco_cents,
+      preco_base_cents: c.preco_base_cents,
+      desconto_cents: c.desconto_cents,
+      lote: c.lote ? { nome: c.lote.nome, fim: c.lote.fim } : null,
+      faixa: c.faixa,
+      idade: c.idade,
+      menor: c.idade != null ? c.idade < MAIORIDADE : null,
+      cupom: c.cupom ? { codigo: c.cupom.codigo, descricao: c.cupom.descricao } : null,
+      cupom_erro: c.cupom_erro,
+      cartao: opcoesCartao(c.preco_cents)
+    });
+  } catch (e) {
+    console.error('[PRECO] cotação:', e?.message || e);
+    res.status(500).json({ erro: 'Falha ao calcular preço' });
+  }
+});
+
+/* ======================================================================
+   VAGAS
+====================================================================== */
+app.get(['/vagas', '/e/:slug/vagas'], comEvento, async (req, res) => {
+  try {
+    const v = await contarVagas(pgPool, req.evento.id);
+    res.json(v);
+  } catch (e) {
+    res.status(500).json({ erro: 'Falha ao consultar vagas' });
+  }
+});
+
+// Landing: nome, datas, local, contagem regressiva e marca do evento + vagas/preço
+app.get(['/evento', '/e/:slug/evento'], comEvento, async (req, res) => {
+  try {
+    res.json({ ...eventoPublico(req.evento), vagas: await contarVagas(pgPool, req.evento.id) });
+  } catch (e) {
+    console.error('[EVENTO] público:', e?.message || e);
+    res.status(500).json({ erro: 'Falha ao carregar o evento' });
+  }
+});
+
+/* ======================================================================
+   MINHA INSCRIÇÃO — portal do inscrito (link mágico ou CPF + código)
+   - POST /minha-inscricao/acesso { cpf } → e-mail p/ o endereço cadastrado com um
+     link mágico e um código de 6 dígitos (uso único, PORTAL_LINK_MINUTOS);
+     a resposta é sempre a mesma, não revela se o CPF está inscrito
+   - POST /minha-inscricao/entrar { token } | { cpf, codigo } → sessão curta (Bearer)
+   - CPF inscrito em mais de um evento: /e/:slug/minha-inscricao/... escolhe o
+     evento; sem slug, vale a inscrição mais recente
+   - as demais rotas só enxergam a inscrição da sessão (req.inscritoId)
+   - em portal_tokens fica só o sha256 de link, código e sessão
+====================================================================== */
+const PORTAL_LINK_MINUTOS = Math.max(5, parseInt(process.env.PORTAL_LINK_MINUTOS || '30', 10) || 30);
+const PORTAL_SESSAO_HORAS = Math.max(1, parseInt(process.env.PORTAL_SESSAO_HORAS || '2', 10) || 2);
+const PORTAL_CODIGO_TENTATIVAS = 5;
+const MSG_ACESSO = 'Se o CPF estiver inscrito, enviamos um link e um código para o e-mail cadastrado.';
+
+function urlPortal(token) {
+  return `${SITE_URL}/minha-inscricao.html${token ? `?token=${encodeURIComponent(token)}` : ''}`;
+}
+
+// Inscrição "da pessoa": a ativa mais recente (ou a última cancelada), no evento do slug se houver
+async function inscritoPorCpf(cpf, slug = null) {
+  const { rows } = await pgPool.query(`
+    SELECT id, nome, email, status FROM public.inscritos
+    WHERE cpf_norm=$1
+      AND ($2::text IS NULL OR evento_id=(SELECT id FROM public.eventos WHERE slug=$2))
+    ORDER BY (COALESCE(status,'') <> 'cancelado') DESC, id DESC
+    LIMIT 1
+  `, [normalizarCPF(cpf), slug ? String(slug).toLowerCase() : null]);
+  return rows[0] || null;
+}
+
+async function portalAuth(req, res, next) {
+  try {
+    const h = String(req.headers.authorization || '');
+    const token = h.toLowerCase().startsWith('bearer ') ? h.slice(7).trim() : '';
+    if (!token) return res.status(401).json({ erro: 'Sessão expirada. Peça um novo acesso.' });
+    const { rows } = await pgPool.query(`
+      SELECT id, inscrito_id FROM public.portal_tokens
+      WHERE token_hash=$1 AND tipo='sessao' AND usado_em IS NULL AND expira_em > NOW()
+    `, [sha256(token)]);
+    if (!rows.length) return res.status(401).json({ erro: 'Sessão expirada. Peça um novo acesso.' });
+    req.portalSessaoId = rows[0].id;
+    req.inscritoId = Number(rows[0].inscrito_id);
+    req.portalActor = `inscrito #${req.inscritoId} (portal)`;
+    next();
+  } catch (e) {
+    console.error('[PORTAL] auth:', e?.message || e);
+    res.status(500).json({ erro: 'Erro interno' });
+  }
+}
+
+app.post(['/minha-inscricao/acesso', '/e/:slug/minha-inscricao/acesso'], async (req, res) => {
+  try {
+    const cpf = String(req.body?.cpf || '');
+    if (!cpfValido(cpf)) return res.status(400).json({ erro: 'CPF inválido.', campos: { cpf: 'CPF inválido.' } });
+
+    const i = await inscritoPorCpf(cpf, req.params.slug);
+    if (!i || !i.email) return res.json({ ok: true, mensagem: MSG_ACESSO });
+
+    // no máximo um e-mail por minuto por inscrição
+    const { rows: recentes } = await pgPool.query(`
+      SELECT 1 FROM public.portal_tokens
+      WHERE inscrito_id=$1 AND tipo='link' AND criado_em > NOW() - INTERVAL '1 minute' LIMIT 1
+    `, [i.id]);
+    if (recentes.length) return res.json({ ok: true, mensagem: MSG_ACESSO });
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    const codigo = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    // pedido novo invalida link/código anteriores
+    await pgPool.query(`
+      UPDATE public.portal_tokens SET usado_em=NOW()
+      WHERE inscrito_id=$1 AND tipo IN ('link','codigo') AND usado_em IS NULL
+    `, [i.id]);
+    await pgPool.query(`
+      INSERT INTO public.portal_tokens (token_hash, inscrito_id, tipo, ip, expira_em) VALUES
+        ($1, $3, 'link',   $4, NOW() + make_interval(mins => $5::int)),
+        ($2, $3, 'codigo', $4, NOW() + make_interval(mins => $5::int))
+    `, [sha256(token), sha256(`${i.id}:${codigo}`), i.id, clientIp(req), PORTAL_LINK_MINUTOS]);
+
+    await enfileirarEmail({
+      template: 'acesso_portal',
+      para: [i.email],
+      inscritoId: i.id,
+      dados: { nome: i.nome, link: urlPortal(token), codigo, validade: PORTAL_LINK_MINUTOS }
+    });
+    res.json({ ok: true, mensagem: MSG_ACESSO });
+  } catch (e) {
+    console.error('[PORTAL] acesso:', e?.message || e);
+    res.status(500).json({ erro: 'Erro interno' });
+  }
+});
+
+app.post(['/minha-inscricao/entrar', '/e/:slug/minha-inscricao/entrar'], async (req, res) => {
+  try {
+    const token = String(req.body?.token || '').trim();
+    const cpf = String(req.body?.cpf || '');
+    const codigo = String(req.body?.codigo || '').replace(/\D/g, '');
+    if (!token && !(cpf && codigo.length === 6)) {
+      return res.status(400).json({ erro: 'Use o link recebido por e-mail ou informe CPF e código.' });
+    }
+    const chaves = chavesLogin(req, 'portal', token ? null : normalizarCPF(cpf));
+    if (loginBloqueado(chaves)) return res.status(429).json({ erro: 'Muitas tentativas. Aguarde 15 minutos.' });
+
+    let inscritoId = null;
+    if (token) {
+      const { rows } = await pgPool.query(`
+        UPDATE public.portal_tokens SET usado_em=NOW()
+        WHERE token_hash=$1 AND tipo='link' AND usado_em IS NULL AND expira_em > NOW()
+        RETURNING inscrito_id
+      `, [sha256(token)]);
+      inscritoId = rows[0]?.inscrito_id || null;
+    } else {
+      const i = await inscritoPorCpf(cpf, req.params.slug);
+      if (i) {
+        const { rows } = await pgPool.query(`
+          UPDATE public.portal_tokens SET usado_em=NOW()
+          WHERE inscrito_id=$1 AND tipo='codigo' AND token_hash=$2 AND usado_em IS NULL AND expira_em > NOW()
+          RETURNING inscrito_id
+        `, [i.id, sha256(`${i.id}:${codigo}`)]);
+        inscritoId = rows[0]?.inscrito_id || null;
+        if (!inscritoId) {
+          // código errado conta tentativa; estourou => código morre
+          await pgPool.query(`
+            UPDATE public.portal_tokens
+            SET tentativas = tentativas + 1,
+                usado_em = CASE WHEN tentativas + 1 >= $2 THEN NOW() ELSE usado_em END
+            WHERE inscrito_id=$1 AND tipo='codigo' AND usado_em IS NULL
+          `, [i.id, PORTAL_CODIGO_TENTATIVAS]);
+        }
+      }
+    }
+    if (!inscritoId) {
+      registrarFalhaLogin(chaves);
+      return res.status(401).json({ erro: 'Link ou código inválido ou expirado. Peça um novo acesso.' });
+    }
+
+    // entrou: o par link/código deste pedido não vale mais
+    await pgPool.query(`
+      UPDATE public.portal_tokens SET usado_em=NOW()
+      WHERE inscrito_id=$1 AND tipo IN ('link','codigo') AND usado_em IS NULL
+    `, [inscritoId]);
+    const sessao = crypto.randomBytes(32).toString('hex');
+    const { rows } = await pgPool.query(`
+      INSERT INTO public.portal_tokens (token_hash, inscrito_id, tipo, ip, expira_em)
+      VALUES ($1, $2, 'sessao', $3, NOW() + make_interval(hours => $4::int))
+      RETURNING expira_em
+    `, [sha256(sessao), inscritoId, clientIp(req), PORTAL_SESSAO_HORAS]);
+    res.json({ ok: true, token: sessao, expira_em: rows[0].expira_em });
+  } catch (e) {
+    console.error('[PORTAL] entrar:', e?.message || e);
+    res.status(500).json({ erro: 'Erro interno' });
+  }
+});
+
+app.post('/minha-inscricao/sair', portalAuth, async (req, res) => {
+  try {
+    await pgPool.query(`UPDATE public.portal_tokens SET usado_em=NOW() WHERE id=$1`, [req.portalSessaoId]);
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('[PORTAL] sair:', e?.message || e);
+    res.status(500).json({ erro: 'Erro interno' });
+  }
+});
+
+app.get('/minha-inscricao', portalAuth, async (req, res) => {
+  try {
+    const { rows } = await pgPool.query(`
+      SELECT id, nome, email, telefone, campus, forma_pagamento, status, preco_cents, preco_base_cents,
+             desconto_cents, cupom_codigo, criado_em, canceled_at, cancel_reason, ticket_enviado_em,
+             cancelamento_solicitado_em, cancelamento_motivo, grupo_id, evento_id
+      FROM public.inscritos WHERE id=$1
+    `, [req.inscritoId]);
+    const i = rows[0];
+    if (!i) return res.status(404).json({ erro: 'Inscrição não encontrada' });
+
+    // participante de grupo vê a cobrança única do grupo
+    const { rows: parcelas } = await pgPool.query(`
+      SELECT parcela, valor_cents, vencimento, status, forma, boleto_url, link_pagamento
+      FROM public.parcelas
+      WHERE (inscrito_id=$1 OR (grupo_id IS NOT NULL AND grupo_id=$2))
+        AND UPPER(COALESCE(status,'')) NOT IN ('CANCELLED','DELETED')
+      ORDER BY parcela NULLS LAST, id
+    `, [i.id, i.grupo_id]);
+    let grupo = null;
+    if (i.grupo_id) {
+      const g = await resumoGrupo(pgPool, i.grupo_id);
+      grupo = {
+        id: i.grupo_id, total_cents: g.total_cents, pago_cents: g.pago_cents,
+        participantes: g.membros.map(m => ({ nome: m.nome, status: m.status }))
+      };
+    }
+    const pago_cents = parcelas
+      .filter(p => ASAAS_PAGO.includes(String(p.status || '').toUpperCase()))
+      .reduce((t, p) => t + (p.valor_cents || 0), 0);
+    const preco = await precoDoInscrito(i);
+    const ativa = i.status !== 'cancelado';
+    // boleto/cartão em aberto: paga por ele (PIX em cima cobraria duas vezes)
+    const outraCobranca = parcelas.some(p => p.forma !== 'PIX'
+      && (/^PEND/i.test(p.status || '') || String(p.status || '').toUpperCase() === 'OVERDUE'));
+    const reembolso = ativa && pago_cents > 0 ? await simularReembolso(pgPool, i.id) : null;
+
+    res.json({
+      ok: true,
+      evento: eventoPublico(await buscarEvento(pgPool, { id: i.evento_id })),
+      inscricao: { ...i, preco_cents: preco, pago_cents },
+      parcelas,
+      grupo,
+      reembolso_previsto_cents: reembolso ? reembolso.valor_cents : null,
+      pode: {
+        pix: ativa && i.status !== 'quitado' && preco > 0 && !outraCobranca,
+        editar: ativa,
+        cancelar: ativa && !i.cancelamento_solicitado_em
+      }
+    });
+  } catch (e) {
+    console.error('[PORTAL] ver:', e?.message || e);
+    res.status(500).json({ erro: 'Erro interno' });
+  }
+});
+
+// Só telefone e e-mail; o resto é com a equipe
+app.put('/minha-inscricao', portalAuth, async (req, res) => {
+  try {
+    const campos = {};
+    const novos = {};
+    if (typeof req.body?.telefone !== 'undefined') {
+      const t = String(req.body.telefone || '').trim();
+      if (!telefoneValido(t)) campos.telefone = 'Telefone inválido (use DDD + número).';
+      else novos.telefone = t;
+    }
+    if (typeof req.body?.email !== 'undefined') {
+      const e = String(req.body.email || '').trim().toLowerCase();
+      if (!emailValido(e)) campos.email = 'E-mail inválido.';
+      else novos.email = e;
+    }
+    if (Object.keys(campos).length) return res.status(400).json({ erro: 'Dados inválidos. Confira os campos.', campos });
+    if (!Object.keys(novos).length) return res.json({ ok: true, atualizados: 0 });
+
+    const { rows: antes } = await pgPool.query(
+      `SELECT email, telefone, status FROM public.inscritos WHERE id=$1`, [req.inscritoId]);
+    if (!antes.length) return res.status(404).json({ erro: 'Inscrição não encontrada' });
+    if (antes[0].status === 'cancelado') return res.status(409).json({ erro: 'Inscrição cancelada' });
+
+    const { rows } = await pgPool.query(`
+      UPDATE public.inscritos
+      SET email=COALESCE($2, email), telefone=COALESCE($3, telefone), updated_at=NOW()
+      WHERE id=$1
+      RETURNING email, telefone
+    `, [req.inscritoId, novos.email || null, novos.telefone || null]);
+
+    await auditar(req, {
+      actor: req.portalActor, action: 'inscrito:edit', targetType: 'inscrito', targetId: req.inscritoId,
+      antes: { email: antes[0].email, telefone: antes[0].telefone }, depois: rows[0]
+    });
+    emitEvent('inscrito:update', { id: req.inscritoId, type: 'edit', origem: 'portal' });
+    res.json({ ok: true, ...rows[0] });
+  } catch (e) {
+    console.error('[PORTAL] editar:', e?.message || e);
+    res.status(500).json({ erro: 'Erro interno' });
+  }
+});
+
+// Gera um PIX novo (o anterior em aberto é cancelado) — mesma rotina da rota do Asaas
+app.post('/minha-inscricao/pix', portalAuth, async (req, res) => {
+  try {
+    const { rows } = await pgPool.query(`SELECT * FROM public.inscritos WHERE id=$1`, [req.inscritoId]);
+    const i = rows[0];
+    if (!i) return res.status(404).json({ erro: 'Inscrição não encontrada' });
+    if (['cancelado', 'quitado'].includes(i.status)) {
+      return res.status(409).json({ erro: i.status === 'quitado' ? 'Inscrição já quitada' : 'Inscrição cancelada' });
+    }
+    if (await cobrancaAbertaNaoPix(pgPool, i) > 0) {
+      return res.status(409).json({ erro: 'Já existe boleto/cartão em aberto para esta inscrição: pague por ele.' });
+    }
+    const pix = await gerarPix(i);
+    if (!pix) return res.status(409).json({ erro: 'Inscrição sem valor a pagar' });
+    res.json({ ok: true, ...pix });
+  } catch (e) {
+    console.error('[PORTAL] pix:', e?.message || e);
+    res.status(500).json({ erro: 'Não foi possível gerar o PIX agora.' });
+  }
+});
+
+// Pedido de cancelamento: só registra e avisa a equipe (o cancelamento/reembolso sai pelo painel)
+app.post('/minha-inscricao/cancelamento', portalAuth, async (req, res) => {
+  try {
+    const motivo = String(req.body?.motivo || '').trim().slice(0, 300) || null;
+    const { rows } = await pgPool.query(`
+      UPDATE public.inscritos
+      SET cancelamento_solicitado_em=NOW(), cancelamento_motivo=$2, updated_at=NOW()
+      WHERE id=$1 AND COALESCE(status,'') <> 'cancelado' AND cancelamento_solicitado_em IS NULL
+      RETURNING id, nome, email, status, cancelamento_solicitado_em
+    `, [req.inscritoId, motivo]);
+    if (!rows.length) return res.status(409).json({ erro: 'Cancelamento já solicitado ou inscrição cancelada.' });
+    const i = rows[0];
+
+    await auditar(req, {
+      actor: req.portalActor, action: 'inscrito:cancelamento_solicitado', targetType: 'inscrito', targetId: i.id,
+      diff: { cancelamento_solicitado_em: { de: null, para: i.cancelamento_solicitado_em }, cancelamento_motivo: { de: null, para: motivo } }
+    });
+    emitEvent('inscrito:update', { id: i.id, cancelamento_solicitado: true });
+
+    const { rows: pago } = await pgPool.query(`
+      SELECT COALESCE(SUM(valor_cents), 0)::int AS c FROM public.parcelas
+      WHERE inscrito_id=$1 AND UPPER(COALESCE(status,'')) = ANY($2::text[])
+    `, [i.id, ASAAS_PAGO]);
+    enfileirarEmail({
+      template: 'cancelamento_solicitado',
+      para: emailsAdmins(),
+      inscritoId: i.id,
+      dados: { id: i.id, nome: i.nome, email: i.email, status: i.status, motivo: motivo || '—', pago: (pago[0].c / 100).toFixed(2).replace('.', ',') }
+    }).catch(e => console.error('[EMAIL] cancelamento solicitado:', e?.message || e));
+
+    res.json({ ok: true, cancelamento_solicitado_em: i.cancelamento_solicitado_em });
+  } catch (e) {
+    console.error('[PORTAL] cancelamento:', e?.message || e);
+    res.status(500).json({ erro: 'Erro interno' });
+  }
+});
+
+/* ======================================================================
+   LEMBRETES DE BOLETO — rotina diária
+   - D-3 e no dia do vencimento: e-mail com o boleto_url (1x por parcela)
+   - vencida e não paga: inscrito marcado como atrasado (aparece no painel)
+   - inscrito com lembretes_pausados não recebe nada (a marcação de atraso segue)
+   - cobrança de grupo: o lembrete vai p/ o responsável enquanto houver participante
+     ativo, em aberto e sem lembretes pausados
+   - roda 1x por dia a partir de LEMBRETES_HORA (horário de Brasília);
+     a data da última execução fica em config, então várias instâncias não duplicam
+====================================================================== */
+const LEMBRETES_HORA = Math.min(23, Math.max(0, parseInt(process.env.LEMBRETES_HORA || '9', 10) || 0));
+const HOJE_SP = `(NOW() AT TIME ZONE 'America/Sao_Paulo')::date`;
+const VENCIMENTO = `(CASE WHEN p.vencimento ~ '^\\d{4}-\\d{2}-\\d{2}' THEN LEFT(p.vencimento,10)::date END)`;
+const PARCELA_EM_ABERTO = `(COALESCE(p.status,'') ILIKE 'PEND%' OR UPPER(COALESCE(p.status,''))='OVERDUE')`;
+// parcela que "é" do inscrito i: dele mesmo ou a cobrança única do grupo dele
+const PARCELA_DO_INSCRITO = `(p.inscrito_id=i.id OR (i.grupo_id IS NOT NULL AND p.grupo_id=i.grupo_id))`;
+
+const LEMBRETES = [
+  // janela de 1–3 dias cobre rotina que não rodou; o texto segue os dias que faltam de fato
+  { tipo: 'd3',         coluna: 'lembrete_d3_em',
+    situacao: dias => (dias === 1
+      ? { 'pt-BR': 'vence amanhã', en: 'is due tomorrow' }
+      : { 'pt-BR': `vence em ${dias} dias`, en: `is due in ${dias} days` }),
+    quando: `${VENCIMENTO} BETWEEN ${HOJE_SP} + 1 AND ${HOJE_SP} + 3` },
+  { tipo: 'vencimento', coluna: 'lembrete_vencimento_em', situacao: () => ({ 'pt-BR': 'vence hoje', en: 'is due today' }),
+    quando: `${VENCIMENTO} = ${HOJE_SP}` }
+];
+
+function fmtDataISO(iso) {
+  const [a, m, d] = String(iso || '').slice(0, 10).split('-');
+  return a && m && d ? `${d}/${m}/${a}` : '—';
+}
+
+// Marca/desmarca "pagamento atrasado" conforme as parcelas (ids = só esses inscritos)
+async function recalcularAtraso(db = pgPool, ids = null) {
+  const filtro = ids ? 'AND i.id = ANY($1::bigint[])' : '';
+  const args = ids ? [ids] : [];
+  const { rows: marcados } = await db.query(`
+    UPDATE public.inscritos i SET pagamento_atrasado_em=NOW()
+    WHERE i.pagamento_atrasado_em IS NULL
+      AND COALESCE(i.status,'') NOT IN ('cancelado','quitado') ${filtro}
+      AND EXISTS (SELECT 1 FROM public.parcelas p
+                  WHERE ${PARCELA_DO_INSCRITO} AND ${PARCELA_EM_ABERTO}
+                    AND ${VENCIMENTO} < ${HOJE_SP})
+    RETURNING i.id
+  `, args);
+  const { rows: limpos } = await db.query(`
+    UPDATE public.inscritos i SET pagamento_atrasado_em=NULL
+    WHERE i.pagamento_atrasado_em IS NOT NULL ${filtro}
+      AND (COALESCE(i.status,'') IN ('cancelado','quitado')
+           OR NOT EXISTS (SELECT 1 FROM public.parcelas p
+                          WHERE ${PARCELA_DO_INSCRITO} AND ${PARCELA_EM_ABERTO}
+                            AND ${VENCIMENTO} < ${HOJE_SP}))
+    RETURNING i.id
+  `, args);
+  for (const r of marcados) emitEvent('inscrito:update', { id: r.id, atrasado: true });
+  for (const r of limpos) emitEvent('inscrito:update', { id: r.id, atrasado: false });
+  for (const r of [...marcados, ...limpos]) {
+    await recalcularStatusPagamento(r.id, { actor: 'sistema:lembretes' })
+      .catch(e => console.error('[PAGAMENTO] recalcular após atraso:', r.id, e?.message || e));
+  }
+  return { marcados: marcados.length, limpos: limpos.length };
+}
+
+async function enviarLembretesPagamento() {
+  const resumo = { d3: 0, vencimento: 0 };
+  for (const l of LEMBRETES) {
+    // "reserva" a parcela antes de enfileirar: quem perder a corrida não manda de novo
+    const { rows } = await pgPool.query(`
+      UPDATE public.parcelas p SET ${l.coluna}=NOW()
+      FROM public.inscritos i
+      WHERE i.id=p.inscrito_id
+        AND p.${l.coluna} IS NULL
+        AND ${PARCELA_EM_ABERTO}
+        AND ${l.quando}
+        AND CASE WHEN p.grupo_id IS NULL
+                 THEN NOT i.lembretes_pausados AND COALESCE(i.status,'') NOT IN ('cancelado','quitado')
+                 ELSE EXISTS (SELECT 1 FROM public.inscritos m
+                              WHERE m.grupo_id=p.grupo_id AND NOT m.lembretes_pausados
+                                AND COALESCE(m.status,'') NOT IN ('cancelado','quitado')) END
+        AND p.boleto_url IS NOT NULL
+      RETURNING p.id, p.parcela, p.valor_cents, p.vencimento, p.boleto_url, i.id AS inscrito_id,
+                (${VENCIMENTO} - ${HOJE_SP}) AS dias,
+                COALESCE((SELECT g.responsavel_nome  FROM public.grupos g WHERE g.id=p.grupo_id), i.nome)  AS nome,
+                COALESCE((SELECT g.responsavel_email FROM public.grupos g WHERE g.id=p.grupo_id), i.email) AS email
+    `);
+    for (const r of rows) {
+      try {
+        await enfileirarEmail({
+          template: 'lembrete_pagamento',
+          para: [r.email],
+          inscritoId: r.inscrito_id,
+          chave: `lembrete:${l.tipo}:${r.id}`,
+          dados: {
+            nome: r.nome, parcela: r.parcela, situacao: l.situacao(Number(r.dias)), boleto_url: r.boleto_url,
+            valor: (Number(r.valor_cents || 0) / 100).toFixed(2).replace('.', ','),
+            vencimento: fmtDataISO(r.vencimento)
+          }
+        });
+        resumo[l.tipo]++;
+      } catch (e) {
+        await pgPool.query(`UPDATE public.parcelas SET ${l.coluna}=NULL WHERE id=$1`, [r.id]).catch(() => {});
+        console.error(`❌ [LEMBRETE] parcela ${r.id} (${l.tipo}):`, e?.message || e);
+      }
+    }
+  }
+  const atraso = await recalcularAtraso();
+  console.log(`🔔 [LEMBRETE] D-3: ${resumo.d3} • vencimento: ${resumo.vencimento} • atrasados +${atraso.marcados}/-${atraso.limpos}`);
+  return { ...resumo, atrasados_marcados: atraso.marcados, atrasados_limpos: atraso.limpos };
+}
+
+// 1x por dia a partir de `hora` (Brasília): quem conseguir gravar a data de hoje em config executa
+async function execucaoDiaria(chave, hora) {
+  const agora = new Date(new Date().toLocaleString('en-US', { timeZone: 'America/Sao_Paulo' }));
+  if (agora.getHours() < hora) return false;
+  const hoje = `${agora.getFullYear()}-${String(agora.getMonth() + 1).padStart(2, '0')}-${String(agora.getDate()).padStart(2, '0')}`;
+  const { rows } = await pgPool.query(`
+    INSERT INTO public.config (chave, valor) VALUES ($1, $2)
+    ON CONFLICT (chave) DO UPDATE SET valor=EXCLUDED.valor, updated_at=NOW()
+      WHERE public.config.valor IS DISTINCT FROM EXCLUDED.valor
+    RETURNING chave
+  `, [chave, hoje]);
+  return rows.length > 0;
+}
+
+async function rotinaLembretes() {
+  if (await execucaoDiaria('lembretes_ultima_execucao', LEMBRETES_HORA)) await enviarLembretesPagamento();
+}
+
+setInterval(() => {
+  rotinaLembretes().catch(e => console.error('[LEMBRETE] rotina:', e?.message || e));
+}, 30 * 60 * 1000);
+ensureTablesPronto.then(() => setTimeout(() => {
+  rotinaLembretes().catch(e => console.error('[LEMBRETE] rotina:', e?.message || e));
+}, 60 * 1000)).catch(() => {});
+
+/* ======================================================================
+   STATUS DE PAGAMENTO — derivado das parcelas
+     pendente_pagamento → parcial → quitado
+     atrasado  : alguma parcela vencida (OVERDUE ou pendente após o vencimento)
+     estornado : houve estorno/chargeback e o pago não cobre o preço
+     cancelado : só pelo painel (nunca recalculado)
+   - pago = soma de parcelas.valor_cents confirmadas; alvo = preço gravado na inscrição
+   - status_manual (marcado pelo financeiro) também não é recalculado
+====================================================================== */
+const STATUS_INSCRITO = ['pendente_pagamento', 'parcial', 'quitado', 'atrasado', 'estornado', 'cancelado'];
+const ASAAS_PAGO = ['RECEIVED', 'CONFIRMED', 'RECEIVED_IN_CASH'];
+const ASAAS_ESTORNO = ['REFUNDED', 'REFUND_REQUESTED', 'REFUND_IN_PROGRESS', 'CHARGEBACK_REQUESTED',
+                       'CHARGEBACK_DISPUTE', 'AWAITING_CHARGEBACK_REVERSAL'];
+
+function derivarStatusPagamento({ pagoCents, precoCents, estornos, vencidas }) {
+  if (pagoCents >= precoCents) return 'quitado';
+  if (estornos > 0) return 'estornado';
+  if (vencidas > 0) return 'atrasado';
+  if (pagoCents > 0) return 'parcial';
+  return 'pendente_pagamento';
+}
+
+// Recalcula e grava (compare-and-set). Retorna { id, de, para } se mudou, senão null.
+// Grupo: a cobrança é única, então o status sai das parcelas do grupo contra a soma dos
+// preços dos participantes ativos e vale p/ todos eles (menos quem está em status manual).
+async function recalcularStatusPagamento(id, { req = null, actor = null } = {}) {
+  const { rows: ins } = await pgPool.query(
+    `SELECT id, status, status_manual, preco_cents, grupo_id, evento_id FROM public.inscritos WHERE id=$1`, [id]);
+  if (!ins[0]) return null;
+
+  let membros = ins, filtro = 'p.inscrito_id=$1', chave = id;
+  if (ins[0].grupo_id) {
+    const { rows } = await pgPool.query(`
+      SELECT id, status, status_manual, preco_cents, evento_id FROM public.inscritos WHERE grupo_id=$1 ORDER BY id
+    `, [ins[0].grupo_id]);
+    membros = rows; filtro = 'p.grupo_id=$1'; chave = ins[0].grupo_id;
+  }
+  const ativos = membros.filter(m => m.status !== 'cancelado');
+  if (!ativos.some(m => !m.status_manual)) return null;
+
+  const { rows } = await pgPool.query(`
+    SELECT COUNT(*)::int AS parcelas,
+           COALESCE(SUM(p.valor_cents) FILTER (WHERE UPPER(p.status) = ANY($2::text[])), 0)::int AS pago,
+           COUNT(*) FILTER (WHERE UPPER(p.status) = ANY($3::text[]))::int AS estornos,
+           COUNT(*) FILTER (WHERE UPPER(COALESCE(p.status,''))='OVERDUE'
+                            OR (COALESCE(p.status,'') ILIKE 'PEND%' AND ${VENCIMENTO} < ${HOJE_SP}))::int AS vencidas
+    FROM public.parcelas p
+    WHERE ${filtro} AND UPPER(COALESCE(p.status,'')) NOT IN ('CANCELLED','DELETED')
+  `, [chave, ASAAS_PAGO, ASAAS_ESTORNO]);
+  const agg = rows[0];
+  if (!agg?.parcelas) return null; // sem cobrança ainda: fica como está
+
+  let preco_cents = 0;
+  for (const m of ativos) preco_cents += await precoDoInscrito(m);
+  const para = derivarStatusPagamento({
+    pagoCents: agg.pago, precoCents: preco_cents, estornos: agg.estornos, vencidas: agg.vencidas
+  });
+
+  let mudou = null;
+  for (const atual of ativos) {
+    if (atual.status_manual || para === atual.status) continue;
+    const { rowCount } = await pgPool.query(`
+      UPDATE public.inscritos SET status=$2, updated_at=NOW()
+      WHERE id=$1 AND status IS NOT DISTINCT FROM $3 AND NOT status_manual
+    `, [atual.id, para, atual.status]);
+    if (!rowCount) continue; // alguém mudou no meio do caminho
+
+    const t = { id: atual.id, de: atual.status, para, pago_cents: agg.pago, preco_cents };
+    await auditar(req, {
+      actor, action: 'pagamento:status', targetType: 'inscrito', targetId: atual.id,
+      diff: { status: { de: t.de, para }, pago_cents: { de: null, para: agg.pago } }
+    });
+    emitEvent('inscrito:status', t);
+    if (para === 'quitado') {
+      enviarTicket(atual.id).catch(e => console.error('❌ [TICKET] quitado:', atual.id, e?.message || e));
+    }
+    if (String(atual.id) === String(id)) mudou = t;
+  }
+  return mudou;
+}
+
+/* ======================================================================
+   REEMBOLSOS — política de devolução + estorno no Asaas
+   - referência: data do cancelamento (ou agora, se a inscrição segue ativa)
+   - base = o que foi pago em parcelas do Asaas (RECEIVED/CONFIRMED, mesmo que já estornadas);
+     o já devolvido (efetuado ou em curso) é descontado do valor sugerido
+   - cada estorno vira uma linha em reembolsos ANTES da chamada ao Asaas (sob lock da
+     inscrição), então dois cliques nunca devolvem o mesmo dinheiro duas vezes
+   - o status da parcela (REFUNDED) chega depois pelo webhook/conciliação
+   - participante de grupo: a base é a parte dele no pago do grupo (o que sobra
+     depois de cobrir os demais participantes ativos), estornada das parcelas do grupo
+====================================================================== */
+const ASAAS_REEMBOLSAVEL = ['RECEIVED', 'CONFIRMED'];
+
+function politicaReembolso(cfg, quando = new Date()) {
+  if (cfg.reembolso_integral_ate && quando < cfg.reembolso_integral_ate) return { faixa: 'integral', percentual: 100 };
+  if (cfg.reembolso_parcial_ate && quando < cfg.reembolso_parcial_ate) {
+    return { faixa: 'parcial', percentual: cfg.reembolso_parcial_pct };
+  }
+  return { faixa: 'nenhum', percentual: 0 };
+}
+
+// Quanto devolver e de quais parcelas (mais recentes primeiro). valorCents força um valor
+// (decisão do painel); sem ele vale o percentual informado ou o da política.
+async function simularReembolso(db, inscritoId, { valorCents = null, percentual = null } = {}) {
+  const { rows: ins } = await db.query(
+    `SELECT id, status, canceled_at, grupo_id, preco_cents, evento_id FROM public.inscritos WHERE id=$1`, [inscritoId]);
+  if (!ins[0]) return null;
+  const grupoId = ins[0].grupo_id;
+  const politica = politicaReembolso(await getConfig(db, ins[0].evento_id), ins[0].canceled_at ? new Date(ins[0].canceled_at) : new Date());
+
+  const { rows: parcelas } = await db.query(`
+    SELECT p.id, p.parcela, p.asaas_payment_id, p.valor_cents,
+           UPPER(COALESCE(p.status,'')) = ANY($2::text[]) AS ativa,
+           COALESCE(r.total, 0)::int AS reembolsado
+    FROM public.parcelas p
+    LEFT JOIN (SELECT parcela_id, SUM(valor_cents) AS total FROM public.reembolsos
+               WHERE status <> 'falhou' GROUP BY parcela_id) r ON r.parcela_id = p.id
+    WHERE ${grupoId ? 'p.grupo_id=$1' : 'p.inscrito_id=$1'} AND p.asaas_payment_id IS NOT NULL
+      AND (UPPER(COALESCE(p.status,'')) = ANY($2::text[]) OR r.total > 0)
+    ORDER BY p.parcela DESC NULLS LAST, p.id DESC
+  `, [grupoId || inscritoId, ASAAS_REEMBOLSAVEL]);
+
+  let pago = 0, reembolsado = 0, disponivel = 0;
+  for (const p of parcelas) {
+    p.disponivel = p.ativa ? Math.max(0, p.valor_cents - p.reembolsado) : 0;
+    pago += p.valor_cents;
+    reembolsado += p.reembolsado;
+    disponivel += p.disponivel;
+  }
+
+  if (grupoId) {
+    // parte do participante: o pago do grupo (menos o já devolvido a outros) que
+    // excede o total dos demais ativos, limitado ao preço dele
+    const { rows: outros } = await db.query(`
+      SELECT id, status, preco_cents, evento_id FROM public.inscritos
+      WHERE grupo_id=$1 AND id<>$2 AND status <> 'cancelado'
+    `, [grupoId, inscritoId]);
+    let totalOutros = 0;
+    for (const o of outros) totalOutros += await precoDoInscrito(o);
+    const { rows: r } = await db.query(`
+      SELECT COALESCE(SUM(valor_cents) FILTER (WHERE inscrito_id=$2), 0)::int AS meu,
+             COALESCE(SUM(valor_cents) FILTER (WHERE inscrito_id<>$2), 0)::int AS outros
+      FROM public.reembolsos
+      WHERE status <> 'falhou' AND parcela_id IN (SELECT id FROM public.parcelas WHERE grupo_id=$1)
+    `, [grupoId, inscritoId]);
+    pago = Math.min(await precoDoInscrito(ins[0]), Math.max(0, pago - r[0].outros - totalOutros));
+    reembolsado = r[0].meu;
+  }
+
+  const manual = valorCents != null;
+  const pct = manual ? (pago ? Math.round(valorCents / pago * 10000) / 100 : 0)
+                     : (percentual != null ? percentual : politica.percentual);
+  const alvo = manual ? valorCents : Math.max(0, Math.round(pago * pct / 100) - reembolsado);
+  const valor = Math.min(alvo, disponivel);
+
+  const plano = [];
+  let resta = valor;
+  for (const p of parcelas) {
+    if (resta <= 0) break;
+    const v = Math.min(resta, p.disponivel);
+    if (v <= 0) continue;
+    plano.push({ parcela_id: p.id, parcela: p.parcela, asaas_payment_id: p.asaas_payment_id, valor_cents: v });
+    resta -= v;
+  }
+
+  return {
+    politica, faixa: manual || percentual != null ? 'manual' : politica.faixa, percentual: pct,
+    pago_cents: pago, reembolsado_cents: reembolsado, disponivel_cents: disponivel,
+    solicitado_cents: alvo, valor_cents: valor, plano
+  };
+}
+
+// Registra e pede os estornos. Retorna a simulação + o resultado de cada linha
+// (efetuado | falhou); null se a inscrição não existe.
+async function reembolsarInscrito(inscritoId, { valorCents = null, percentual = null, motivo, req = null }) {
+  const client = await pgPool.connect();
+  let sim;
+  const linhas = [];
+  try {
+    await client.query('BEGIN');
+    await client.query(`SELECT id FROM public.inscritos WHERE id=$1 FOR UPDATE`, [inscritoId]);
+    // parcelas do grupo são compartilhadas: estornos de participantes diferentes também se serializam
+    await client.query(`
+      SELECT g.id FROM public.grupos g JOIN public.inscritos i ON i.grupo_id = g.id WHERE i.id=$1 FOR UPDATE OF g
+    `, [inscritoId]);
+    sim = await simularReembolso(client, inscritoId, { valorCents, percentual });
+    if (!sim) { await client.query('ROLLBACK'); return null; }
+    for (const item of sim.plano) {
+      const { rows } = await client.query(`
+        INSERT INTO public.reembolsos
+          (inscrito_id, parcela_id, asaas_payment_id, valor_cents, percentual, faixa, motivo, criado_por)
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+        RETURNING id
+      `, [inscritoId, item.parcela_id, item.asaas_payment_id, item.valor_cents,
+          sim.percentual, sim.faixa, motivo, req?.adminActor || null]);
+      linhas.push({ id: rows[0].id, ...item, status: 'processando' });
+    }
+    await client.query('COMMIT');
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+
+  // fora da transação: a linha já reserva o valor, a API pode demorar
+  for (const l of linhas) {
+    try {
+      const r = await asaas(`/payments/${l.asaas_payment_id}/refund`, {
+        method: 'POST',
+        body: { value: l.valor_cents / 100, description: String(motivo).slice(0, 500) }
+      });
+      await pgPool.query(`
+        UPDATE public.reembolsos SET status='efetuado', resposta=$2, processado_em=NOW(), updated_at=NOW()
+        WHERE id=$1
+      `, [l.id, JSON.stringify(r)]);
+      l.status = 'efetuado';
+    } catch (e) {
+      l.status = 'falhou';
+      l.erro = String(e?.message || e).slice(0, 500);
+      console.error('❌ [REEMBOLSO] Asaas:', l.asaas_payment_id, l.erro);
+      await pgPool.query(`
+        UPDATE public.reembolsos SET status='falhou', ultimo_erro=$2, processado_em=NOW(), updated_at=NOW()
+        WHERE id=$1
+      `, [l.id, l.erro]).catch(() => {});
+    }
+  }
+
+  const efetuado = linhas.filter(l => l.status === 'efetuado').reduce((t, l) => t + l.valor_cents, 0);
+  if (linhas.length) {
+    await auditar(req, {
+      action: 'inscrito:reembolso', targetType: 'inscrito', targetId: inscritoId,
+      diff: {
+        reembolsado_cents: { de: sim.reembolsado_cents, para: sim.reembolsado_cents + efetuado },
+        motivo: { de: null, para: motivo },
+        ...(efetuado < sim.valor_cents ? { falhou_cents: { de: null, para: sim.valor_cents - efetuado } } : {})
+      }
+    });
+    emitEvent('inscrito:reembolso', { id: inscritoId, valor_cents: efetuado, falhas: linhas.filter(l => l.status === 'falhou').length });
+  }
+  return { ...sim, efetuado_cents: efetuado, reembolsos: linhas };
+}
+
+/* ======================================================================
+   CONCILIAÇÃO COM O ASAAS — cobre webhooks perdidos
+   - parcelas não finais: GET /payments/:id e corrige o status local
+   - relatório: status corrigidos, só-local (404 no Asaas), só-Asaas
+     (cobrança sem parcela aqui, de cliente que já tem cobrança nossa — a
+     conta Asaas pode ser compartilhada com outros sistemas) e valor divergente
+   - roda todo dia (RECONCILE_HORA, padrão 3h) e sob demanda no painel;
+     ASAAS_BASE_URL apontando p/ `npm run asaas:mock` permite testar local
+====================================================================== */
+const RECONCILE_HORA = Math.min(23, Math.max(0, parseInt(process.env.RECONCILE_HORA || '3', 10) || 0));
+const STATUS_FINAIS_ASAAS = ['RECEIVED', 'RECEIVED_IN_CASH', 'REFUNDED', 'CANCELLED', 'DELETED'];
+
+let conciliando = false;
+async function reconciliarAsaas({ aplicar = true, req = null } = {}) {
+  if (conciliando) throw Object.assign(new Error('conciliação já em andamento'), { emAndamento: true });
+  conciliando = true;
+  const rel = {
+    iniciado_em: new Date().toISOString(), aplicado: aplicar, verificadas: 0,
+    corrigidas: [], so_local: [], so_asaas: [], valor_divergente: [], erros: []
+  };
+  try {
+    const { rows: locais } = await pgPool.query(`
+      SELECT id, inscrito_id, parcela, status, valor_cents, asaas_payment_id
+      FROM public.parcelas
+      WHERE asaas_payment_id IS NOT NULL AND NOT (UPPER(COALESCE(status,'')) = ANY($1::text[]))
+      ORDER BY id
+    `, [STATUS_FINAIS_ASAAS]);
+
+    const afetados = new Set();
+    for (const p of locais) {
+      rel.verificadas++;
+      let pay;
+      try {
+        pay = await asaas(`/payments/${encodeURIComponent(p.asaas_payment_id)}`);
+      } catch (e) {
+        if (e?.status === 404) rel.so_local.push({ parcela_id: p.id, inscrito_id: p.inscrito_id, asaas_payment_id: p.asaas_payment_id, status: p.status });
+        else rel.erros.push({ parcela_id: p.id, asaas_payment_id: p.asaas_payment_id, erro: String(e?.message || e).slice(0, 300) });
+        continue;
+      }
+
+      const remoto = pay.deleted ? 'DELETED' : String(pay.status || '');
+      const valorRemoto = Math.round(Number(pay.value || 0) * 100);
+      if (valorRemoto !== Number(p.valor_cents)) {
+        rel.valor_divergente.push({ parcela_id: p.id, inscrito_id: p.inscrito_id, asaas_payment_id: p.asaas_payment_id, local_cents: p.valor_cents, asaas_cents: valorRemoto });
+      }
+      if (remoto.toUpperCase() === String(p.status || '').toUpperCase()) continue;
+
+      rel.corrigidas.push({ parcela_id: p.id, inscrito_id: p.inscrito_id, asaas_payment_id: p.asaas_payment_id, de: p.status, para: remoto });
+      if (!aplicar) continue;
+      // o Asaas é a fonte da verdade aqui: sem regra de ordem
+      const { rowCount } = await pgPool.query(`
+        UPDATE public.parcelas SET status=$2, asaas_evento_em=NOW() WHERE id=$1 AND status IS NOT DISTINCT FROM $3
+      `, [p.id, remoto, p.status]);
+      if (!rowCount) continue;
+      afetados.add(p.inscrito_id);
+      await auditar(req, {
+        actor: req ? null : 'sistema:conciliacao', action: 'reconcile:parcela', targetType: 'inscrito', targetId: p.inscrito_id,
+        diff: { [`parcela_${p.parcela}`]: { de: p.status, para: remoto } }
+      });
+    }
+
+    // cobranças no Asaas que não existem aqui — só de clientes deste app
+    const { rows: ids } = await pgPool.query(`SELECT asaas_payment_id FROM public.parcelas WHERE asaas_payment_id IS NOT NULL`);
+    const conhecidos = new Set(ids.map(r => r.asaas_payment_id));
+    const remotas = [];
+    for (let offset = 0; ; offset += 100) {
+      let pagina;
+      try {
+        pagina = await asaas(`/payments?limit=100&offset=${offset}`);
+      } catch (e) {
+        rel.erros.push({ etapa: 'listar', offset, erro: String(e?.message || e).slice(0, 300) });
+        break;
+      }
+      remotas.push(...(pagina.data || []));
+      if (!pagina.hasMore || !(pagina.data || []).length) break;
+    }
+    const clientes = new Set(remotas.filter(pay => conhecidos.has(pay.id)).map(pay => pay.customer));
+    for (const pay of remotas) {
+      if (!pay.deleted && !conhecidos.has(pay.id) && clientes.has(pay.customer)) {
+        rel.so_asaas.push({ asaas_payment_id: pay.id, customer: pay.customer, valor_cents: Math.round(Number(pay.value || 0) * 100), status: pay.status, criado_em: pay.dateCreated || null });
+      }
+    }
+
+    for (const id of afetados) {
+      await recalcularStatusPagamento(id, { req, actor: req ? null : 'sistema:conciliacao' })
+        .catch(e => rel.erros.push({ inscrito_id: id, etapa: 'recalcular', erro: String(e?.message || e).slice(0, 300) }));
+    }
+    if (afetados.size) await recalcularAtraso(pgPool, [...afetados]);
+
+    rel.concluido_em = new Date().toISOString();
+    console.log(`🔎 [CONCILIAÇÃO] ${rel.verificadas} verificadas • ${rel.corrigidas.length} corrigidas • ` +
+      `${rel.so_local.length} só-local • ${rel.so_asaas.length} só-Asaas • ${rel.valor_divergente.length} valor divergente • ${rel.erros.length} erros`);
+    return rel;
+  } finally {
+    conciliando = false;
+  }
+}
+
+async function rotinaConciliacao() {
+  if (!ASAAS.key || !(await execucaoDiaria('reconcile_ultima_execucao', RECONCILE_HORA))) return;
+  const rel = await reconciliarAsaas();
+  await pgPool.query(`
+    INSERT INTO public.config (chave, valor) VALUES ('reconcile_ultimo_relatorio', $1)
+    ON CONFLICT (chave) DO UPDATE SET valor=EXCLUDED.valor, updated_at=NOW()
+  `, [JSON.stringify(rel)]);
+}
+
+setInterval(() => {
+  rotinaConciliacao().catch(e => console.error('[CONCILIAÇÃO] rotina:', e?.message || e));
+}, 30 * 60 * 1000);
+
+/* ======================================================================
+   ADMIN — Contas, sessões e papéis
+   - login por e-mail/senha => token de sessão (Authorization: Bearer ...)
+   - papéis:
+       owner   → tudo (inclui usuários, config, cancelar/editar)
+       finance → listas, detalhes, exports e status de pagamento
+       checkin → só nomes da lista + check-in
+   - primeiro owner: ADMIN_OWNER_EMAIL + ADMIN_OWNER_PASSWORD (só se não
+     existir nenhum usuário ainda)
+====================================================================== */
+const PAPEIS = ['owner', 'finance', 'checkin'];
+const SESSAO_HORAS = Math.max(1, parseInt(process.env.ADMIN_SESSION_HORAS || '12', 10) || 12);
+
+function hashSenha(senha) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(senha), salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+function conferirSenha(senha, armazenado) {
+  const [alg, saltHex, hashHex] = String(armazenado || '').split('$');
+  if (alg !== 'scrypt' || !saltHex || !hashHex) return false;
+  const esperado = Buffer.from(hashHex, 'hex');
+  const calc = crypto.scryptSync(String(senha), Buffer.from(saltHex, 'hex'), esperado.length);
+  return crypto.timingSafeEqual(calc, esperado);
+}
+const sha256 = v => crypto.createHash('sha256').update(String(v)).digest('hex');
+
+async function criarOwnerInicial() {
+  const email = (process.env.ADMIN_OWNER_EMAIL || '').trim().toLowerCase();
+  const senha = process.env.ADMIN_OWNER_PASSWORD || '';
+  const { rows } = await pgPool.query(`SELECT COUNT(*)::int AS n FROM public.admin_users`);
+  if (rows[0].n > 0) return;
+  if (!email || senha.length < 8) {
+    console.warn('⚠️ Nenhum usuário admin. Defina ADMIN_OWNER_EMAIL e ADMIN_OWNER_PASSWORD (mín. 8) para criar o primeiro owner.');
+    return;
+  }
+  await pgPool.query(`
+    INSERT INTO public.admin_users (nome, email, senha_hash, papel) VALUES ($1,$2,$3,'owner')
+    ON CONFLICT (email) DO NOTHING
+  `, [email.split('@')[0], email, hashSenha(senha)]);
+  console.log('✅ [ADMIN] Owner inicial criado:', email);
+}
+
+// Freio simples p/ força bruta no login (memória do processo)
+// - conta por IP (muitas contas a partir de um lugar) e por alvo (e-mail/CPF,
+//   uma conta atacada de vários IPs); estourar qualquer uma bloqueia
+const LOGIN_JANELA_MS = 15 * 60 * 1000;
+const LOGIN_MAX_FALHAS = { ip: 20, alvo: 5 };
+const tentativasLogin = new Map();
+function chavesLogin(req, escopo, alvo) {
+  const chaves = [`${escopo}|ip|${clientIp(req)}`];
+  if (alvo) chaves.push(`${escopo}|alvo|${alvo}`);
+  return chaves;
+}
+function limiteLogin(chave) {
+  return chave.includes('|ip|') ? LOGIN_MAX_FALHAS.ip : LOGIN_MAX_FALHAS.alvo;
+}
+function loginBloqueado(chaves) {
+  return chaves.some(chave => {
+    const t = tentativasLogin.get(chave);
+    return !!(t && t.falhas >= limiteLogin(chave) && Date.now() - t.ultima < LOGIN_JANELA_MS);
+  });
+}
+function registrarFalhaLogin(chaves) {
+  const agora = Date.now();
+  for (const [k, t] of tentativasLogin) {
+    if (agora - t.ultima > LOGIN_JANELA_MS) tentativasLogin.delete(k);
+  }
+  for (const chave of chaves) {
+    const t = tentativasLogin.get(chave) || { falhas: 0, ultima: 0 };
+    t.falhas++; t.ultima = agora;
+    tentativasLogin.set(chave, t);
+  }
+}
+
+function tokenDaRequisicao(req) {
+  const h = String(req.headers.authorization || '');
+  if (h.toLowerCase().startsWith('bearer ')) return h.slice(7).trim();
+  return String(req.headers['x-admin-token'] || '').trim();
+}
+
+async function adminAuth(req, res, next) {
+  try {
+    const token = tokenDaRequisicao(req);
+    if (!token) return res.status(401).json({ ok:false, error:'unauthorized' });
+    const { rows } = await pgPool.query(`
+      SELECT u.id, u.nome, u.email, u.papel
+      FROM public.admin_sessions s JOIN public.admin_users u ON u.id = s.user_id
+      WHERE s.token_hash=$1 AND s.revogada_em IS NULL AND s.expira_em > NOW() AND u.ativo
+    `, [sha256(token)]);
+    if (!rows.length) return res.status(401).json({ ok:false, error:'unauthorized' });
+    req.admin = rows[0];
+    req.adminActor = `${rows[0].nome} <${rows[0].email}>`;
+    // evento escolhido no painel (X-Evento-Id ou ?evento_id); sem escolha, o padrão
+    const pedido = req.headers['x-evento-id'] || req.query.evento_id;
+    req.evento = await buscarEvento(pgPool, { id: pedido ? Number(pedido) || 0 : null });
+    if (!req.evento) return res.status(404).json({ ok:false, error:'evento não encontrado' });
+    next();
+  } catch (e) {
+    console.error('[adminAuth] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'auth failed' });
+  }
+}
+
+// owner sempre passa; demais só se estiverem na lista
+function exigirPapel(...papeis) {
+  return (req, res, next) => {
+    const papel = req.admin?.papel;
+    if (papel === 'owner' || papeis.includes(papel)) return next();
+    return res.status(403).json({ ok:false, error:'forbidden', papel });
+  };
+}
+
+app.post('/api/admin/login', async (req, res) => {
+  try {
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    const senha = String(req.body?.senha || '');
+    const chaves = chavesLogin(req, 'admin', email);
+    if (!email || !senha) return res.status(400).json({ ok:false, error:'Informe e-mail e senha.' });
+    if (loginBloqueado(chaves)) return res.status(429).json({ ok:false, error:'Muitas tentativas. Aguarde 15 minutos.' });
+
+    const { rows } = await pgPool.query(`
+      SELECT id, nome, email, papel, senha_hash FROM public.admin_users WHERE email=$1 AND ativo
+    `, [email]);
+    const u = rows[0];
+    if (!u || !conferirSenha(senha, u.senha_hash)) {
+      registrarFalhaLogin(chaves);
+      return res.status(401).json({ ok:false, error:'E-mail ou senha inválidos.' });
+    }
+    tentativasLogin.delete(chaves[1]);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const { rows: s } = await pgPool.query(`
+      INSERT INTO public.admin_sessions (token_hash, user_id, ip, expira_em)
+      VALUES ($1,$2,$3, NOW() + make_interval(hours => $4::int))
+      RETURNING expira_em
+    `, [sha256(token), u.id, clientIp(req), SESSAO_HORAS]);
+    await pgPool.query(`UPDATE public.admin_users SET ultimo_login=NOW() WHERE id=$1`, [u.id]);
+    await auditar(req, { actor: `${u.nome} <${u.email}>`, action: 'admin:login', targetType: 'admin_user', targetId: u.id, diff: {} });
+
+    res.json({ ok:true, token, expira_em: s[0].expira_em, user: { id: u.id, nome: u.nome, email: u.email, papel: u.papel } });
+  } catch (e) {
+    console.error('[login] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'login failed' });
+  }
+});
+
+app.post('/api/admin/logout', adminAuth, async (req, res) => {
+  try {
+    await pgPool.query(`UPDATE public.admin_sessions SET revogada_em=NOW() WHERE token_hash=$1`, [sha256(tokenDaRequisicao(req))]);
+    await auditar(req, { action: 'admin:logout', targetType: 'admin_user', targetId: req.admin.id, diff: {} });
+    res.json({ ok:true });
+  } catch (e) {
+    console.error('[logout] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'logout failed' });
+  }
+});
+
+app.get('/api/admin/me', adminAuth, (req, res) => {
+  res.json({ ok:true, user: req.admin, evento: eventoPublico(req.evento) });
+});
+
+// EventSource não manda header: troca a sessão por um ticket de uso único
+// (60s) em vez de pôr o token de sessão na URL.
+const ticketsSSE = new Map();
+app.post('/api/admin/events/ticket', adminAuth, (req, res) => {
+  const now = Date.now();
+  for (const [k, v] of ticketsSSE) if (v.exp < now) ticketsSSE.delete(k);
+  const ticket = crypto.randomBytes(18).toString('hex');
+  ticketsSSE.set(ticket, { admin: req.admin, evento: req.evento, exp: now + 60 * 1000 });
+  res.json({ ok:true, ticket });
+});
+function sseAuth(req, res, next) {
+  const t = ticketsSSE.get(String(req.query.ticket || ''));
+  if (t) ticketsSSE.delete(String(req.query.ticket));
+  if (!t || t.exp < Date.now()) return res.status(401).json({ ok:false, error:'unauthorized' });
+  req.admin = t.admin;
+  req.evento = t.evento;
+  next();
+}
+
+// Usuários do painel (owner)
+app.get('/api/admin/users', adminAuth, exigirPapel('owner'), async (_req, res) => {
+  try {
+    const { rows } = await pgPool.query(`
+      SELECT id, nome, email, papel, ativo, ultimo_login, criado_em FROM public.admin_users ORDER BY nome
+    `);
+    res.json({ ok:true, items: rows });
+  } catch (e) {
+    console.error('[users list] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'list failed' });
+  }
+});
+
+app.post('/api/admin/users', adminAuth, exigirPapel('owner'), async (req, res) => {
+  try {
+    const nome = String(req.body?.nome || '').trim();
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    const senha = String(req.body?.senha || '');
+    const papel = String(req.body?.papel || 'checkin');
+    if (!nome || !emailValido(email)) return res.status(400).json({ ok:false, error:'nome/e-mail inválidos' });
+    if (senha.length < 8) return res.status(400).json({ ok:false, error:'senha deve ter ao menos 8 caracteres' });
+    if (!PAPEIS.includes(papel)) return res.status(400).json({ ok:false, error:`papel deve ser ${PAPEIS.join('/')}` });
+
+    const { rows } = await pgPool.query(`
+      INSERT INTO public.admin_users (nome, email, senha_hash, papel) VALUES ($1,$2,$3,$4)
+      RETURNING id, nome, email, papel, ativo
+    `, [nome, email, hashSenha(senha), papel]);
+    await auditar(req, { action: 'admin:user:create', targetType: 'admin_user', targetId: rows[0].id, antes: {}, depois: { nome, email, papel } });
+    res.status(201).json({ ok:true, item: rows[0] });
+  } catch (e) {
+    if (e?.code === '23505') return res.status(409).json({ ok:false, error:'e-mail já cadastrado' });
+    console.error('[users create] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'create failed' });
+  }
+});
+
+// Troca papel/nome, (des)ativa ou redefine senha; desativar/redefinir derruba as sessões
+app.put('/api/admin/users/:id', adminAuth, exigirPapel('owner'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const { rows: antes } = await pgPool.query(`SELECT id, nome, papel, ativo FROM public.admin_users WHERE id=$1`, [id]);
+    if (!antes.length) return res.status(404).json({ ok:false, error:'not found' });
+
+    const sets = [];
+    const args = [];
+    const b = req.body || {};
+    if (typeof b.nome === 'string' && b.nome.trim()) { args.push(b.nome.trim()); sets.push(`nome=$${args.length}`); }
+    if (typeof b.papel !== 'undefined') {
+      if (!PAPEIS.includes(b.papel)) return res.status(400).json({ ok:false, error:`papel deve ser ${PAPEIS.join('/')}` });
+      args.push(b.papel); sets.push(`papel=$${args.length}`);
+    }
+    if (typeof b.ativo === 'boolean') { args.push(b.ativo); sets.push(`ativo=$${args.length}`); }
+    if (typeof b.senha !== 'undefined') {
+      if (String(b.senha).length < 8) return res.status(400).json({ ok:false, error:'senha deve ter ao menos 8 caracteres' });
+      args.push(hashSenha(b.senha)); sets.push(`senha_hash=$${args.length}`);
+    }
+    if (!sets.length) return res.json({ ok:true, updated:0 });
+    if (id === Number(req.admin.id) && (b.ativo === false || (b.papel && b.papel !== 'owner'))) {
+      return res.status(400).json({ ok:false, error:'não é possível rebaixar/desativar a si mesmo' });
+    }
+
+    sets.push('updated_at=NOW()');
+    args.push(id);
+    const { rows } = await pgPool.query(`
+      UPDATE public.admin_users SET ${sets.join(',')} WHERE id=$${args.length}
+      RETURNING id, nome, papel, ativo
+    `, args);
+    if (b.ativo === false || typeof b.senha !== 'undefined' || typeof b.papel !== 'undefined') {
+      await pgPool.query(`UPDATE public.admin_sessions SET revogada_em=NOW() WHERE user_id=$1 AND revogada_em IS NULL`, [id]);
+    }
+    const depois = { ...rows[0] };
+    if (typeof b.senha !== 'undefined') depois.senha = '(redefinida)';
+    await auditar(req, { action: 'admin:user:update', targetType: 'admin_user', targetId: id, antes: antes[0], depois });
+    res.json({ ok:true, item: rows[0] });
+  } catch (e) {
+    console.error('[users update] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'update failed' });
+  }
+});
+
+// O que cada papel recebe no SSE (mesmas regras das rotas): checkin só nome/check-in,
+// fila de espera só owner; owner/finance recebem o payload inteiro
+const AVISOS_CHECKIN = ['inscrito:new', 'inscrito:update', 'inscrito:status', 'checkin:scan', 'quartos:update', 'eventos:update', 'config:update'];
+const CAMPOS_AVISO_CHECKIN = ['id', 'nome', 'ok', 'motivo', 'checkin', 'quarto_id'];
+function avisoParaPapel(data, papel) {
+  if (papel === 'owner') return data;
+  if (papel === 'finance') return data.type.startsWith('espera:') ? null : data;
+  if (!AVISOS_CHECKIN.includes(data.type)) return null;
+  const payload = Object.fromEntries(CAMPOS_AVISO_CHECKIN.filter(k => k in (data.payload || {})).map(k => [k, data.payload[k]]));
+  return { ...data, payload };
+}
+
+// SSE de eventos (novos leads/inscrições) — só os do evento escolhido no painel
+app.get('/api/admin/events', sseAuth, (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-store',
+    'Connection': 'keep-alive',
+    'Access-Control-Allow-Origin': req.headers.origin || '*'
+  });
+  const onEvt = (data) => {
+    if (data.evento_id != null && data.evento_id !== Number(req.evento.id)) return;
+    const aviso = avisoParaPapel(data, req.admin?.papel);
+    if (aviso) res.write(`data: ${JSON.stringify(aviso)}\n\n`);
+  };
+  events.on('evt', onEvt);
+  const ping = setInterval(() => res.write(':\n\n'), 20000);
+  req.on('close', () => { clearInterval(ping); events.removeListener('evt', onEvt); });
+});
+
+// KPIs
+app.get('/api/admin/overview', adminAuth, exigirPapel('finance'), async (req, res) => {
+  try {
+    const ev = [req.evento.id];
+    const [{ rows: r1 }, { rows: r2 }, { rows: r3 }, { rows: r4 }, { rows: r5 }, { rows: r6 }, { rows: r7 }] = await Promise.all([
+      pgPool.query('SELECT COUNT(*)::int AS total FROM public.inscritos WHERE evento_id=$1', ev),
+      pgPool.query("SELECT COUNT(*)::int AS quitados FROM public.inscritos WHERE evento_id=$1 AND status='quitado'", ev),
+      pgPool.query('SELECT COUNT(*)::int AS leads_total FROM public.leads WHERE evento_id=$1', ev),
+      pgPool.query("SELECT COUNT(*)::int AS leads_hoje FROM public.leads WHERE evento_id=$1 AND created_at::date = now()::date", ev),
+      pgPool.query('SELECT id, nome, email, status, criado_em FROM public.inscritos WHERE evento_id=$1 ORDER BY id DESC LIMIT 5', ev),
+      pgPool.query('SELECT id, name, email, created_at FROM public.leads WHERE evento_id=$1 ORDER BY created_at DESC LIMIT 5', ev),
+      pgPool.query('SELECT status, COUNT(*)::int AS n FROM public.inscritos WHERE evento_id=$1 GROUP BY status', ev)
+    ]);
+    res.json({
+      inscritos_total: r1[0].total,
+      inscritos_quitados: r2[0].quitados,
+      inscritos_pendentes: r1[0].total - r2[0].quitados,
+      leads_total: r3[0].leads_total,
+      leads_hoje: r4[0].leads_hoje,
+      ultimos_inscritos: r5,
+      ultimos_leads: r6,
+      por_status: Object.fromEntries(r7.map(r => [r.status || '—', r.n]))
+    });
+  } catch (e) {
+    console.error('[overview] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'overview failed' });
+  }
+});
+
+// Config do evento selecionado (capacidade + janela de inscrições) — atalho p/ PUT /api/admin/eventos/:id
+app.get('/api/admin/config', adminAuth, exigirPapel('finance'), async (req, res) => {
+  try {
+    res.json({ ok:true, config: await contarVagas(pgPool, req.evento.id) });
+  } catch (e) {
+    console.error('[config] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'config failed' });
+  }
+});
+
+app.put('/api/admin/config', adminAuth, exigirPapel('owner'), (req, res) => {
+  atualizarEvento(req, res, Number(req.evento.id));
+});
+
+// Auditoria geral (filtro por ator/ação/alvo + paginação)
+app.get('/api/admin/audit', adminAuth, exigirPapel('owner'), async (req, res) => {
+  try {
+    const page  = Math.max(1, parseInt(req.query.page || '1'));
+    const size  = Math.min(200, Math.max(10, parseInt(req.query.size || '50')));
+
+    const where = [];
+    const args = [];
+    for (const [param, col] of [['actor','actor'], ['action','action'], ['target_type','target_type'], ['target_id','target_id']]) {
+      const v = (req.query[param] || '').trim();
+      if (v) { args.push(v); where.push(`${col} = $${args.length}`); }
+    }
+    const sqlWhere = where.length ? ("WHERE " + where.join(" AND ")) : "";
+    args.push(size); args.push((page-1)*size);
+
+    const { rows } = await pgPool.query(`
+      SELECT id, actor, action, target_type, target_id, diff, ip, created_at
+      FROM public.audit_log
+      ${sqlWhere}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${args.length-1} OFFSET $${args.length};
+    `, args);
+    res.json({ page, size, items: rows });
+  } catch (e) {
+    console.error('[audit list] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'audit failed' });
+  }
+});
+
+// Lista Inscritos (filtro/paginação)
+// Filtros da lista de inscritos (também usados pelas ações em massa: "tudo que o filtro mostra").
+// soNome: busca só por nome (papel checkin não pode sondar e-mail/CPF pela busca)
+function filtroInscritos(query = {}, eventoId, { soNome = false } = {}) {
+  const q     = String(query.q || '').trim();
+  const status = String(query.status || '').trim();
+  const tag   = normalizarTags(query.tag)[0] || '';
+
+  const where = ['evento_id = $1'];
+  const args = [eventoId];
+  let argi = 2;
+
+  if (q) {
+    where.push(soNome
+      ? `LOWER(nome) LIKE LOWER($${argi})`
+      : `(LOWER(nome) LIKE LOWER($${argi}) OR LOWER(email) LIKE LOWER($${argi}) OR cpf_norm LIKE $${argi})`);
+    args.push(`%${q}%`);
+    argi++;
+  }
+  if (status) {
+    where.push(`status = $${argi}`); args.push(status); argi++;
+  }
+  if (tag) {
+    where.push(`$${argi} = ANY(tags)`); args.push(tag); argi++;
+  }
+  if (String(query.atrasado) === '1') where.push('pagamento_atrasado_em IS NOT NULL');
+  if (String(query.cancelamento) === '1') where.push(`cancelamento_solicitado_em IS NOT NULL AND COALESCE(status,'') <> 'cancelado'`);
+  if (query.grupo_id) {
+    where.push(`grupo_id = $${argi}`); args.push(Number(query.grupo_id) || 0); argi++;
+  }
+  if (String(query.menores) === '1') where.push(`idade_evento < ${MAIORIDADE}`);
+  if (query.menores === 'sem_termo') where.push(`idade_evento < ${MAIORIDADE} AND termo_menor_aceito_em IS NULL`);
+  if (query.quarto_id) {
+    where.push(`quarto_id = $${argi}`); args.push(Number(query.quarto_id) || 0); argi++;
+  }
+  if (String(query.sem_quarto) === '1') where.push(`quarto_id IS NULL AND COALESCE(status,'') <> 'cancelado'`);
+  return { sqlWhere: 'WHERE ' + where.join(' AND '), args };
+}
+
+app.get('/api/admin/inscritos/list', adminAuth, exigirPapel('finance', 'checkin'), async (req, res) => {
+  try {
+    const page  = Math.max(1, parseInt(req.query.page || '1'));
+    const size  = Math.min(100, Math.max(10, parseInt(req.query.size || '20')));
+
+    const { sqlWhere, args } = filtroInscritos(req.query, req.evento.id, { soNome: req.admin.papel === 'checkin' });
+    const argi = args.length + 1;
+    args.push(size); args.push((page-1)*size);
+
+    // check-in só enxerga nomes (sem contato/CPF)
+    const cols = req.admin.papel === 'checkin'
+      ? 'id, nome, status, checkin, grupo_id, idade_evento, termo_menor_aceito_em, quarto_id'
+      : 'id, nome, email, telefone, status, checkin, criado_em, forma_pagamento, pagamento_atrasado_em, lembretes_pausados, cancelamento_solicitado_em, grupo_id, idade_evento, termo_menor_aceito_em, quarto_id, tags';
+    const sql = `
+      SELECT ${cols}
+      FROM public.inscritos
+      ${sqlWhere}
+      ORDER BY id DESC
+      LIMIT $${argi} OFFSET $${argi+1};
+    `;
+    const { rows } = await pgPool.query(sql, args);
+
+    res.json({ page, size, items: rows });
+  } catch (e) {
+    console.error('[inscritos list] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'list failed' });
+  }
+});
+
+// Lista Leads (filtro/paginação)
+app.get('/api/admin/leads/list', adminAuth, exigirPapel('finance'), async (req, res) => {
+  try {
+    const page  = Math.max(1, parseInt(req.query.page || '1'));
+    const size  = Math.min(100, Math.max(10, parseInt(req.query.size || '20')));
+    const q     = (req.query.q || '').trim();
+    // ?sem_inscricao=1 => leads que nunca se inscreveram (follow-up)
+    const semInscricao = req.query.sem_inscricao === '1';
+
+    const where = ['l.evento_id = $1'];
+    const args = [req.evento.id];
+    let argi = 2;
+
+    if (q) {
+      where.push("(LOWER(l.name) LIKE LOWER($2) OR LOWER(l.email) LIKE LOWER($2))");
+      args.push(`%${q}%`);
+      argi++;
+    }
+    if (semInscricao) where.push('l.inscrito_id IS NULL');
+    const sqlWhere = where.length ? ("WHERE " + where.join(" AND ")) : "";
+
+    args.push(size);
+    args.push((page-1)*size);
+
+    const sql = `
+      SELECT l.id, l.name, l.email, l.phone, l.source, l.utm_source, l.utm_medium, l.utm_campaign, l.created_at,
+             l.inscrito_id, l.convertido_em, i.status AS inscrito_status
+      FROM public.leads l
+      LEFT JOIN public.inscritos i ON i.id=l.inscrito_id
+      ${sqlWhere}
+      ORDER BY l.created_at DESC
+      LIMIT $${argi} OFFSET $${argi+1};
+    `;
+    const { rows } = await pgPool.query(sql, args);
+
+    res.json({ page, size, items: rows });
+  } catch (e) {
+    console.error('[leads list] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'list failed' });
+  }
+});
+
+// Export CSVs
+// ?menores=1 => só menores de idade (conferência de autorizações no check-in)
+app.get('/api/admin/export/inscritos.csv', adminAuth, exigirPapel('finance'), async (req, res) => {
+  const menores = req.query.menores === '1';
+  const extras = await camposInscricao(pgPool, { eventoId: req.evento.id, todos: true });
+  const { rows } = await pgPool.query(`
+    SELECT id, nome, email, telefone, cpf_norm, nascimento,
+           frequentaPV AS frequentapv,
+           campus, status, forma_pagamento, criado_em,
+           (SELECT nome FROM public.lotes l WHERE l.id=i.lote_id) AS lote,
+           preco_base_cents, desconto_cents, preco_cents, cupom_codigo, grupo_id,
+           idade_evento, faixa_etaria, responsavel_legal_nome, responsavel_legal_cpf, responsavel_legal_telefone,
+           termo_menor_aceito_em, termo_menor_ip, termo_menor_versao, respostas, sexo,
+           (SELECT nome FROM public.quartos q WHERE q.id=i.quarto_id) AS quarto,
+           utm_source, utm_medium, utm_campaign, tags
+    FROM public.inscritos i
+    WHERE evento_id=$1 ${menores ? `AND idade_evento < ${MAIORIDADE}` : ''}
+    ORDER BY id DESC
+  `, [req.evento.id]);
+  res.setHeader('Content-Type','text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition',`attachment; filename="${menores ? 'inscritos-menores' : 'inscritos'}-${req.evento.slug}.csv"`);
+  const head = 'id;nome;email;telefone;cpf;nascimento;frequentaPV;campus;status;forma_pagamento;criado_em;lote;preco_base;desconto;preco;cupom;grupo;'
+    + 'idade_evento;faixa_etaria;responsavel_legal;responsavel_legal_cpf;responsavel_legal_telefone;termo_aceito_em;termo_ip;termo_versao;sexo;quarto;utm_source;utm_medium;utm_campaign;tags'
+    + extras.map(c => ';' + c.chave).join('') + '\n';
+  const reais = c => (c == null ? '' : (c / 100).toFixed(2).replace('.', ','));
+  const body = rows.map(r => [
+    r.id, r.nome, r.email, r.telefone, r.cpf_norm, r.nascimento, r.frequentapv, r.campus, r.status, r.forma_pagamento, r.criado_em?.toISOString?.() || r.criado_em,
+    r.lote, reais(r.preco_base_cents), reais(r.desconto_cents), reais(r.preco_cents), r.cupom_codigo, r.grupo_id,
+    r.idade_evento, r.faixa_etaria, r.responsavel_legal_nome, r.responsavel_legal_cpf, r.responsavel_legal_telefone,
+    r.termo_menor_aceito_em?.toISOString?.() || r.termo_menor_aceito_em, r.termo_menor_ip, r.termo_menor_versao,
+    r.sexo, r.quarto, r.utm_source, r.utm_medium, r.utm_campaign, (r.tags || []).join(', '),
+    ...extras.map(c => formatarResposta(r.respostas?.[c.chave]))
+  ].map(v => (v==null?'':String(v).replaceAll(';',',').replaceAll('\n',' '))).join(';')).join('\n');
+  res.send(head + body);
+});
+
+// ?sem_inscricao=1 => só quem nunca se inscreveu
+app.get('/api/admin/export/leads.csv', adminAuth, exigirPapel('finance'), async (req, res) => {
+  const semInscricao = req.query.sem_inscricao === '1';
+  const { rows } = await pgPool.query(`
+    SELECT l.id, l.name, l.email, l.phone, l.source, l.utm_source, l.utm_medium, l.utm_campaign, l.created_at,
+           l.inscrito_id, i.status AS inscrito_status
+    FROM public.leads l LEFT JOIN public.inscritos i ON i.id=l.inscrito_id
+    WHERE l.evento_id=$1 ${semInscricao ? 'AND l.inscrito_id IS NULL' : ''}
+    ORDER BY l.created_at DESC
+  `, [req.evento.id]);
+  res.setHeader('Content-Type','text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition',`attachment; filename="${semInscricao ? 'leads-sem-inscricao' : 'leads'}-${req.evento.slug}.csv"`);
+  const head = 'id;name;email;phone;source;utm_source;utm_medium;utm_campaign;created_at;inscrito_id;inscrito_status\n';
+  const body = rows.map(r => [
+    r.id, r.name, r.email, r.phone, r.source, r.utm_source, r.utm_medium, r.utm_campaign,
+    r.created_at?.toISOString?.() || r.created_at, r.inscrito_id, r.inscrito_status
+  ].map(v => (v==null?'':String(v).replaceAll(';',',').replaceAll('\n',' '))).join(';')).join('\n');
+  res.send(head + body);
+});
+
+/* ======================================================================
+   ADMIN — Funil: leads → inscrições → pagos, por origem e campanha
+   - origem = utm_source, senão o "source" do lead, senão 'direto';
+     campanha = utm_campaign (ou '—')
+   - inscrição sem UTM própria herda a do lead ligado a ela (1º lead)
+   - convertidos = leads com inscrição ativa; pagos = inscrições quitadas
+====================================================================== */
+app.get('/api/admin/funil', adminAuth, exigirPapel('finance'), async (req, res) => {
+  try {
+    const { rows } = await pgPool.query(`
+      WITH l AS (
+        SELECT COALESCE(NULLIF(l.utm_source,''), NULLIF(l.source,''), 'direto') AS origem,
+               COALESCE(NULLIF(l.utm_campaign,''), '—') AS campanha,
+               (i.id IS NOT NULL AND COALESCE(i.status,'') <> 'cancelado') AS convertido
+        FROM public.leads l LEFT JOIN public.inscritos i ON i.id=l.inscrito_id
+        WHERE l.evento_id=$1
+      ), i AS (
+        SELECT COALESCE(i.utm_source, ld.utm_source, NULLIF(ld.source,''), 'direto') AS origem,
+               COALESCE(i.utm_campaign, ld.utm_campaign, '—') AS campanha,
+               i.status
+        FROM public.inscritos i
+        LEFT JOIN LATERAL (
+          SELECT utm_source, utm_campaign, source FROM public.leads
+          WHERE inscrito_id=i.id ORDER BY created_at LIMIT 1
+        ) ld ON true
+        WHERE i.evento_id=$1 AND COALESCE(i.status,'') <> 'cancelado'
+      )
+      SELECT origem, campanha,
+             SUM(leads)::int AS leads, SUM(convertidos)::int AS convertidos,
+             SUM(inscritos)::int AS inscritos, SUM(pagos)::int AS pagos
+      FROM (
+        SELECT origem, campanha, COUNT(*) AS leads, COUNT(*) FILTER (WHERE convertido) AS convertidos,
+               0 AS inscritos, 0 AS pagos
+        FROM l GROUP BY 1, 2
+        UNION ALL
+        SELECT origem, campanha, 0, 0, COUNT(*), COUNT(*) FILTER (WHERE status='quitado')
+        FROM i GROUP BY 1, 2
+      ) x
+      GROUP BY 1, 2
+      ORDER BY SUM(inscritos) DESC, SUM(leads) DESC, 1, 2
+    `, [req.evento.id]);
+    const taxa = (a, b) => (b ? Math.round((a / b) * 1000) / 10 : null); // % com 1 casa
+    const somar = lista => lista.reduce((t, r) => ({
+      leads: t.leads + r.leads, convertidos: t.convertidos + r.convertidos,
+      inscritos: t.inscritos + r.inscritos, pagos: t.pagos + r.pagos
+    }), { leads: 0, convertidos: 0, inscritos: 0, pagos: 0 });
+    const comTaxas = r => ({ ...r, conversao_pct: taxa(r.convertidos, r.leads), pagamento_pct: taxa(r.pagos, r.inscritos) });
+
+    const origens = [...new Set(rows.map(r => r.origem))];
+    res.json({
+      ok: true,
+      items: rows.map(comTaxas),
+      por_origem: origens.map(o => comTaxas({ origem: o, ...somar(rows.filter(r => r.origem === o)) })),
+      total: comTaxas(somar(rows))
+    });
+  } catch (e) {
+    console.error('[funil] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'funil failed' });
+  }
+});
+
+/* ======================================================================
+   ADMIN — Análises (gráficos do painel)
+   - ?de=AAAA-MM-DD&ate=AAAA-MM-DD (dias de Brasília, ambos inclusivos; vazio = sem limite)
+   - o período recorta as inscrições pela data de criação; na série diária a
+     receita entra no dia em que o pagamento foi confirmado (asaas_evento_em)
+   - check-in: o período recorta pela hora do check-in
+====================================================================== */
+const DIA_SP = col => `(${col} AT TIME ZONE 'America/Sao_Paulo')::date`;
+const NO_PERIODO = (col, de, ate) => `(${de}::date IS NULL OR ${DIA_SP(col)} >= ${de}::date) AND (${ate}::date IS NULL OR ${DIA_SP(col)} <= ${ate}::date)`;
+const SERIE_MAX_DIAS = 731;
+
+function lerPeriodo(q = {}) {
+  const de = String(q.de || '').trim();
+  const ate = String(q.ate || '').trim();
+  const valida = v => !v || (DATA_SIMPLES_RE.test(v) && !isNaN(new Date(`${v}T00:00:00Z`)));
+  if (!valida(de) || !valida(ate)) return { erro: 'período inválido (use AAAA-MM-DD)' };
+  if (de && ate && de > ate) return { erro: '"de" depois de "ate"' };
+  return { de: de || null, ate: ate || null };
+}
+
+// Inscrições e cancelamentos por dia + receita confirmada por dia
+app.get('/api/admin/analises/serie', adminAuth, exigirPapel('finance'), async (req, res) => {
+  const p = lerPeriodo(req.query);
+  if (p.erro) return res.status(400).json({ ok:false, error: p.erro });
+  try {
+    const { rows } = await pgPool.query(`
+      WITH ins AS (
+        SELECT ${DIA_SP('criado_em')} AS dia, COUNT(*)::int AS n
+        FROM public.inscritos WHERE evento_id=$1 GROUP BY 1
+      ), canc AS (
+        SELECT ${DIA_SP('canceled_at')} AS dia, COUNT(*)::int AS n
+        FROM public.inscritos WHERE evento_id=$1 AND status='cancelado' AND canceled_at IS NOT NULL GROUP BY 1
+      ), pag AS (
+        SELECT ${DIA_SP('p.asaas_evento_em')} AS dia, SUM(p.valor_cents)::bigint AS cents
+        FROM public.parcelas p
+        WHERE p.evento_id=$1 AND UPPER(COALESCE(p.status,'')) = ANY($4::text[]) AND p.asaas_evento_em IS NOT NULL
+        GROUP BY 1
+      ), lim AS (
+        SELECT COALESCE($2::date, LEAST((SELECT MIN(dia) FROM ins), (SELECT MIN(dia) FROM pag)), ${HOJE_SP}) AS de,
+               COALESCE($3::date, ${HOJE_SP}) AS ate
+      )
+      SELECT to_char(d, 'YYYY-MM-DD') AS dia,
+             COALESCE(ins.n, 0) AS inscricoes,
+             COALESCE(canc.n, 0) AS cancelamentos,
+             COALESCE(pag.cents, 0)::bigint AS receita_cents
+      FROM lim, generate_series(lim.de, GREATEST(lim.de, LEAST(lim.ate, lim.de + ${SERIE_MAX_DIAS - 1})), interval '1 day') d
+      LEFT JOIN ins  ON ins.dia  = d::date
+      LEFT JOIN canc ON canc.dia = d::date
+      LEFT JOIN pag  ON pag.dia  = d::date
+      ORDER BY d
+    `, [req.evento.id, p.de, p.ate, ASAAS_PAGO]);
+    const items = rows.map(r => ({ ...r, receita_cents: Number(r.receita_cents) }));
+    res.json({
+      ok: true, de: items[0]?.dia || null, ate: items.at(-1)?.dia || null, items,
+      total: {
+        inscricoes: items.reduce((t, r) => t + r.inscricoes, 0),
+        cancelamentos: items.reduce((t, r) => t + r.cancelamentos, 0),
+        receita_cents: items.reduce((t, r) => t + r.receita_cents, 0)
+      }
+    });
+  } catch (e) {
+    console.error('[analises serie] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'analises failed' });
+  }
+});
+
+// Inscrições ativas por campus, frequenta PV, forma de pagamento, faixa etária e sexo
+const DIMENSOES_ANALISE = {
+  campus: `COALESCE(NULLIF(TRIM(campus),''), '—')`,
+  frequenta_pv: `COALESCE(NULLIF(TRIM(frequentaPV),''), '—')`,
+  forma_pagamento: `COALESCE(NULLIF(forma_pagamento,''), '—')`,
+  faixa_etaria: `COALESCE(faixa_etaria, 'sem faixa')`,
+  sexo: `COALESCE(sexo, '—')`
+};
+app.get('/api/admin/analises/distribuicao', adminAuth, exigirPapel('finance'), async (req, res) => {
+  const p = lerPeriodo(req.query);
+  if (p.erro) return res.status(400).json({ ok:false, error: p.erro });
+  try {
+    const dims = Object.entries(DIMENSOES_ANALISE);
+    const resultados = await Promise.all(dims.map(([, expr]) => pgPool.query(`
+      SELECT ${expr} AS valor, COUNT(*)::int AS n, COUNT(*) FILTER (WHERE status='quitado')::int AS quitados
+      FROM public.inscritos
+      WHERE evento_id=$1 AND COALESCE(status,'') <> 'cancelado' AND ${NO_PERIODO('criado_em', '$2', '$3')}
+      GROUP BY 1 ORDER BY 2 DESC, 1
+    `, [req.evento.id, p.de, p.ate])));
+    res.json({ ok: true, ...Object.fromEntries(dims.map(([k], i) => [k, resultados[i].rows])) });
+  } catch (e) {
+    console.error('[analises distribuicao] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'analises failed' });
+  }
+});
+
+// Receita prevista x cobrada x recebida (parcelas das inscrições do período)
+app.get('/api/admin/analises/receita', adminAuth, exigirPapel('finance'), async (req, res) => {
+  const p = lerPeriodo(req.query);
+  if (p.erro) return res.status(400).json({ ok:false, error: p.erro });
+  try {
+    const args = [req.evento.id, p.de, p.ate, ASAAS_PAGO];
+    const doPeriodo = `i.evento_id=$1 AND ${NO_PERIODO('i.criado_em', '$2', '$3')}`;
+    const pago = `UPPER(COALESCE(p.status,'')) = ANY($4::text[])`;
+    const cobrada = `UPPER(COALESCE(p.status,'')) NOT IN ('CANCELLED','DELETED')`;
+    const [{ rows: [tot] }, { rows: porMes }, { rows: porForma }] = await Promise.all([
+      pgPool.query(`
+        SELECT
+          (SELECT COALESCE(SUM(preco_cents),0) FROM public.inscritos i
+            WHERE ${doPeriodo} AND COALESCE(i.status,'') <> 'cancelado')::bigint AS previsto_cents,
+          COALESCE(SUM(p.valor_cents) FILTER (WHERE ${cobrada}),0)::bigint AS cobrado_cents,
+          COALESCE(SUM(p.valor_cents) FILTER (WHERE ${pago}),0)::bigint AS recebido_cents,
+          COALESCE(SUM(p.valor_cents) FILTER (WHERE ${PARCELA_EM_ABERTO} AND COALESCE(${VENCIMENTO} >= ${HOJE_SP}, TRUE)
+                                               AND UPPER(COALESCE(p.status,''))<>'OVERDUE'),0)::bigint AS a_vencer_cents,
+          COALESCE(SUM(p.valor_cents) FILTER (WHERE ${PARCELA_EM_ABERTO} AND (UPPER(COALESCE(p.status,''))='OVERDUE'
+                                               OR ${VENCIMENTO} < ${HOJE_SP})),0)::bigint AS vencido_cents,
+          (SELECT COALESCE(SUM(r.valor_cents),0) FROM public.reembolsos r JOIN public.inscritos i ON i.id=r.inscrito_id
+            WHERE ${doPeriodo} AND r.status='efetuado')::bigint AS estornado_cents
+        FROM public.parcelas p JOIN public.inscritos i ON i.id=p.inscrito_id
+        WHERE ${doPeriodo}
+      `, args),
+      pgPool.query(`
+        SELECT COALESCE(to_char(${VENCIMENTO}, 'YYYY-MM'), '—') AS mes,
+               COALESCE(SUM(p.valor_cents) FILTER (WHERE ${cobrada}),0)::bigint AS esperado_cents,
+               COALESCE(SUM(p.valor_cents) FILTER (WHERE ${pago}),0)::bigint AS recebido_cents
+        FROM public.parcelas p JOIN public.inscritos i ON i.id=p.inscrito_id
+        WHERE ${doPeriodo}
+        GROUP BY 1 ORDER BY MIN(${VENCIMENTO}) NULLS LAST
+      `, args),
+      pgPool.query(`
+        SELECT COALESCE(p.forma, i.forma_pagamento, '—') AS forma,
+               COALESCE(SUM(p.valor_cents) FILTER (WHERE ${cobrada}),0)::bigint AS esperado_cents,
+               COALESCE(SUM(p.valor_cents) FILTER (WHERE ${pago}),0)::bigint AS recebido_cents
+        FROM public.parcelas p JOIN public.inscritos i ON i.id=p.inscrito_id
+        WHERE ${doPeriodo}
+        GROUP BY 1 ORDER BY 2 DESC
+      `, args)
+    ]);
+    const num = r => Object.fromEntries(Object.entries(r).map(([k, v]) => [k, k.endsWith('_cents') ? Number(v) : v]));
+    res.json({ ok: true, totais: num(tot), por_mes: porMes.map(num), por_forma: porForma.map(num) });
+  } catch (e) {
+    console.error('[analises receita] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'analises failed' });
+  }
+});
+
+// Andamento do check-in: presentes x esperados, por hora e por campus
+app.get('/api/admin/analises/checkin', adminAuth, exigirPapel('finance', 'checkin'), async (req, res) => {
+  const p = lerPeriodo(req.query);
+  if (p.erro) return res.status(400).json({ ok:false, error: p.erro });
+  try {
+    const args = [req.evento.id, p.de, p.ate];
+    const [{ rows: [tot] }, { rows: porHora }, { rows: porCampus }] = await Promise.all([
+      pgPool.query(`
+        SELECT COUNT(*)::int AS esperados,
+               COUNT(*) FILTER (WHERE status='quitado')::int AS quitados,
+               COUNT(*) FILTER (WHERE checkin=1)::int AS presentes
+        FROM public.inscritos WHERE evento_id=$1 AND COALESCE(status,'') <> 'cancelado'
+      `, [req.evento.id]),
+      pgPool.query(`
+        SELECT to_char(date_trunc('hour', checkin_em AT TIME ZONE 'America/Sao_Paulo'), 'YYYY-MM-DD"T"HH24:00') AS hora,
+               COUNT(*)::int AS n
+        FROM public.inscritos
+        WHERE evento_id=$1 AND checkin=1 AND checkin_em IS NOT NULL AND ${NO_PERIODO('checkin_em', '$2', '$3')}
+        GROUP BY 1 ORDER BY 1
+      `, args),
+      pgPool.query(`
+        SELECT ${DIMENSOES_ANALISE.campus} AS valor, COUNT(*)::int AS esperados,
+               COUNT(*) FILTER (WHERE checkin=1)::int AS presentes
+        FROM public.inscritos WHERE evento_id=$1 AND COALESCE(status,'') <> 'cancelado'
+        GROUP BY 1 ORDER BY 2 DESC, 1
+      `, [req.evento.id])
+    ]);
+    res.json({
+      ok: true, ...tot,
+      pct: tot.esperados ? Math.round((tot.presentes / tot.esperados) * 1000) / 10 : 0,
+      ultimo_checkin: porHora.at(-1)?.hora || null,
+      por_hora: porHora, por_campus: porCampus
+    });
+  } catch (e) {
+    console.error('[analises checkin] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'analises failed' });
+  }
+});
+
+/* ======================================================================
+   ADMIN — Eventos: cadastro e evento ativo no painel
+   - o painel manda X-Evento-Id em toda chamada (adminAuth => req.evento);
+     listas, exports, KPIs, preços, campos e quartos enxergam só esse evento
+   - PUT /api/admin/config continua valendo: edita o evento selecionado
+   - datas com fuso (ISO 8601); evento_data e boleto_limite só AAAA-MM-DD
+====================================================================== */
+const DATA_SIMPLES_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Lê os campos do body (parcial no PUT); retorna { erro } ou { dados }
+function lerEvento(body, parcial) {
+  const dados = {};
+  if (!parcial || 'slug' in body) {
+    dados.slug = String(body.slug || '').trim().toLowerCase().slice(0, 60);
+    if (!SLUG_RE.test(dados.slug)) return { erro: 'slug: letras minúsculas, números e hífens' };
+  }
+  if (!parcial || 'nome' in body) {
+    dados.nome = String(body.nome || '').trim().slice(0, 120);
+    if (!dados.nome) return { erro: 'nome obrigatório' };
+  }
+  for (const k of ['datas', 'local', 'sheet_id', 'sheet_tab']) {
+    if (k in body) dados[k] = String(body[k] || '').trim().slice(0, 120) || null;
+  }
+  for (const k of ['inicio_em', 'inscricoes_abertura', 'inscricoes_encerramento', 'reembolso_integral_ate', 'reembolso_parcial_ate']) {
+    if (!(k in body)) continue;
+    const d = dataOpcional(body[k]);
+    if (!d.ok) return { erro: `${k} inválida` };
+    dados[k] = d.v;
+  }
+  for (const k of ['evento_data', 'boleto_limite']) {
+    if (!(k in body)) continue;
+    const v = String(body[k] || '').trim().slice(0, 10);
+    if (v && (!DATA_SIMPLES_RE.test(v) || isNaN(new Date(`${v}T00:00:00Z`)))) return { erro: `${k} inválida` };
+    dados[k] = v || null;
+  }
+  for (const [k, max] of [['capacidade', null], ['preco_cents', null], ['idade_minima', 120]]) {
+    if (parcial && !(k in body)) continue;
+    const n = inteiroOpcional(body[k], 0);
+    if (!n.ok || (max != null && n.v > max)) return { erro: `${k} inválido` };
+    dados[k] = n.v ?? 0;
+  }
+  if ('reembolso_parcial_pct' in body) {
+    const n = Number(body.reembolso_parcial_pct);
+    if (!Number.isFinite(n) || n < 0 || n > 100) return { erro: 'reembolso_parcial_pct inválido' };
+    dados.reembolso_parcial_pct = n;
+  }
+  if ('faixas_etarias' in body) {
+    const f = normalizarFaixasEtarias(body.faixas_etarias ?? []);
+    if (f.erro) return { erro: f.erro };
+    dados.faixas_etarias = JSON.stringify(f.faixas);
+  }
+  if ('marca' in body) {
+    const m = body.marca && typeof body.marca === 'object' ? body.marca : {};
+    const url = v => (/^https?:\/\/\S+$/i.test(String(v || '').trim()) ? String(v).trim().slice(0, 500) : null);
+    const marca = {
+      cor: /^#[0-9a-f]{6}$/i.test(String(m.cor || '').trim()) ? String(m.cor).trim() : null,
+      logo_url: url(m.logo_url),
+      banner_url: url(m.banner_url),
+      subtitulo: String(m.subtitulo || '').trim().slice(0, 200) || null
+    };
+    dados.marca = JSON.stringify(Object.fromEntries(Object.entries(marca).filter(([, v]) => v != null)));
+  }
+  if ('idioma' in body) {
+    dados.idioma = String(body.idioma || '').trim();
+    if (!IDIOMAS_EMAIL.includes(dados.idioma)) return { erro: `idioma deve ser ${IDIOMAS_EMAIL.join('/')}` };
+  }
+  if ('ativo' in body) dados.ativo = !!body.ativo;
+  return { dados };
+}
+
+// PUT /api/admin/eventos/:id e PUT /api/admin/config (evento selecionado)
+async function atualizarEvento(req, res, id) {
+  try {
+    const r = lerEvento(req.body || {}, true);
+    if (r.erro) return res.status(400).json({ ok:false, error: r.erro });
+    const { antes, depois } = await gravarLinha('eventos', id, r.dados);
+    if (!antes) return res.status(404).json({ ok:false, error:'not found' });
+    await auditar(req, { action: 'evento:update', targetType: 'evento', targetId: id, antes, depois });
+    // idade é gravada na inscrição: nova data do evento/faixas => recalcula o evento todo
+    if ('evento_data' in r.dados || 'faixas_etarias' in r.dados) {
+      await recalcularIdades(pgPool, { eventoId: id }).catch(e => console.error('[evento] recalcular idades:', e?.message || e));
+    }
+    // capacidade maior/janela reaberta pode liberar vagas para a fila
+    await promoverListaEspera(id).catch(e => console.error('[ESPERA] promover após config:', e?.message || e));
+    const config = await contarVagas(pgPool, id);
+    emitEvent('config:update', config, id);
+    res.json({ ok:true, item: depois, config });
+  } catch (e) {
+    if (e?.code === '23505') return res.status(409).json({ ok:false, error:'slug já usado por outro evento' });
+    console.error('[evento update] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'evento update failed' });
+  }
+}
+
+// Lista p/ o seletor do painel (todos os papéis precisam trocar de evento)
+app.get('/api/admin/eventos', adminAuth, exigirPapel('finance', 'checkin'), async (req, res) => {
+  try {
+    const { rows } = await pgPool.query(`
+      SELECT e.*,
+             (SELECT COUNT(*) FROM public.inscritos i
+               WHERE i.evento_id=e.id AND COALESCE(i.status,'') <> 'cancelado')::int AS inscritos
+      FROM public.eventos e
+      ORDER BY e.ativo DESC, e.inicio_em DESC NULLS LAST, e.id DESC
+    `);
+    const padrao = await eventoPadrao();
+    res.json({ ok:true, items: rows, atual_id: Number(req.evento.id), padrao_id: padrao ? Number(padrao.id) : null });
+  } catch (e) {
+    console.error('[eventos] listar:', e?.message || e);
+    res.status(500).json({ ok:false, error:'eventos list failed' });
+  }
+});
+
+app.post('/api/admin/eventos', adminAuth, exigirPapel('owner'), async (req, res) => {
+  try {
+    const r = lerEvento(req.body || {}, false);
+    if (r.erro) return res.status(400).json({ ok:false, error: r.erro });
+    const { depois } = await gravarLinha('eventos', null, r.dados);
+    await auditar(req, { action: 'evento:create', targetType: 'evento', targetId: depois.id, antes: null, depois });
+    emitEvent('eventos:update', { id: depois.id });
+    res.json({ ok:true, item: depois });
+  } catch (e) {
+    if (e?.code === '23505') return res.status(409).json({ ok:false, error:'slug já usado por outro evento' });
+    console.error('[eventos] criar:', e?.message || e);
+    res.status(500).json({ ok:false, error:'evento create failed' });
+  }
+});
+
+app.put('/api/admin/eventos/:id', adminAuth, exigirPapel('owner'), (req, res) => {
+  atualizarEvento(req, res, Number(req.params.id));
+});
+
+/* ======================================================================
+   ADMIN — Inscritos: detalhes, editar, cancelar, restaurar, check-in
+====================================================================== */
+
+// Detalhe
+app.get('/api/admin/inscritos/:id', adminAuth, exigirPapel('finance'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const { rows } = await pgPool.query(`
+      SELECT id, nome, cpf, cpf_norm, nascimento, email, telefone, frequentaPV, campus, status, forma_pagamento,
+             qrcode, checkin, checkin_em, checkin_por, ticket_enviado_em, criado_em, updated_at, canceled_at, cancel_reason,
+             pagamento_atrasado_em, lembretes_pausados, status_manual, cancelamento_solicitado_em, cancelamento_motivo,
+             lote_id, (SELECT nome FROM public.lotes l WHERE l.id=inscritos.lote_id) AS lote,
+             preco_base_cents, desconto_cents, preco_cents, cupom_codigo, grupo_id,
+             idade_evento, faixa_etaria, responsavel_legal_nome, responsavel_legal_cpf, responsavel_legal_telefone,
+             termo_menor_aceito_em, termo_menor_ip, termo_menor_versao, respostas, sexo, quarto_id, evento_id,
+             utm_source, utm_medium, utm_campaign, tags,
+             (SELECT nome FROM public.quartos q WHERE q.id=inscritos.quarto_id) AS quarto,
+             (SELECT COALESCE(SUM(valor_cents) FILTER (WHERE UPPER(status) IN ('RECEIVED','CONFIRMED','RECEIVED_IN_CASH')), 0)::int
+                FROM public.parcelas WHERE inscrito_id=$1 AND grupo_id IS NULL) AS pago_cents
+      FROM public.inscritos WHERE id=$1
+    `, [id]);
+    if (!rows.length) return res.status(404).json({ ok:false, error:'not found' });
+    // respostas na ordem/rótulo das perguntas; chave sem pergunta (apagada no banco) sai crua
+    const extras = await camposInscricao(pgPool, { eventoId: rows[0].evento_id, todos: true });
+    const respostas = rows[0].respostas || {};
+    const conhecidas = new Set(extras.map(c => c.chave));
+    rows[0].respostas_formatadas = [
+      ...extras.filter(c => c.chave in respostas).map(c => ({ chave: c.chave, rotulo: c.rotulo, valor: formatarResposta(respostas[c.chave]) })),
+      ...Object.keys(respostas).filter(k => !conhecidas.has(k)).map(k => ({ chave: k, rotulo: k, valor: formatarResposta(respostas[k]) }))
+    ];
+    res.json({ ok:true, item: rows[0] });
+  } catch (e) {
+    res.status(500).json({ ok:false, error:'detail failed' });
+  }
+});
+
+// Histórico (audit_log) do inscrito
+app.get('/api/admin/inscritos/:id/historico', adminAuth, exigirPapel('finance'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const { rows } = await pgPool.query(`
+      SELECT id, actor, action, diff, ip, created_at
+      FROM public.audit_log
+      WHERE target_type='inscrito' AND target_id=$1
+      ORDER BY created_at DESC, id DESC
+      LIMIT 200
+    `, [String(id)]);
+    res.json({ ok:true, items: rows });
+  } catch (e) {
+    console.error('[historico] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'history failed' });
+  }
+});
+
+// Grupo/família: responsável, participantes e a cobrança única
+app.get('/api/admin/grupos/:id', adminAuth, exigirPapel('finance'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const { rows } = await pgPool.query(`SELECT * FROM public.grupos WHERE id=$1`, [id]);
+    if (!rows.length) return res.status(404).json({ ok:false, error:'not found' });
+    const r = await resumoGrupo(pgPool, id);
+    const { rows: parcelas } = await pgPool.query(`
+      SELECT id, parcela, valor_cents, vencimento, status, forma, boleto_url, asaas_payment_id
+      FROM public.parcelas WHERE grupo_id=$1 ORDER BY parcela NULLS LAST, id
+    `, [id]);
+    res.json({
+      ok:true,
+      item: {
+        ...rows[0],
+        total_cents: r.total_cents, pago_cents: r.pago_cents, pendente_cents: r.pendente_cents,
+        membros: r.membros.map(({ cpf_norm, ...m }) => m),
+        parcelas
+      }
+    });
+  } catch (e) {
+    console.error('[grupo detail] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'group failed' });
+  }
+});
+
+// Editar (parcial)
+// Edição pelo painel: cada campo enviado passa pelos mesmos validadores do formulário
+// (validarInscricao/validarIdade), olhando a linha como fica depois da edição — virar
+// menor exige responsável legal e o termo (termo_menor: true registra o aceite)
+const EDICAO_INSCRITO = ['nome', 'email', 'telefone', 'frequentaPV', 'campus', 'forma_pagamento', 'nascimento', 'sexo',
+                         'responsavel_legal_nome', 'responsavel_legal_cpf', 'responsavel_legal_telefone'];
+const CAMPOS_RESPONSAVEL = { responsavelNome: 'responsavel_legal_nome', responsavelCpf: 'responsavel_legal_cpf',
+                             responsavelTelefone: 'responsavel_legal_telefone', termoMenor: 'termo_menor' };
+
+app.put('/api/admin/inscritos/:id', adminAuth, exigirPapel('owner'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const body = req.body || {};
+    const txt = v => (v == null ? '' : String(v).trim());
+    const fields = {};
+    for (const k of EDICAO_INSCRITO) if (typeof body[k] !== 'undefined') fields[k] = txt(body[k]);
+    if (!Object.keys(fields).length && body.termo_menor == null) return res.json({ ok:true, updated:0 });
+
+    const cols = 'id, nome, email, telefone, frequentaPV AS "frequentaPV", campus, forma_pagamento, nascimento, responsavel_legal_nome, responsavel_legal_cpf, responsavel_legal_telefone, sexo';
+    const { rows: atual } = await pgPool.query(`
+      SELECT ${cols}, cpf_norm, evento_id, termo_menor_aceito_em FROM public.inscritos WHERE id=$1
+    `, [id]);
+    if (!atual.length) return res.status(404).json({ ok:false, error:'not found' });
+
+    const campos = {};
+    if ('nome' in fields) {
+      fields.nome = fields.nome.replace(/\s+/g, ' ');
+      if (fields.nome.length < 3) campos.nome = 'Informe o nome completo.';
+      else if (fields.nome.length > 120) campos.nome = 'Nome muito longo.';
+    }
+    if ('email' in fields) {
+      fields.email = fields.email.toLowerCase();
+      if (!fields.email) campos.email = 'Informe o e-mail.';
+      else if (!emailValido(fields.email)) campos.email = 'E-mail inválido.';
+    }
+    if ('telefone' in fields) {
+      if (!fields.telefone) campos.telefone = 'Informe o telefone.';
+      else if (!telefoneValido(fields.telefone)) campos.telefone = 'Telefone inválido (use DDD + número).';
+    }
+    if ('nascimento' in fields) {
+      const iso = parseNascimento(fields.nascimento);
+      if (!fields.nascimento) campos.nascimento = 'Informe a data de nascimento.';
+      else if (!iso) campos.nascimento = 'Data de nascimento inválida (use DD/MM/AAAA).';
+      fields.nascimento = iso;
+    }
+    if ('sexo' in fields) {
+      fields.sexo = fields.sexo.toUpperCase();
+      if (fields.sexo && !SEXOS.includes(fields.sexo)) campos.sexo = 'Selecione o sexo (masculino ou feminino).';
+    }
+    if ('frequentaPV' in fields && fields.frequentaPV && !FREQUENTA_PV.includes(fields.frequentaPV)) {
+      campos.frequentaPV = 'Selecione se frequenta a Palavra Viva.';
+    }
+    if ('forma_pagamento' in fields) {
+      fields.forma_pagamento = fields.forma_pagamento.toLowerCase();
+      if (fields.forma_pagamento && !FORMAS_PAGAMENTO.includes(fields.forma_pagamento)) campos.forma_pagamento = 'Selecione a forma de pagamento.';
+    }
+    if ('responsavel_legal_cpf' in fields) fields.responsavel_legal_cpf = normalizarCPF(fields.responsavel_legal_cpf);
+
+    const depois = { ...atual[0], ...fields };
+    if ('frequentaPV' in fields || 'campus' in fields) {
+      if (depois.frequentaPV === 'Sim' && !depois.campus) campos.campus = 'Selecione qual Palavra Viva.';
+    }
+    // idade/menor: quando a edição traz nascimento, responsável ou o aceite do termo
+    let aceitarTermo = false;
+    const mexeIdade = ['nascimento', 'responsavel_legal_nome', 'responsavel_legal_cpf', 'responsavel_legal_telefone']
+      .some(k => k in fields) || body.termo_menor != null;
+    if (mexeIdade && !campos.nascimento) {
+      const dados = { nascimento: parseNascimento(depois.nascimento), cpfNorm: atual[0].cpf_norm };
+      const termo = !!atual[0].termo_menor_aceito_em || body.termo_menor === true || body.termo_menor === 'true';
+      const erros = validarIdade({
+        responsavelNome: depois.responsavel_legal_nome, responsavelCpf: depois.responsavel_legal_cpf,
+        responsavelTelefone: depois.responsavel_legal_telefone, termoMenor: termo
+      }, dados, await getConfig(pgPool, atual[0].evento_id));
+      for (const [k, msg] of Object.entries(erros)) campos[CAMPOS_RESPONSAVEL[k] || k] = msg;
+      aceitarTermo = dados.menor && !atual[0].termo_menor_aceito_em && termo;
+    }
+    if (Object.keys(campos).length) {
+      return res.status(400).json({ ok:false, error:'Dados inválidos. Confira os campos.', campos });
+    }
+
+    const sets = [];
+    const args = [];
+    let i = 1;
+    for (const [k, v] of Object.entries(fields)) {
+      sets.push(`${k}=$${i++}`);
+      args.push(v === '' ? null : v);
+    }
+    if (aceitarTermo) {
+      sets.push(`termo_menor_aceito_em=NOW()`, `termo_menor_ip=$${i++}`, `termo_menor_versao=$${i++}`);
+      args.push(clientIp(req), TERMO_MENOR_VERSAO);
+    }
+    sets.push(`updated_at=NOW()`);
+    args.push(id);
+
+    const sql = `UPDATE public.inscritos SET ${sets.join(',')} WHERE id=$${i} RETURNING ${cols}`;
+    const { rows } = await pgPool.query(sql, args);
+    if (!rows.length) return res.status(404).json({ ok:false, error:'not found' });
+
+    const { cpf_norm, evento_id, termo_menor_aceito_em, ...antes } = atual[0];
+    await auditar(req, { action: 'inscrito:edit', targetType: 'inscrito', targetId: id, antes, depois: rows[0] });
+    if ('nascimento' in fields) {
+      await recalcularIdades(pgPool, { id }).catch(e => console.error('[admin edit] idade:', e?.message || e));
+    }
+    emitEvent('inscrito:update', { id, type:'edit' });
+    res.json({ ok:true, id });
+  } catch (e) {
+    console.error('[admin edit] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'edit failed' });
+  }
+});
+
+// Cancelar inscrição (best-effort: marca parcelas pendentes como CANCELLED e tenta cancelar no Asaas)
+// null = não encontrada. Usada pela rota individual e pelas ações em massa.
+async function cancelarInscrito(id, { reason = null, notificar = true, reembolsar = false, req = null } = {}) {
+  const client = await pgPool.connect();
+  let antes, u, pendentes, grupoId;
+  try {
+    await client.query('BEGIN');
+
+    ({ rows: antes } = await client.query(`
+      SELECT status, cancel_reason, grupo_id, quarto_id FROM public.inscritos WHERE id=$1 FOR UPDATE
+    `, [id]));
+    grupoId = antes[0]?.grupo_id || null;
+    // cancelado não ocupa cama: sai do quarto (restaurar não devolve — redistribuir)
+    u = await client.query(`
+      UPDATE public.inscritos
+      SET status='cancelado', canceled_at=NOW(), cancel_reason=$2, quarto_id=NULL, updated_at=NOW()
+      WHERE id=$1
+      RETURNING id, nome, email, status, cancel_reason, quarto_id, evento_id
+    `, [id, reason]);
+    if (!u.rows.length) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    // cobrança do grupo não cai junto: é reduzida depois (ajustarTotalGrupo)
+    ({ rows: pendentes } = await client.query(`
+      SELECT id, asaas_payment_id FROM public.parcelas
+      WHERE inscrito_id=$1 AND grupo_id IS NULL AND COALESCE(status,'') ILIKE 'PEND%'
+    `, [id]));
+
+    for (const p of pendentes) {
+      if (p.asaas_payment_id) {
+        try { await asaas(`/payments/${p.asaas_payment_id}/cancel`, { method: 'POST' }); }
+        catch (e) { console.warn('[asaas cancel warn]', String(e?.message || e).slice(0, 160)); }
+      }
+    }
+
+    await client.query(`
+      UPDATE public.parcelas
+      SET status='CANCELLED'
+      WHERE inscrito_id=$1 AND grupo_id IS NULL AND COALESCE(status,'') ILIKE 'PEND%'
+    `, [id]);
+
+    await client.query('COMMIT');
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+
+  const depois = { status: u.rows[0].status, cancel_reason: u.rows[0].cancel_reason, quarto_id: u.rows[0].quarto_id };
+  if (pendentes.length) depois.parcelas_canceladas = pendentes.length;
+  await auditar(req, { action: 'inscrito:cancel', targetType: 'inscrito', targetId: id, antes: antes[0], depois });
+
+  emitEvent('inscrito:update', { id, status:'cancelado', reason });
+  if (antes[0]?.status !== 'cancelado' && notificar) {
+    enviarEmailCancelamento({ id, nome: u.rows[0].nome, email: u.rows[0].email, motivo: reason })
+      .catch(e => console.error('[EMAIL] cancelamento:', e?.message || e));
+  }
+  // vaga liberada => próximo da lista de espera recebe a oferta
+  promoverListaEspera(u.rows[0].evento_id).catch(e => console.error('[ESPERA] promover após cancelamento:', e?.message || e));
+
+  let grupo = null;
+  if (grupoId) {
+    grupo = await ajustarTotalGrupo(grupoId, { req })
+      .catch(e => { console.error('[GRUPO] ajuste após cancelamento:', grupoId, e?.message || e); return null; });
+  }
+
+  // dinheiro já recebido: devolve pela política (reembolsar:true) ou só informa o que seria devido
+  let reembolso = null;
+  try {
+    reembolso = reembolsar
+      ? await reembolsarInscrito(id, { motivo: reason || 'Cancelamento da inscrição', req })
+      : await simularReembolso(pgPool, id);
+  } catch (e) {
+    console.error('[admin cancel] reembolso:', e?.message || e);
+    reembolso = { erro: 'falha ao calcular/efetuar o reembolso' };
+  }
+  return { id, reembolso, ...(grupo ? { grupo } : {}) };
+}
+
+app.post('/api/admin/inscritos/:id/cancel', adminAuth, exigirPapel('owner'), async (req, res) => {
+  try {
+    const r = await cancelarInscrito(Number(req.params.id), {
+      reason: (req.body?.reason || '').trim().slice(0, 300) || null,
+      notificar: req.body?.notificar !== false,
+      reembolsar: req.body?.reembolsar === true,
+      req
+    });
+    if (!r) return res.status(404).json({ ok:false, error:'not found' });
+    res.json({ ok:true, ...r });
+  } catch (e) {
+    console.error('[admin cancel] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'cancel failed' });
+  }
+});
+
+// Restaurar inscrição
+app.post('/api/admin/inscritos/:id/restore', adminAuth, exigirPapel('owner'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const toStatus = (req.body?.status || 'pendente_pagamento').trim();
+    if (!STATUS_INSCRITO.includes(toStatus) || toStatus === 'cancelado') {
+      return res.status(400).json({ ok:false, error:'status inválido' });
+    }
+
+    // volta a ocupar vaga/CPF: mesmo lock e mesmas regras da inscrição (lotado só com aceite explícito)
+    const excederCapacidade = req.query.exceder_capacidade === '1';
+    let antes, rows;
+    const client = await pgPool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`SELECT pg_advisory_xact_lock(hashtext('inscricao'))`);
+      ({ rows: antes } = await client.query(`
+        SELECT status, cancel_reason, evento_id, cpf_norm, (${OCUPA_VAGA}) AS ocupa FROM public.inscritos WHERE id=$1
+      `, [id]));
+      if (!antes.length) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ ok:false, error:'not found' });
+      }
+      const { ocupa, evento_id: eventoId, cpf_norm: cpfNorm } = antes[0];
+      if (!ocupa && toStatus !== 'estornado') {
+        if (cpfNorm) {
+          const dup = await client.query(`
+            SELECT id FROM public.inscritos
+            WHERE cpf_norm=$1 AND evento_id=$2 AND id<>$3 AND ${OCUPA_VAGA}
+            LIMIT 1
+          `, [cpfNorm, eventoId, id]);
+          if (dup.rows.length) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ ok:false, error:`CPF já inscrito (#${dup.rows[0].id}).` });
+          }
+        }
+        if (!excederCapacidade && (await contarVagas(client, eventoId)).restantes <= 0) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({ ok:false, error:'evento lotado', motivo:'lotado' });
+        }
+      }
+      ({ rows } = await client.query(`
+        UPDATE public.inscritos
+        SET status=$1, canceled_at=NULL, cancel_reason=NULL,
+            cancelamento_solicitado_em=NULL, cancelamento_motivo=NULL, updated_at=NOW()
+        WHERE id=$2
+        RETURNING id, status, cancel_reason, grupo_id
+      `, [toStatus, id]));
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+
+    if (!rows.length) return res.status(404).json({ ok:false, error:'not found' });
+    await auditar(req, {
+      action: 'inscrito:restore', targetType: 'inscrito', targetId: id,
+      antes: { status: antes[0].status, cancel_reason: antes[0].cancel_reason }, depois: { status: rows[0].status, cancel_reason: rows[0].cancel_reason }
+    });
+
+    emitEvent('inscrito:update', { id, status: toStatus });
+    await recalcularStatusPagamento(id, { req })
+      .catch(e => console.error('[PAGAMENTO] recalcular após restaurar:', id, e?.message || e));
+    // grupo: o total volta a subir; a diferença aparece como falta_cobrar_cents
+    let grupo = null;
+    if (rows[0].grupo_id) {
+      grupo = await ajustarTotalGrupo(rows[0].grupo_id, { req })
+        .catch(e => { console.error('[GRUPO] ajuste após restaurar:', rows[0].grupo_id, e?.message || e); return null; });
+    }
+    res.json({ ok:true, id, ...(grupo ? { grupo } : {}) });
+  } catch (e) {
+    if (e?.code === '23505') return res.status(409).json({ ok:false, error:'CPF já inscrito.' });
+    console.error('[admin restore] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'restore failed' });
+  }
+});
+
+// Ingresso em PDF (reimpressão no balcão)
+app.get('/api/admin/inscritos/:id/ticket.pdf', adminAuth, exigirPapel('finance', 'checkin'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const { rows } = await pgPool.query(`SELECT id, evento_id, nome, campus, qrcode FROM public.inscritos WHERE id=$1`, [id]);
+    const i = rows[0];
+    if (!i) return res.status(404).json({ ok:false, error:'not found' });
+    if (!i.qrcode) i.qrcode = (await gravarQRCheckin(pgPool, i.id)).qr;
+    const pdf = await gerarCrachaPDF(i);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="ingresso-${i.id}.pdf"`);
+    res.send(pdf);
+  } catch (e) {
+    console.error('[ticket pdf] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'ticket failed' });
+  }
+});
+
+// Reenvia o ingresso por e-mail (só para quitados)
+app.post('/api/admin/inscritos/:id/ticket/reenviar', adminAuth, exigirPapel('finance'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const enviado = await enviarTicket(id, { forcar: true });
+    if (!enviado) return res.status(409).json({ ok:false, error:'inscrição não encontrada ou não quitada' });
+    await auditar(req, { action: 'inscrito:ticket', targetType: 'inscrito', targetId: id, diff: { ticket: { de: null, para: 'reenviado' } } });
+    res.json({ ok:true, id });
+  } catch (e) {
+    console.error('[ticket reenviar] err:', e?.message || e);
+    res.status(502).json({ ok:false, error: String(e?.message || e).slice(0, 300) });
+  }
+});
+
+// Status de pagamento manual (financeiro): pagamento por fora do Asaas, acerto etc.
+// 'automatico' devolve o controle para as parcelas (recalcula na hora).
+const STATUS_PAGAMENTO = ['pendente_pagamento', 'parcial', 'quitado', 'atrasado', 'estornado', 'automatico'];
+
+// { erro, http } quando não dá; usada pela rota individual e pelas ações em massa
+async function definirStatusPagamento(id, status, { req = null } = {}) {
+  const { rows: antes } = await pgPool.query(`SELECT status, status_manual FROM public.inscritos WHERE id=$1`, [id]);
+  if (!antes.length) return { http: 404, erro: 'not found' };
+  if (antes[0].status === 'cancelado') return { http: 409, erro: 'inscrição cancelada: restaure antes' };
+
+  if (status === 'automatico') {
+    await pgPool.query(`UPDATE public.inscritos SET status_manual=FALSE, updated_at=NOW() WHERE id=$1`, [id]);
+    await auditar(req, { action: 'inscrito:status', targetType: 'inscrito', targetId: id, antes: { status_manual: antes[0].status_manual }, depois: { status_manual: false } });
+    const t = await recalcularStatusPagamento(id, { req });
+    return { id, status: t ? t.para : antes[0].status, status_manual: false };
+  }
+
+  await pgPool.query(`UPDATE public.inscritos SET status=$1, status_manual=TRUE, updated_at=NOW() WHERE id=$2`, [status, id]);
+  await auditar(req, { action: 'inscrito:status', targetType: 'inscrito', targetId: id, antes: antes[0], depois: { status, status_manual: true } });
+  if (status !== antes[0].status) emitEvent('inscrito:status', { id, de: antes[0].status, para: status, manual: true });
+  recalcularAtraso(pgPool, [id]).catch(e => console.error('[LEMBRETE] atraso status:', e?.message || e));
+  if (status === 'quitado') {
+    enviarTicket(id).catch(e => console.error('❌ [TICKET] status manual:', id, e?.message || e));
+  }
+  return { id, status, status_manual: true };
+}
+
+app.post('/api/admin/inscritos/:id/status', adminAuth, exigirPapel('finance'), async (req, res) => {
+  try {
+    const status = String(req.body?.status || '').trim();
+    if (!STATUS_PAGAMENTO.includes(status)) {
+      return res.status(400).json({ ok:false, error:`status deve ser ${STATUS_PAGAMENTO.join('/')}` });
+    }
+    const r = await definirStatusPagamento(Number(req.params.id), status, { req });
+    if (r.erro) return res.status(r.http).json({ ok:false, error: r.erro });
+    res.json({ ok:true, ...r });
+  } catch (e) {
+    console.error('[admin status] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'status failed' });
+  }
+});
+
+// Pausa/retoma os lembretes de boleto do inscrito
+app.post('/api/admin/inscritos/:id/lembretes', adminAuth, exigirPapel('finance'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (typeof req.body?.pausados !== 'boolean') {
+      return res.status(400).json({ ok:false, error:'pausados deve ser true/false' });
+    }
+    const { rows: antes } = await pgPool.query(`SELECT lembretes_pausados FROM public.inscritos WHERE id=$1`, [id]);
+    if (!antes.length) return res.status(404).json({ ok:false, error:'not found' });
+
+    await pgPool.query(`UPDATE public.inscritos SET lembretes_pausados=$1, updated_at=NOW() WHERE id=$2`, [req.body.pausados, id]);
+    await auditar(req, { action: 'inscrito:lembretes', targetType: 'inscrito', targetId: id, antes: antes[0], depois: { lembretes_pausados: req.body.pausados } });
+    emitEvent('inscrito:update', { id, lembretes_pausados: req.body.pausados });
+    res.json({ ok:true, id, lembretes_pausados: req.body.pausados });
+  } catch (e) {
+    console.error('[admin lembretes] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'update failed' });
+  }
+});
+
+// Roda a rotina de lembretes agora (não repete o que já foi enviado)
+app.post('/api/admin/lembretes/executar', adminAuth, exigirPapel('owner'), async (req, res) => {
+  try {
+    const resumo = await enviarLembretesPagamento();
+    await auditar(req, { action: 'lembretes:executar', targetType: 'lembretes', targetId: 'manual', depois: resumo });
+    res.json({ ok:true, ...resumo });
+  } catch (e) {
+    console.error('[admin lembretes executar] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'run failed' });
+  }
+});
+
+// Reembolsos da inscrição + quanto a política manda devolver hoje
+app.get('/api/admin/inscritos/:id/reembolsos', adminAuth, exigirPapel('finance'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const simulacao = await simularReembolso(pgPool, id);
+    if (!simulacao) return res.status(404).json({ ok:false, error:'not found' });
+    const { rows } = await pgPool.query(`
+      SELECT r.id, r.parcela_id, p.parcela, r.asaas_payment_id, r.valor_cents, r.percentual, r.faixa,
+             r.motivo, r.status, r.ultimo_erro, r.criado_por, r.criado_em, r.processado_em
+      FROM public.reembolsos r
+      LEFT JOIN public.parcelas p ON p.id = r.parcela_id
+      WHERE r.inscrito_id=$1
+      ORDER BY r.criado_em DESC, r.id DESC
+    `, [id]);
+    res.json({ ok:true, simulacao, items: rows });
+  } catch (e) {
+    console.error('[admin reembolsos] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'refunds failed' });
+  }
+});
+
+// Reembolsar: body { motivo, valor_cents? | percentual?, dry_run? }
+// sem valor/percentual aplica a política; dry_run só devolve o plano
+app.post('/api/admin/inscritos/:id/reembolsos', adminAuth, exigirPapel('owner'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const body = req.body || {};
+    const motivo = String(body.motivo || '').trim().slice(0, 300);
+    if (motivo.length < 3) return res.status(400).json({ ok:false, error:'motivo obrigatório' });
+
+    let valorCents = null, percentual = null;
+    if (body.valor_cents != null && body.valor_cents !== '') {
+      valorCents = Number(body.valor_cents);
+      if (!Number.isInteger(valorCents) || valorCents <= 0) return res.status(400).json({ ok:false, error:'valor_cents inválido' });
+    } else if (body.percentual != null && body.percentual !== '') {
+      percentual = Number(body.percentual);
+      if (!Number.isFinite(percentual) || percentual <= 0 || percentual > 100) {
+        return res.status(400).json({ ok:false, error:'percentual inválido' });
+      }
+    }
+
+    const sim = await simularReembolso(pgPool, id, { valorCents, percentual });
+    if (!sim) return res.status(404).json({ ok:false, error:'not found' });
+    if (valorCents != null && valorCents > sim.disponivel_cents) {
+      return res.status(400).json({ ok:false, error:'valor acima do disponível para reembolso', simulacao: sim });
+    }
+    if (!sim.valor_cents) return res.status(409).json({ ok:false, error:'nada a reembolsar', simulacao: sim });
+    if (body.dry_run) return res.json({ ok:true, dry_run:true, simulacao: sim });
+
+    const r = await reembolsarInscrito(id, { valorCents, percentual, motivo, req });
+    if (!r) return res.status(404).json({ ok:false, error:'not found' });
+    if (!r.plano.length) return res.status(409).json({ ok:false, error:'nada a reembolsar', simulacao: r });
+    if (!r.efetuado_cents) return res.status(502).json({ ok:false, error:'Asaas recusou o reembolso', ...r });
+    res.json({ ok:true, ...r });
+  } catch (e) {
+    console.error('[admin reembolsar] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'refund failed' });
+  }
+});
+
+// Check-in toggle/forçado
+app.post('/api/admin/inscritos/:id/checkin', adminAuth, exigirPapel('checkin'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const force = req.body?.value; // 0/1 opcional
+    const q = typeof force === 'number'
+      ? `UPDATE public.inscritos SET checkin=$3, checkin_em=CASE WHEN $3=1 THEN NOW() END, checkin_por=$2, updated_at=NOW() WHERE id=$1 RETURNING id, checkin, quarto_id`
+      : `UPDATE public.inscritos SET checkin=CASE WHEN checkin=1 THEN 0 ELSE 1 END, checkin_em=CASE WHEN checkin=1 THEN NULL ELSE NOW() END, checkin_por=$2, updated_at=NOW() WHERE id=$1 RETURNING id, checkin, quarto_id`;
+    const args = typeof force === 'number' ? [id, req.adminActor, force] : [id, req.adminActor];
+    const { rows: antes } = await pgPool.query(`SELECT checkin FROM public.inscritos WHERE id=$1`, [id]);
+    const { rows } = await pgPool.query(q, args);
+    if (!rows.length) return res.status(404).json({ ok:false, error:'not found' });
+    await auditar(req, {
+      action: 'inscrito:checkin', targetType: 'inscrito', targetId: id,
+      antes: antes[0], depois: { checkin: rows[0].checkin }
+    });
+    emitEvent('inscrito:update', { id, checkin: rows[0].checkin });
+    // equipe da recepção já encaminha p/ o quarto
+    res.json({ ok:true, id, checkin: rows[0].checkin, quarto: await quartoResumo(pgPool, rows[0].quarto_id) });
+  } catch (e) {
+    console.error('[admin:checkin] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'checkin failed' });
+  }
+});
+
+// Check-in por QR (scanner): valida assinatura, status e presença
+const MOTIVOS_SCAN = {
+  invalido:   'QR inválido ou adulterado.',
+  substituido: 'QR antigo — este ingresso foi reemitido.',
+  cancelado:  'Inscrição cancelada.',
+  nao_pago:   'Pagamento não quitado.',
+  ja_presente: 'Check-in já realizado.',
+  outro_evento: 'Ingresso de outro evento.'
+};
+app.post('/api/admin/checkin/scan', adminAuth, exigirPapel('checkin'), async (req, res) => {
+  const falha = (http, motivo, inscrito) => {
+    emitEvent('checkin:scan', { ok:false, motivo, id: inscrito?.id, nome: inscrito?.nome }, req.evento.id);
+    return res.status(http).json({ ok:false, motivo, mensagem: MOTIVOS_SCAN[motivo], inscrito });
+  };
+  try {
+    const tok = await verificarTokenCheckin(req.body?.token);
+    if (!tok) return falha(400, 'invalido');
+
+    // UPDATE condicional: dois scanners no mesmo QR => só um vence
+    const { rows } = await pgPool.query(`
+      UPDATE public.inscritos
+      SET checkin=1, checkin_em=NOW(), checkin_por=$3, updated_at=NOW()
+      WHERE id=$1 AND checkin_nonce=$2 AND status='quitado' AND COALESCE(checkin,0)=0 AND evento_id=$4
+      RETURNING id, nome, campus, status, checkin_em, quarto_id,
+                idade_evento, responsavel_legal_nome, responsavel_legal_telefone, termo_menor_aceito_em
+    `, [tok.id, tok.nonce, req.adminActor, req.evento.id]);
+
+    if (rows.length) {
+      const inscrito = rows[0];
+      inscrito.quarto = await quartoResumo(pgPool, inscrito.quarto_id);
+      await auditar(req, {
+        action: 'inscrito:checkin', targetType: 'inscrito', targetId: inscrito.id,
+        diff: { checkin: { de: 0, para: 1 }, via: { de: null, para: 'qr' } }
+      });
+      emitEvent('inscrito:update', { id: inscrito.id, checkin: 1 });
+      emitEvent('checkin:scan', { ok:true, id: inscrito.id, nome: inscrito.nome }, req.evento.id);
+      // menor: a equipe confere a autorização do responsável na entrada
+      const menor = inscrito.idade_evento != null && inscrito.idade_evento < MAIORIDADE;
+      return res.json({ ok:true, mensagem: 'Check-in liberado.', inscrito, menor });
+    }
+
+    // não atualizou: descobre o porquê
+    const { rows: r2 } = await pgPool.query(`
+      SELECT id, nome, campus, status, checkin, checkin_em, checkin_por, checkin_nonce, quarto_id, evento_id
+      FROM public.inscritos WHERE id=$1
+    `, [tok.id]);
+    const i = r2[0];
+    if (!i) return falha(400, 'invalido');
+    i.quarto = await quartoResumo(pgPool, i.quarto_id);
+    const { checkin_nonce, evento_id, ...inscrito } = i;
+    if (checkin_nonce !== tok.nonce) return falha(409, 'substituido', inscrito);
+    if (Number(evento_id) !== Number(req.evento.id)) return falha(409, 'outro_evento', { id: inscrito.id, nome: inscrito.nome });
+    if (i.status === 'cancelado') return falha(409, 'cancelado', inscrito);
+    if (i.status !== 'quitado') return falha(409, 'nao_pago', inscrito);
+    return falha(409, 'ja_presente', inscrito);
+  } catch (e) {
+    console.error('[checkin scan] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'scan failed' });
+  }
+});
+
+/* ======================================================================
+   ADMIN — Ações em massa sobre inscritos
+   - seleção: ids marcados no painel OU o filtro atual da lista (mesmos
+     parâmetros de /inscritos/list); sempre dentro do evento do painel
+   - acao: status | cancelar | email (confirmacao/pagamento/ingresso) | tags
+   - dry_run: true => só mostra o que aconteceria com cada um, nada é gravado
+   - cada item é processado sozinho (um erro não derruba os outros) e passa
+     pelas mesmas regras/auditoria da ação individual; a resposta traz o
+     resultado item a item (ok / ignorado + motivo / erro)
+====================================================================== */
+const MASSA_MAX = 500;
+const TAGS_MAX = 20;
+const EMAILS_MASSA = ['confirmacao', 'pagamento', 'ingresso'];
+
+// "Bolsa, Equipe  Louvor" / ['bolsa'] => ['bolsa', 'equipe louvor'] (minúsculas, sem repetição)
+function normalizarTags(v) {
+  const lista = Array.isArray(v) ? v : String(v ?? '').split(',');
+  const tags = lista.map(t => String(t ?? '').trim().toLowerCase().replace(/\s+/g, ' ').slice(0, 40)).filter(Boolean);
+  return [...new Set(tags)].slice(0, TAGS_MAX);
+}
+
+// parcelas em aberto com boleto (da inscrição ou da cobrança do grupo) => destinatário do lembrete
+async function parcelasParaCobrar(db, inscritoId) {
+  const { rows } = await db.query(`
+    SELECT p.id, p.parcela, p.valor_cents, p.vencimento, p.boleto_url,
+           ${VENCIMENTO} < ${HOJE_SP} AS vencida,
+           COALESCE((SELECT g.responsavel_nome  FROM public.grupos g WHERE g.id=p.grupo_id), i.nome)  AS nome,
+           COALESCE((SELECT g.responsavel_email FROM public.grupos g WHERE g.id=p.grupo_id), i.email) AS email
+    FROM public.inscritos i
+    JOIN public.parcelas p ON ${PARCELA_DO_INSCRITO}
+    WHERE i.id=$1 AND ${PARCELA_EM_ABERTO} AND p.boleto_url IS NOT NULL
+    ORDER BY p.parcela NULLS LAST, p.id
+  `, [inscritoId]);
+  return rows;
+}
+
+async function enviarEmailPagamento(inscritoId, parcelas) {
+  for (const p of parcelas) {
+    await enfileirarEmail({
+      template: 'lembrete_pagamento',
+      para: [p.email],
+      inscritoId,
+      dados: {
+        nome: p.nome, parcela: p.parcela, situacao: p.vencida ? { 'pt-BR': 'está vencida', en: 'is overdue' } : { 'pt-BR': 'está em aberto', en: 'is still open' }, boleto_url: p.boleto_url,
+        valor: (Number(p.valor_cents || 0) / 100).toFixed(2).replace('.', ','),
+        vencimento: fmtDataISO(p.vencimento)
+      }
+    });
+  }
+}
+
+// cada ação: quem pode, leitura dos parâmetros, prévia por item (motivo p/ ignorar) e execução
+const ACOES_MASSA = {
+  status: {
+    papeis: ['finance'],
+    params(b) {
+      const status = String(b.status || '').trim();
+      if (!STATUS_PAGAMENTO.includes(status)) return { erro: `status deve ser ${STATUS_PAGAMENTO.join('/')}` };
+      return { status };
+    },
+    async avaliar(i, p) {
+      if (i.status === 'cancelado') return { ignorar: 'inscrição cancelada: restaure antes' };
+      if (p.status === 'automatico') return i.status_manual ? { de: 'manual', para: 'automatico' } : { ignorar: 'já está no automático' };
+      if (i.status === p.status && i.status_manual) return { ignorar: `já está ${p.status}` };
+      return { de: i.status, para: p.status };
+    },
+    async executar(req, i, p) {
+      const r = await definirStatusPagamento(i.id, p.status, { req });
+      if (r.erro) throw new Error(r.erro);
+      return { para: r.status };
+    }
+  },
+  cancelar: {
+    papeis: [],
+    params(b) {
+      const reason = String(b.reason || '').trim().slice(0, 300) || null;
+      if (!reason) return { erro: 'informe o motivo do cancelamento' };
+      return { reason, notificar: b.notificar !== false, reembolsar: b.reembolsar === true };
+    },
+    async avaliar(i, p) {
+      if (i.status === 'cancelado') return { ignorar: 'já cancelada' };
+      const previsto = { de: i.status, para: 'cancelado' };
+      if (p.reembolsar) {
+        const sim = await simularReembolso(pgPool, i.id);
+        if (sim) previsto.reembolso_cents = sim.valor_cents;
+      }
+      return previsto;
+    },
+    async executar(req, i, p) {
+      const r = await cancelarInscrito(i.id, { ...p, req });
+      if (!r) throw new Error('not found');
+      return { para: 'cancelado', ...(r.reembolso ? { reembolso: r.reembolso } : {}) };
+    }
+  },
+  email: {
+    papeis: ['finance'],
+    params(b) {
+      const tipo = String(b.tipo || '').trim();
+      if (!EMAILS_MASSA.includes(tipo)) return { erro: `tipo deve ser ${EMAILS_MASSA.join('/')}` };
+      return { tipo };
+    },
+    async avaliar(i, p) {
+      if (i.status === 'cancelado') return { ignorar: 'inscrição cancelada' };
+      if (p.tipo === 'confirmacao') return i.email ? { destinatario: i.email } : { ignorar: 'sem e-mail' };
+      if (p.tipo === 'ingresso') return i.status === 'quitado' ? { destinatario: i.email } : { ignorar: 'não quitada' };
+      const parcelas = await parcelasParaCobrar(pgPool, i.id);
+      if (!parcelas.length) return { ignorar: 'sem boleto em aberto' };
+      return { destinatario: parcelas[0].email, parcelas: parcelas.map(x => x.parcela) };
+    },
+    async executar(req, i, p) {
+      if (p.tipo === 'confirmacao') {
+        await enviarEmailInscricao({
+          id: i.id, nome: i.nome, email: i.email, telefone: i.telefone, formaPagamento: i.forma_pagamento,
+          registradoEm: i.criado_em, copiaAdmins: false
+        });
+      } else if (p.tipo === 'ingresso') {
+        if (!await enviarTicket(i.id, { forcar: true })) throw new Error('inscrição não encontrada ou não quitada');
+      } else {
+        await enviarEmailPagamento(i.id, await parcelasParaCobrar(pgPool, i.id));
+      }
+      await auditar(req, { action: 'inscrito:email', targetType: 'inscrito', targetId: i.id, diff: { [p.tipo]: { de: null, para: 'reenviado' } } });
+      return { enviado: p.tipo };
+    }
+  },
+  tags: {
+    papeis: ['finance'],
+    params(b) {
+      const adicionar = normalizarTags(b.adicionar);
+      const remover = normalizarTags(b.remover);
+      if (!adicionar.length && !remover.length) return { erro: 'informe tags para adicionar ou remover' };
+      return { adicionar, remover };
+    },
+    async avaliar(i, p) {
+      const atual = i.tags || [];
+      const novas = [...new Set([...atual.filter(t => !p.remover.includes(t)), ...p.adicionar])].slice(0, TAGS_MAX);
+      if (novas.length === atual.length && novas.every(t => atual.includes(t))) return { ignorar: 'sem mudança' };
+      return { de: atual, para: novas };
+    },
+    async executar(req, i, p, previsto) {
+      await pgPool.query(`UPDATE public.inscritos SET tags=$1, updated_at=NOW() WHERE id=$2`, [previsto.para, i.id]);
+      await auditar(req, { action: 'inscrito:tags', targetType: 'inscrito', targetId: i.id, antes: { tags: previsto.de }, depois: { tags: previsto.para } });
+      emitEvent('inscrito:update', { id: i.id, tags: previsto.para });
+      return { para: previsto.para };
+    }
+  }
+};
+
+app.post('/api/admin/inscritos/massa', adminAuth, exigirPapel('finance'), async (req, res) => {
+  try {
+    const b = req.body || {};
+    const acao = ACOES_MASSA[b.acao];
+    if (!acao) return res.status(400).json({ ok:false, error:`acao deve ser ${Object.keys(ACOES_MASSA).join('/')}` });
+    const papel = req.admin?.papel;
+    if (papel !== 'owner' && !acao.papeis.includes(papel)) return res.status(403).json({ ok:false, error:'forbidden', papel });
+    const params = acao.params(b);
+    if (params.erro) return res.status(400).json({ ok:false, error: params.erro });
+    const dryRun = b.dry_run === true;
+
+    let sqlWhere, args;
+    if (Array.isArray(b.ids)) {
+      const ids = [...new Set(b.ids.map(Number).filter(n => Number.isInteger(n) && n > 0))];
+      if (!ids.length) return res.status(400).json({ ok:false, error:'nenhum inscrito selecionado' });
+      sqlWhere = 'WHERE evento_id = $1 AND id = ANY($2::bigint[])';
+      args = [req.evento.id, ids];
+    } else if (b.filtro && typeof b.filtro === 'object') {
+      ({ sqlWhere, args } = filtroInscritos(b.filtro, req.evento.id));
+    } else {
+      return res.status(400).json({ ok:false, error:'informe ids ou filtro' });
+    }
+
+    const { rows: alvo } = await pgPool.query(`
+      SELECT id, nome, email, telefone, forma_pagamento, status, status_manual, tags, criado_em
+      FROM public.inscritos
+      ${sqlWhere}
+      ORDER BY id
+      LIMIT ${MASSA_MAX + 1}
+    `, args);
+    if (alvo.length > MASSA_MAX) {
+      return res.status(400).json({ ok:false, error:`seleção com mais de ${MASSA_MAX} inscritos: refine o filtro` });
+    }
+
+    const itens = [];
+    for (const i of alvo) {
+      const item = { id: i.id, nome: i.nome };
+      try {
+        const previsto = await acao.avaliar(i, params);
+        if (previsto.ignorar) { itens.push({ ...item, resultado: 'ignorado', motivo: previsto.ignorar }); continue; }
+        if (dryRun) { itens.push({ ...item, resultado: 'previsto', ...previsto }); continue; }
+        itens.push({ ...item, resultado: 'ok', ...previsto, ...await acao.executar(req, i, params, previsto) });
+      } catch (e) {
+        console.error(`[massa ${b.acao}] inscrito ${i.id}:`, e?.message || e);
+        itens.push({ ...item, resultado: 'erro', erro: String(e?.message || e).slice(0, 300) });
+      }
+    }
+
+    const resumo = { total: itens.length };
+    for (const r of ['previsto', 'ok', 'ignorado', 'erro']) resumo[r] = itens.filter(x => x.resultado === r).length;
+    if (!dryRun && alvo.length) {
+      await auditar(req, {
+        action: 'inscritos:massa', targetType: 'evento', targetId: req.evento.id,
+        diff: { acao: b.acao, params, ...resumo }
+      });
+    }
+    res.json({ ok:true, acao: b.acao, dry_run: dryRun, params, resumo, itens });
+  } catch (e) {
+    console.error('[admin massa] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'bulk failed' });
+  }
+});
+
+/* ======================================================================
+   ADMIN — Importação de inscrições (CSV/XLSX): fichas de papel, balcão etc.
+   - mesmo layout de /api/admin/export/inscritos.csv (cabeçalho na 1ª linha);
+     colunas calculadas (id, lote, idade, quarto…) são ignoradas, perguntas
+     extras entram pela chave
+   - corpo = o arquivo cru (CSV com ; ou , em UTF-8/Latin-1, ou .xlsx — 1ª aba)
+   - sem ?confirmar: prévia com os erros de cada linha (regras do formulário +
+     CPF já inscrito no evento ou repetido na planilha); nada é gravado
+   - ?confirmar=<hash da prévia>: grava as linhas válidas, cada uma sob o lock
+     da inscrição (revalida tudo); arquivo diferente do da prévia => 409
+   - importada ganha QR, backup no Sheets e vínculo com leads como as do
+     formulário; e-mail de confirmação (e ingresso, se quitada) só com ?notificar=1
+   - status: vazio = o de sempre (pendente, ou quitado se gratuita); parcial ou
+     quitado informados ficam como status manual (não há cobrança no Asaas)
+====================================================================== */
+const IMPORT_MAX_LINHAS = 2000;
+const IMPORT_MAX_XML = 50 * 1024 * 1024; // por XML descompactado: barra zip-bomb
+const IMPORT_STATUS = ['pendente_pagamento', 'parcial', 'quitado'];
+// cabeçalho do export => campo de validarInscricao (+ os que a importação trata à parte)
+const COLUNAS_IMPORT = {
+  nome: 'nome', email: 'email', telefone: 'telefone', cpf: 'cpf', nascimento: 'nascimento',
+  frequentapv: 'frequentaPV', campus: 'campus', forma_pagamento: 'formaPagamento', cupom: 'cupom', sexo: 'sexo',
+  responsavel_legal: 'responsavelNome', responsavel_legal_cpf: 'responsavelCpf', responsavel_legal_telefone: 'responsavelTelefone',
+  termo_aceito_em: 'termoAceitoEm', status: 'status', preco: 'preco', tags: 'tags',
+  utm_source: 'utm_source', utm_medium: 'utm_medium', utm_campaign: 'utm_campaign'
+};
+const XML_ENTIDADES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function xmlTexto(s) {
+  return String(s).replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, e) => {
+    if (e[0] !== '#') return XML_ENTIDADES[e] ?? m;
+    return String.fromCodePoint(e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+  });
+}
+
+// .xlsx é um zip: lê o diretório central e descompacta só os XMLs pedidos
+function lerZip(buf, nomes) {
+  let fim = -1;
+  for (let k = buf.length - 22; k >= Math.max(0, buf.length - 65557); k--) {
+    if (buf.readUInt32LE(k) === 0x06054b50) { fim = k; break; }
+  }
+  if (fim < 0) throw new Error('XLSX sem diretório central');
+  const arquivos = {};
+  let p = buf.readUInt32LE(fim + 16);
+  for (let n = buf.readUInt16LE(fim + 10); n > 0; n--) {
+    if (buf.readUInt32LE(p) !== 0x02014b50) throw new Error('XLSX corrompido');
+    const metodo = buf.readUInt16LE(p + 10);
+    const tamanho = buf.readUInt32LE(p + 20);
+    const descompactado = buf.readUInt32LE(p + 24);
+    const lenNome = buf.readUInt16LE(p + 28);
+    const local = buf.readUInt32LE(p + 42);
+    const nome = buf.toString('utf8', p + 46, p + 46 + lenNome);
+    p += 46 + lenNome + buf.readUInt16LE(p + 30) + buf.readUInt16LE(p + 32);
+    if (!nomes.includes(nome)) continue;
+    const ini = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+    if (descompactado > IMPORT_MAX_XML) throw new Error('XLSX grande demais depois de descompactado');
+    const dados = buf.subarray(ini, ini + tamanho);
+    let xml;
+    try { xml = metodo === 8 ? zlib.inflateRawSync(dados, { maxOutputLength: IMPORT_MAX_XML }) : dados; }
+    catch (e) {
+      if (e?.code === 'ERR_BUFFER_TOO_LARGE') throw new Error('XLSX grande demais depois de descompactado');
+      throw e;
+    }
+    arquivos[nome] = xml.toString('utf8');
+  }
+  return arquivos;
+}
+
+// 1ª aba do .xlsx => linhas de texto (linhas vazias no meio continuam contando)
+function lerXlsx(buf) {
+  const base = lerZip(buf, ['xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/sharedStrings.xml']);
+  const rid = (base['xl/workbook.xml'] || '').match(/<sheet\b[^>]*\br:id="([^"]+)"/)?.[1];
+  let alvo = 'worksheets/sheet1.xml';
+  for (const [tag] of (base['xl/_rels/workbook.xml.rels'] || '').matchAll(/<Relationship\b[^>]*>/g)) {
+    if (rid && tag.includes(`Id="${rid}"`)) alvo = tag.match(/Target="([^"]+)"/)?.[1] || alvo;
+  }
+  const caminho = alvo.startsWith('/') ? alvo.slice(1) : `xl/${alvo}`;
+  const aba = lerZip(buf, [caminho])[caminho];
+  if (!aba) throw new Error('XLSX sem planilha');
+
+  const textos = xml => [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(t => xmlTexto(t[1])).join('');
+  const compartilhadas = [...(base['xl/sharedStrings.xml'] || '').matchAll(/<si>([\s\S]*?)<\/si>/g)].map(m => textos(m[1]));
+  const linhas = [];
+  for (const [, attrs, corpo] of aba.matchAll(/<row\b([^>]*)>([\s\S]*?)<\/row>/g)) {
+    const linha = [];
+    for (const [, c, conteudo = ''] of corpo.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const ref = c.match(/\br="([A-Z]+)\d+"/)?.[1];
+      const tipo = c.match(/\bt="(\w+)"/)?.[1];
+      const v = conteudo.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+      const col = ref ? [...ref].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1 : linha.length;
+      linha[col] = tipo === 's' ? (compartilhadas[Number(v)] ?? '')
+        : tipo === 'inlineStr' ? textos(conteudo)
+        : tipo === 'b' ? (v === '1' ? 'true' : 'false')
+        : (v != null ? xmlTexto(v) : '');
+    }
+    const r = Number(attrs.match(/\br="(\d+)"/)?.[1]) || linhas.length + 1;
+    linhas[r - 1] = Array.from(linha, x => x ?? '');
+  }
+  return Array.from(linhas, l => l || []);
+}
+
+// CSV do Excel/Sheets: ; ou , (o que aparecer mais no cabeçalho), aspas com "" escapado
+function lerCsv(texto) {
+  texto = texto.replace(/^\uFEFF/, '');
+  const cab = texto.slice(0, texto.search(/\r?\n|$/));
+  const sep = cab.split(';').length >= cab.split(',').length ? ';' : ',';
+  const linhas = [];
+  let linha = [], campo = '', aspas = false;
+  for (let k = 0; k < texto.length; k++) {
+    const ch = texto[k];
+    if (aspas) {
+      if (ch === '"' && texto[k + 1] === '"') { campo += '"'; k++; }
+      else if (ch === '"') aspas = false;
+      else campo += ch;
+    } else if (ch === '"') aspas = true;
+    else if (ch === sep) { linha.push(campo); campo = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && texto[k + 1] === '\n') k++;
+      linha.push(campo); linhas.push(linha); linha = []; campo = '';
+    } else campo += ch;
+  }
+  if (campo || linha.length) { linha.push(campo); linhas.push(linha); }
+  return linhas;
+}
 
-/* ======================================================================
-   PIX (mantido p/ futura automação)
-====================================================================== */
-app.post('/pagamentos/asaas/pix/:id', async (req, res) => {
+function lerPlanilha(buf) {
   try {
-    const inscritoId = Number(req.params.id);
-    const { rows } = await pgPool.query(`SELECT * FROM public.inscritos WHERE id=$1`, [inscritoId]);
-    const i = rows[0];
-    if (!i) return res.status(404).json({ erro: 'Inscrito não encontrado' });
+    if (buf.length >= 4 && buf.readUInt32LE(0) === 0x04034b50) return lerXlsx(buf);
+    // Excel no Windows salva CSV em Latin-1: UTF-8 inválido => relê
+    const texto = buf.toString('utf8');
+    return lerCsv(texto.includes('\uFFFD') ? buf.toString('latin1') : texto);
+  } catch (e) {
+    throw new Error(`não foi possível ler o arquivo (${e?.message || e}); use CSV ou XLSX`);
+  }
+}
 
-    const customer = await getOrCreateCustomer(i.nome, i.email, i.cpf_norm);
+// número serial do Excel (dias desde 30/12/1899) => AAAA-MM-DD
+const serialParaData = v => new Date(Date.UTC(1899, 11, 30) + Math.round(Number(v) * 86400000)).toISOString().slice(0, 10);
+const reaisParaCentavos = v => {
+  const t = String(v).trim().replace(/^R\$\s*/i, '');
+  const n = Number(t.includes(',') ? t.replace(/\./g, '').replace(',', '.') : t);
+  return Number.isFinite(n) && n >= 0 ? Math.round(n * 100) : null;
+};
 
-    const pay = await asaas(`/payments`, {
-      method: 'POST',
-      body: {
-        customer: customer.id,
-        billingType: 'PIX',
-        value: 320
-      }
-    });
+// Uma linha da planilha => { dados, campos, imp } (campos = erros, como no formulário)
+function validarLinhaImport(cabecalho, valores, { cfg, camposExtras }) {
+  const body = { respostas: {} };
+  cabecalho.forEach((h, k) => {
+    const v = String(valores[k] ?? '').trim();
+    if (COLUNAS_IMPORT[h]) { body[COLUNAS_IMPORT[h]] = v; return; }
+    const c = camposExtras.find(x => x.chave.toLowerCase() === h);
+    if (c && v) body.respostas[c.chave] = c.tipo === 'multipla' ? v.split(',').map(s => s.trim()).filter(Boolean) : v;
+  });
+  // planilha "come" zeros à esquerda e guarda datas como número
+  for (const k of ['cpf', 'responsavelCpf']) if (/^\d{9,10}$/.test(body[k] || '')) body[k] = body[k].padStart(11, '0');
+  for (const k of ['nascimento', 'termoAceitoEm']) if (/^\d{4,5}(\.\d+)?$/.test(body[k] || '')) body[k] = serialParaData(body[k]);
+  body.frequentaPV = FREQUENTA_PV.find(f => f.toLowerCase() === String(body.frequentaPV || '').toLowerCase()) || body.frequentaPV;
+  body.termoMenor = !!body.termoAceitoEm; // termo em papel: a data da assinatura vai na coluna
 
-    await pgPool.query(`
-      INSERT INTO public.parcelas
-      (inscrito_id, parcela, valor_cents, status, asaas_payment_id)
-      VALUES ($1,$2,$3,$4,$5)
-    `, [inscritoId, 1, 32000, 'pending', pay.id]);
+  const { dados, campos } = validarInscricao(body, { cfg, camposExtras });
+  const imp = { status: null, preco_cents: null, tags: normalizarTags(body.tags) };
+  if (body.termoAceitoEm) {
+    const t = new Date(body.termoAceitoEm);
+    if (isNaN(t)) campos.termo_aceito_em = 'Data do termo inválida.';
+    else dados.termoAceitoEm = t.toISOString();
+  }
+  if (body.status) {
+    imp.status = body.status.toLowerCase();
+    if (!IMPORT_STATUS.includes(imp.status)) campos.status = `Status deve ser ${IMPORT_STATUS.join('/')}.`;
+  }
+  if (body.preco) {
+    imp.preco_cents = reaisParaCentavos(body.preco);
+    if (imp.preco_cents == null) campos.preco = 'Preço inválido (ex.: 320,00).';
+  }
+  dados.utm = lerUtm(body);
+  return { dados, campos, imp };
+}
 
-    res.json({
-      ok: true,
-      qrPayload: pay.pixQrCode?.payload,
-      qrImageBase64: pay.pixQrCode?.encodedImage
-    });
-  } catch (e) {
-    console.error('[PIX] erro:', e?.message || e);
-    res.status(500).json({ erro: 'Erro interno' });
+// preço da planilha manda; sem ele, lote/faixa/cupom como no formulário
+async function cotarImportacao(db, dados, imp) {
+  const cotacao = await cotarPreco(db, dados);
+  if (imp.preco_cents != null && !cotacao.cupom_erro) {
+    cotacao.preco_cents = imp.preco_cents;
+    cotacao.desconto_cents = Math.max(0, cotacao.preco_base_cents - imp.preco_cents);
   }
-});
+  return cotacao;
+}
 
-/* ======================================================================
-   BOLETO (mantido p/ futura automação)
-====================================================================== */
-app.post('/pagamentos/asaas/boletos/:id', async (req, res) => {
+app.post('/api/admin/import/inscritos', adminAuth, exigirPapel('owner'),
+  express.raw({ type: () => true, limit: '5mb' }), async (req, res) => {
   try {
-    const inscritoId = Number(req.params.id);
-    const parcelas = Number(req.body.parcelas || 3);
-    const valorTotal = 320;
-
-    const { rows } = await pgPool.query(`SELECT * FROM public.inscritos WHERE id=$1`, [inscritoId]);
-    const i = rows[0];
-    if (!i) return res.status(404).json({ ok: false, erro: 'Inscrito não encontrado' });
-
-    let customer;
-    try {
-      customer = await getOrCreateCustomer(i.nome, i.email, i.cpf_norm);
-    } catch (e) {
-      return res.status(502).json({ ok: false, etapa: 'customer', erro: String(e?.message || e).slice(0, 800) });
+    if (!Buffer.isBuffer(req.body) || !req.body.length) {
+      return res.status(400).json({ ok:false, error:'envie o arquivo CSV ou XLSX no corpo da requisição' });
     }
+    // hash amarra a prévia ao arquivo E ao evento escolhido no painel
+    const hash = crypto.createHash('sha256').update(`${req.evento.id}:`).update(req.body).digest('hex').slice(0, 16);
+    const confirmar = String(req.query.confirmar || '');
+    if (confirmar && confirmar !== hash) {
+      return res.status(409).json({ ok:false, error:'arquivo ou evento diferente do da prévia: gere a prévia de novo' });
+    }
+    let tabela;
+    try { tabela = lerPlanilha(req.body); }
+    catch (e) { return res.status(400).json({ ok:false, error: e.message }); }
 
-    const valorParcela = Number((valorTotal / parcelas).toFixed(2));
-    const toCents = v => Math.round(Number(v) * 100);
-
-    const HOJE = new Date(); HOJE.setHours(0,0,0,0);
-    const MIN = new Date(HOJE); MIN.setDate(MIN.getDate() + 2); // D+2
-    const LIMITE = new Date(2026, 3, 1); LIMITE.setHours(0,0,0,0); // 01/04/2026
+    const [cab = [], ...corpo] = tabela;
+    const cabecalho = cab.map(h => String(h ?? '').trim().toLowerCase());
+    if (!cabecalho.includes('nome') || !cabecalho.includes('cpf')) {
+      return res.status(400).json({ ok:false, error:'cabeçalho não reconhecido: use as colunas do export de inscritos (nome, cpf, …)' });
+    }
+    const linhas = corpo.map((valores, k) => ({ linha: k + 2, valores }))
+      .filter(l => l.valores.some(v => String(v ?? '').trim()));
+    if (!linhas.length) return res.status(400).json({ ok:false, error:'nenhuma linha para importar' });
+    if (linhas.length > IMPORT_MAX_LINHAS) {
+      return res.status(400).json({ ok:false, error:`no máximo ${IMPORT_MAX_LINHAS} linhas por arquivo` });
+    }
 
-    const escolhidas = Array.isArray(req.body.parcelasDatas) ? req.body.parcelasDatas : [];
-    const vencimentos = [];
-    const anteriores = Math.max(0, parcelas - 1);
+    const eventoId = req.evento.id;
+    const [cfg, camposExtras, vagas] = await Promise.all([
+      getConfig(pgPool, eventoId), camposInscricao(pgPool, { eventoId }), contarVagas(pgPool, eventoId)
+    ]);
+    const ignoradas = cabecalho.filter(h => h && !COLUNAS_IMPORT[h] && !camposExtras.some(c => c.chave.toLowerCase() === h));
+    const { rows: ativos } = await pgPool.query(`
+      SELECT id, cpf_norm FROM public.inscritos
+      WHERE evento_id=$1 AND cpf_norm IS NOT NULL AND ${OCUPA_VAGA}
+    `, [eventoId]);
+    const jaInscritos = new Map(ativos.map(r => [r.cpf_norm, r.id]));
 
-    for (let idx = 0; idx < anteriores; idx++) {
-      const iso = (escolhidas[idx] || '').slice(0, 10);
-      if (!/^\d{4}-\d{2}-\d{2}$/.test(iso)) {
-        return res.status(400).json({ ok: false, etapa: 'datas', erro: `Data da parcela ${idx + 1} inválida. Use AAAA-MM-DD.` });
-      }
-      const d = new Date(iso + 'T00:00:00');
-      if (d < MIN) {
-        return res.status(400).json({ ok: false, etapa: 'datas', erro: `Data da parcela ${idx + 1} não pode ser no passado (mínimo D+2).` });
+    const cpfsNoArquivo = new Map();
+    const avaliadas = [];
+    for (const l of linhas) {
+      const { dados, campos, imp } = validarLinhaImport(cabecalho, l.valores, { cfg, camposExtras });
+      dados.eventoId = eventoId;
+      if (dados.cpfNorm && !campos.cpf) {
+        if (jaInscritos.has(dados.cpfNorm)) campos.cpf = `CPF já inscrito (#${jaInscritos.get(dados.cpfNorm)}).`;
+        else if (cpfsNoArquivo.has(dados.cpfNorm)) campos.cpf = `CPF repetido na planilha (linha ${cpfsNoArquivo.get(dados.cpfNorm)}).`;
+        else cpfsNoArquivo.set(dados.cpfNorm, l.linha);
       }
-      if (d > LIMITE) {
-        return res.status(400).json({ ok: false, etapa: 'datas', erro: `Data da parcela ${idx + 1} deve ser até 01/04/2026.` });
+      let cotacao = null;
+      if (!Object.keys(campos).length) {
+        cotacao = await cotarImportacao(pgPool, dados, imp);
+        if (cotacao.cupom_erro) campos.cupom = cotacao.cupom_erro;
       }
-      vencimentos.push(iso);
+      avaliadas.push({ ...l, dados, campos, imp, cotacao });
     }
-    vencimentos.push(LIMITE.toISOString().slice(0, 10));
-    vencimentos.sort((a, b) => a.localeCompare(b));
-    for (let j = 1; j < vencimentos.length; j++) {
-      if (vencimentos[j] === vencimentos[j - 1]) {
-        return res.status(400).json({ ok: false, etapa: 'datas', erro: 'Datas de parcelas duplicadas.' });
-      }
+    const resumoLinha = a => ({
+      linha: a.linha, nome: a.dados.nome, cpf: a.dados.cpfNorm, email: a.dados.email,
+      ...(a.cotacao ? { preco_cents: a.cotacao.preco_cents, status: a.imp.status || (a.cotacao.preco_cents === 0 ? 'quitado' : 'pendente_pagamento') } : {}),
+      ...(a.imp.tags.length ? { tags: a.imp.tags } : {})
+    });
+    const validas = avaliadas.filter(a => !Object.keys(a.campos).length);
+
+    if (!confirmar) {
+      return res.json({
+        ok:true, hash, total: avaliadas.length, validas: validas.length, com_erro: avaliadas.length - validas.length,
+        colunas_ignoradas: ignoradas,
+        vagas: { restantes: vagas.restantes, total: vagas.total },
+        ...(validas.length > vagas.restantes ? { aviso: `a importação passa da capacidade do evento (restam ${vagas.restantes} vagas)` } : {}),
+        linhas: avaliadas.map(a => ({ ...resumoLinha(a), ok: !Object.keys(a.campos).length, erros: a.campos }))
+      });
     }
 
-    const lista = [];
-    for (let p = 1; p <= parcelas; p++) {
-      const dueDate = vencimentos[p - 1];
+    const notificar = req.query.notificar === '1';
+    const excederCapacidade = req.query.exceder_capacidade === '1';
+    const itens = [];
+    for (const a of avaliadas) {
+      if (Object.keys(a.campos).length) { itens.push({ ...resumoLinha(a), ok:false, erros: a.campos }); continue; }
+      let id, cotacao, status;
+      const client = await pgPool.connect();
       try {
-        const pay = await asaas('/payments', {
-          method: 'POST',
-          body: {
-            customer: customer.id,
-            billingType: 'BOLETO',
-            value: valorParcela,
-            dueDate
-          }
-        });
-
-        await pgPool.query(`
-          INSERT INTO public.parcelas
-          (inscrito_id, parcela, valor_cents, vencimento, status, boleto_url, asaas_payment_id)
-          VALUES ($1,$2,$3,$4,$5,$6,$7)
-        `, [inscritoId, p, toCents(valorParcela), new Date(dueDate).toISOString(), 'PENDING', pay.bankSlipUrl, pay.id]);
-
-        lista.push({ parcela: p, boleto_url: pay.bankSlipUrl, vencimento: dueDate, valor: valorParcela.toFixed(2) });
+        await client.query('BEGIN');
+        await client.query(`SELECT pg_advisory_xact_lock(hashtext('inscricao'))`);
+        const dup = await client.query(`
+          SELECT id FROM public.inscritos
+          WHERE cpf_norm=$1 AND evento_id=$2 AND ${OCUPA_VAGA}
+          LIMIT 1
+        `, [a.dados.cpfNorm, eventoId]);
+        if (dup.rows.length) {
+          await client.query('ROLLBACK');
+          itens.push({ ...resumoLinha(a), ok:false, erros: { cpf: `CPF já inscrito (#${dup.rows[0].id}).` } });
+          continue;
+        }
+        // sem o aceite explícito, cada linha só entra se ainda houver vaga
+        if (!excederCapacidade && (await contarVagas(client, eventoId)).restantes <= 0) {
+          await client.query('ROLLBACK');
+          itens.push({ ...resumoLinha(a), ok:false, erros: { vagas: 'Evento lotado: linha não importada.' } });
+          continue;
+        }
+        cotacao = await cotarImportacao(client, a.dados, a.imp);
+        id = await inserirInscrito(client, a.dados, cotacao);
+        const padrao = cotacao.preco_cents === 0 ? 'quitado' : 'pendente_pagamento';
+        status = a.imp.status || padrao;
+        await client.query(`
+          UPDATE public.inscritos SET status=$2, status_manual=$3, tags=$4 WHERE id=$1
+        `, [id, status, status !== padrao, a.imp.tags]);
+        await client.query('COMMIT');
       } catch (e) {
-        return res.status(502).json({
-          ok: false, etapa: 'asaas-payments', parcela: p, erro: String(e?.message || e).slice(0, 800)
-        });
+        await client.query('ROLLBACK').catch(() => {});
+        console.error(`[import] linha ${a.linha}:`, e?.message || e);
+        itens.push({ ...resumoLinha(a), ok:false, erros: { linha: e?.code === '23505' ? 'CPF já inscrito.' : 'falha ao gravar' } });
+        continue;
+      } finally {
+        client.release();
       }
+      await auditar(req, {
+        action: 'inscrito:import', targetType: 'inscrito', targetId: id,
+        diff: { importacao: { de: null, para: `linha ${a.linha} (${hash})` }, status: { de: null, para: status } }
+      });
+      aposInscricao(id, a.dados, cotacao, { email: notificar, status });
+      itens.push({ ...resumoLinha(a), status, ok:true, id });
     }
-
-    return res.json({ ok: true, parcelas: lista });
+    const importadas = itens.filter(x => x.ok).length;
+    await auditar(req, {
+      action: 'inscritos:import', targetType: 'evento', targetId: eventoId,
+      diff: { hash, linhas: itens.length, importadas, com_erro: itens.length - importadas, notificar, exceder_capacidade: excederCapacidade }
+    });
+    res.json({ ok:true, hash, total: itens.length, importadas, com_erro: itens.length - importadas, linhas: itens });
   } catch (e) {
-    console.error('[BOLETO] erro geral:', e?.message || e);
-    return res.status(500).json({ ok: false, erro: String(e?.message || e).slice(0, 800) });
+    console.error('[admin import] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'import failed' });
   }
 });
 
 /* ======================================================================
-   WEBHOOK ASAAS
+   ADMIN — Lista de espera: listar, reordenar, promover, remover
 ====================================================================== */
-app.post('/webhook/asaas', async (req, res) => {
+app.get('/api/admin/lista-espera', adminAuth, exigirPapel('owner'), async (req, res) => {
   try {
-    const expected = process.env.ASAAS_WEBHOOK_TOKEN;
-    if (expected) {
-      const token = req.headers['asaas-access-token'];
-      if (!token || token !== expected) {
-        return res.status(401).json({ erro: 'Token inválido' });
-      }
+    const status = (req.query.status || '').trim();
+    const args = [req.evento.id];
+    let where = `WHERE evento_id=$1 AND status IN ('aguardando','oferecido')`;
+    if (status) { where = 'WHERE evento_id=$1 AND status=$2'; args.push(status); }
+    const { rows } = await pgPool.query(`
+      SELECT id, nome, email, telefone, cpf_norm, posicao, status,
+             oferecido_em, oferta_expira_em, inscrito_id, criado_em
+      FROM public.lista_espera
+      ${where}
+      ORDER BY (status='oferecido') DESC, posicao NULLS LAST, id
+    `, args);
+    res.json({ ok:true, items: rows });
+  } catch (e) {
+    console.error('[espera list] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'list failed' });
+  }
+});
+
+// Move para a posição informada (1 = primeiro da fila)
+app.post('/api/admin/lista-espera/:id/mover', adminAuth, exigirPapel('owner'), async (req, res) => {
+  const client = await pgPool.connect();
+  try {
+    const id = Number(req.params.id);
+    const posicao = parseInt(req.body?.posicao, 10);
+    if (!Number.isFinite(posicao) || posicao < 1) {
+      return res.status(400).json({ ok:false, error:'posicao inválida' });
     }
 
-    const payment = req.body && req.body.payment;
-    if (!payment) {
-      return res.json({ ok: true, skip: 'payload sem payment' });
+    await client.query('BEGIN');
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext('inscricao'))`);
+    const { rows } = await client.query(`
+      SELECT id FROM public.lista_espera WHERE evento_id=$1 AND status='aguardando' ORDER BY posicao NULLS LAST, id
+    `, [req.evento.id]);
+    const ids = rows.map(r => Number(r.id));
+    const atual = ids.indexOf(id);
+    if (atual < 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ ok:false, error:'not found (ou não está aguardando)' });
     }
+    ids.splice(atual, 1);
+    ids.splice(Math.min(posicao, ids.length + 1) - 1, 0, id);
+    await renumerarListaEspera(client, ids);
+    await client.query('COMMIT');
 
-    const statusOriginal = String(payment.status || '');
-    const statusUpper = statusOriginal.toUpperCase();
+    await auditar(req, {
+      action: 'espera:mover', targetType: 'lista_espera', targetId: id,
+      diff: { posicao: { de: atual + 1, para: ids.indexOf(id) + 1 } }
+    });
+    emitEvent('espera:update', { id, posicao });
+    res.json({ ok:true, id, posicao: ids.indexOf(id) + 1 });
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('[espera mover] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'move failed' });
+  } finally {
+    client.release();
+  }
+});
 
-    await pgPool.query(`
-      UPDATE public.parcelas
-      SET status=$1
-      WHERE asaas_payment_id=$2
-    `, [statusOriginal, payment.id]);
+// Oferece a vaga agora, fora da ordem e mesmo sem vaga livre (decisão do admin)
+app.post('/api/admin/lista-espera/:id/promover', adminAuth, exigirPapel('owner'), async (req, res) => {
+  const client = await pgPool.connect();
+  let oferta;
+  try {
+    const id = Number(req.params.id);
+    await client.query('BEGIN');
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext('inscricao'))`);
+    const { rows } = await client.query(`
+      SELECT id FROM public.lista_espera WHERE id=$1 AND status IN ('aguardando','expirado') FOR UPDATE
+    `, [id]);
+    if (!rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ ok:false, error:'not found (ou já ofertado/convertido)' });
+    }
+    oferta = await ofertarVaga(client, id);
+    const { rows: resto } = await client.query(`
+      SELECT id FROM public.lista_espera WHERE evento_id=$1 AND status='aguardando' ORDER BY posicao NULLS LAST, id
+    `, [oferta.evento_id]);
+    await renumerarListaEspera(client, resto.map(r => r.id));
+    await client.query('COMMIT');
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('[espera promover] err:', e?.message || e);
+    return res.status(500).json({ ok:false, error:'promote failed' });
+  } finally {
+    client.release();
+  }
 
-    if (statusUpper === 'RECEIVED' || statusUpper === 'CONFIRMED') {
-      await pgPool.query(`
-        UPDATE public.inscritos
-        SET status='quitado'
-        WHERE id IN (
-          SELECT inscrito_id FROM public.parcelas WHERE asaas_payment_id=$1
-        )
-      `, [payment.id]);
-      emitEvent('inscrito:update', { asaas_payment_id: payment.id, status: 'quitado' });
+  await auditar(req, {
+    action: 'espera:promover', targetType: 'lista_espera', targetId: oferta.id,
+    diff: { status: { de: null, para: 'oferecido' }, oferta_expira_em: { de: null, para: oferta.oferta_expira_em } }
+  });
+  enviarEmailOfertaVaga(oferta).catch(console.error);
+  emitEvent('espera:update', { id: oferta.id, status: 'oferecido' });
+  res.json({ ok:true, id: oferta.id, link: linkOferta(oferta.oferta_token), expira_em: oferta.oferta_expira_em });
+});
+
+app.post('/api/admin/lista-espera/:id/remover', adminAuth, exigirPapel('owner'), async (req, res) => {
+  const client = await pgPool.connect();
+  try {
+    const id = Number(req.params.id);
+    await client.query('BEGIN');
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext('inscricao'))`);
+    const { rows: antes } = await client.query(`SELECT status FROM public.lista_espera WHERE id=$1 FOR UPDATE`, [id]);
+    const { rows } = await client.query(`
+      UPDATE public.lista_espera SET status='removido', posicao=NULL, updated_at=NOW()
+      WHERE id=$1 AND status IN ('aguardando','oferecido','expirado')
+      RETURNING id, status, evento_id
+    `, [id]);
+    if (!rows.length) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ ok:false, error:'not found' });
     }
+    const { rows: resto } = await client.query(`
+      SELECT id FROM public.lista_espera WHERE evento_id=$1 AND status='aguardando' ORDER BY posicao NULLS LAST, id
+    `, [rows[0].evento_id]);
+    await renumerarListaEspera(client, resto.map(r => r.id));
+    await client.query('COMMIT');
 
-    return res.json({ ok: true });
+    await auditar(req, { action: 'espera:remover', targetType: 'lista_espera', targetId: id, antes: antes[0], depois: rows[0] });
+    emitEvent('espera:update', { id, status: 'removido' });
+    // se era uma oferta ativa, a vaga volta para a fila
+    promoverListaEspera(rows[0].evento_id).catch(e => console.error('[ESPERA] promover após remoção:', e?.message || e));
+    res.json({ ok:true, id });
   } catch (e) {
-    console.error('[WEBHOOK] erro geral:', e);
-    return res.json({ ok: true, erro: 'exception' });
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('[espera remover] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'remove failed' });
+  } finally {
+    client.release();
   }
 });
 
 /* ======================================================================
-   VAGAS
+   ADMIN — Preços: lotes e cupons
 ====================================================================== */
-app.get('/vagas', async (_req, res) => {
+function dataOpcional(v) {
+  if (v == null || v === '') return { ok: true, v: null };
+  const d = new Date(v);
+  return isNaN(d) ? { ok: false } : { ok: true, v: d.toISOString() };
+}
+function inteiroOpcional(v, min = 0) {
+  if (v == null || v === '') return { ok: true, v: null };
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n >= min ? { ok: true, v: n } : { ok: false };
+}
+
+// Lê os campos do body (parcial no PUT); retorna { erro } ou { dados }
+function lerLote(body, parcial) {
+  const dados = {};
+  if (!parcial || 'nome' in body) {
+    dados.nome = String(body.nome || '').trim().slice(0, 80);
+    if (!dados.nome) return { erro: 'nome obrigatório' };
+  }
+  if (!parcial || 'preco_cents' in body) {
+    const n = parseInt(body.preco_cents, 10);
+    if (!Number.isFinite(n) || n < 0) return { erro: 'preco_cents inválido' };
+    dados.preco_cents = n;
+  }
+  for (const k of ['inicio', 'fim']) {
+    if (parcial && !(k in body)) continue;
+    const d = dataOpcional(body[k]);
+    if (!d.ok) return { erro: `${k} inválida` };
+    dados[k] = d.v;
+  }
+  if (dados.inicio && dados.fim && dados.inicio > dados.fim) return { erro: 'inicio depois do fim' };
+  for (const [k, min] of [['limite_inscricoes', 1], ['ordem', 0]]) {
+    if (parcial && !(k in body)) continue;
+    const n = inteiroOpcional(body[k], min);
+    if (!n.ok) return { erro: `${k} inválido` };
+    dados[k] = k === 'ordem' ? (n.v ?? 0) : n.v;
+  }
+  if ('ativo' in body) dados.ativo = !!body.ativo;
+  return { dados };
+}
+
+function lerCupom(body, parcial) {
+  const dados = {};
+  if (!parcial || 'codigo' in body) {
+    dados.codigo = normalizarCupom(body.codigo).slice(0, 40);
+    if (!/^[A-Z0-9_-]{3,40}$/.test(dados.codigo)) return { erro: 'código: 3–40 letras/números' };
+  }
+  if ('descricao' in body) dados.descricao = String(body.descricao || '').trim().slice(0, 200) || null;
+  if (!parcial || 'tipo' in body) {
+    dados.tipo = String(body.tipo || '').trim();
+    if (!TIPOS_CUPOM.includes(dados.tipo)) return { erro: `tipo deve ser ${TIPOS_CUPOM.join('/')}` };
+  }
+  if (!parcial || 'valor' in body) {
+    const n = parseInt(body.valor, 10);
+    if (!Number.isFinite(n) || n < 0) return { erro: 'valor inválido' };
+    if ((dados.tipo || body.tipo) === 'percentual' && n > 100) return { erro: 'percentual deve ser até 100' };
+    dados.valor = n;
+  }
+  if (!parcial || 'limite_usos' in body) {
+    const n = inteiroOpcional(body.limite_usos, 1);
+    if (!n.ok) return { erro: 'limite_usos inválido' };
+    dados.limite_usos = n.v;
+  }
+  if (!parcial || 'campus' in body) {
+    const lista = Array.isArray(body.campus) ? body.campus : String(body.campus || '').split(',');
+    const campus = lista.map(c => String(c).trim()).filter(Boolean);
+    dados.campus = campus.length ? campus : null;
+  }
+  for (const k of ['validade_inicio', 'validade_fim']) {
+    if (parcial && !(k in body)) continue;
+    const d = dataOpcional(body[k]);
+    if (!d.ok) return { erro: `${k} inválida` };
+    dados[k] = d.v;
+  }
+  if ('ativo' in body) dados.ativo = !!body.ativo;
+  return { dados };
+}
+
+// INSERT/UPDATE genéricos p/ lotes, cupons, campos_inscricao, quartos e eventos (colunas vêm de lerLote/lerCupom/
+// lerCampo/lerQuarto/lerEvento, nunca do body). eventoId: o INSERT nasce no evento e o UPDATE só acha linha dele.
+async function gravarLinha(tabela, id, dados, eventoId = null) {
+  if (id == null && eventoId != null) dados = { ...dados, evento_id: eventoId };
+  const cols = Object.keys(dados);
+  if (id == null) {
+    const { rows } = await pgPool.query(
+      `INSERT INTO public.${tabela} (${cols.join(',')}) VALUES (${cols.map((_, i) => '$' + (i + 1)).join(',')}) RETURNING *`,
+      cols.map(c => dados[c]));
+    return { depois: rows[0] };
+  }
+  const { rows: antes } = eventoId == null
+    ? await pgPool.query(`SELECT * FROM public.${tabela} WHERE id=$1`, [id])
+    : await pgPool.query(`SELECT * FROM public.${tabela} WHERE id=$1 AND evento_id=$2`, [id, eventoId]);
+  if (!antes.length) return {};
+  if (!cols.length) return { antes: antes[0], depois: antes[0] };
+  const { rows } = await pgPool.query(
+    `UPDATE public.${tabela} SET ${cols.map((c, i) => `${c}=$${i + 2}`).join(', ')}, updated_at=NOW() WHERE id=$1 RETURNING *`,
+    [id, ...cols.map(c => dados[c])]);
+  return { antes: antes[0], depois: rows[0] };
+}
+
+app.get('/api/admin/lotes', adminAuth, exigirPapel('finance'), async (req, res) => {
   try {
-    const { rows } = await pgPool.query(`SELECT COUNT(*)::int as total FROM public.inscritos`);
-    const LIMITE = 115;
-    const totalInscritos = rows?.[0]?.total || 0;
-    res.json({
-      total: LIMITE,
-      pagos: totalInscritos,
-      restantes: LIMITE - totalInscritos
-    });
+    const { rows } = await pgPool.query(`
+      SELECT l.*, (SELECT COUNT(*) FROM public.inscritos i
+                    WHERE i.lote_id=l.id AND COALESCE(i.status,'') <> 'cancelado')::int AS usados
+      FROM public.lotes l WHERE l.evento_id=$1 ORDER BY l.ordem, l.id
+    `, [req.evento.id]);
+    const vigente = await loteVigente(pgPool, req.evento.id);
+    res.json({ ok:true, items: rows, vigente_id: vigente ? Number(vigente.id) : null, preco_padrao_cents: Number(req.evento.preco_cents) });
   } catch (e) {
-    res.status(500).json({ erro: 'Falha ao consultar vagas' });
+    console.error('[lotes list] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'list failed' });
+  }
+});
+
+app.post('/api/admin/lotes', adminAuth, exigirPapel('owner'), async (req, res) => {
+  try {
+    const { erro, dados } = lerLote(req.body || {}, false);
+    if (erro) return res.status(400).json({ ok:false, error: erro });
+    const { depois } = await gravarLinha('lotes', null, dados, req.evento.id);
+    await auditar(req, { action: 'lote:create', targetType: 'lote', targetId: depois.id, antes: {}, depois: dados });
+    res.json({ ok:true, item: depois });
+  } catch (e) {
+    console.error('[lotes create] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'create failed' });
+  }
+});
+
+app.put('/api/admin/lotes/:id', adminAuth, exigirPapel('owner'), async (req, res) => {
+  try {
+    const { rows: atual } = await pgPool.query(
+      `SELECT * FROM public.lotes WHERE id=$1 AND evento_id=$2`, [Number(req.params.id), req.evento.id]);
+    if (!atual.length) return res.status(404).json({ ok:false, error:'not found' });
+    // valida o lote como fica depois da edição (ex.: só o fim mudou e ficou antes do início)
+    const { erro } = lerLote({ ...atual[0], ...req.body }, false);
+    const { dados } = lerLote(req.body || {}, true);
+    if (erro) return res.status(400).json({ ok:false, error: erro });
+    const { antes, depois } = await gravarLinha('lotes', Number(req.params.id), dados, req.evento.id);
+    if (!depois) return res.status(404).json({ ok:false, error:'not found' });
+    await auditar(req, { action: 'lote:update', targetType: 'lote', targetId: depois.id, antes, depois });
+    res.json({ ok:true, item: depois });
+  } catch (e) {
+    console.error('[lotes update] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'update failed' });
+  }
+});
+
+app.get('/api/admin/cupons', adminAuth, exigirPapel('finance'), async (req, res) => {
+  try {
+    const { rows } = await pgPool.query(`
+      SELECT c.*, (SELECT COUNT(*) FROM public.inscritos i
+                    WHERE i.cupom_codigo=c.codigo AND i.evento_id=c.evento_id AND COALESCE(i.status,'') <> 'cancelado')::int AS usados
+      FROM public.cupons c WHERE c.evento_id=$1 ORDER BY c.ativo DESC, c.codigo
+    `, [req.evento.id]);
+    res.json({ ok:true, items: rows });
+  } catch (e) {
+    console.error('[cupons list] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'list failed' });
+  }
+});
+
+app.post('/api/admin/cupons', adminAuth, exigirPapel('owner'), async (req, res) => {
+  try {
+    const { erro, dados } = lerCupom(req.body || {}, false);
+    if (erro) return res.status(400).json({ ok:false, error: erro });
+    const { depois } = await gravarLinha('cupons', null, dados, req.evento.id);
+    await auditar(req, { action: 'cupom:create', targetType: 'cupom', targetId: depois.id, antes: {}, depois: dados });
+    res.json({ ok:true, item: depois });
+  } catch (e) {
+    if (e?.code === '23505') return res.status(409).json({ ok:false, error:'já existe cupom com esse código' });
+    console.error('[cupons create] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'create failed' });
+  }
+});
+
+app.put('/api/admin/cupons/:id', adminAuth, exigirPapel('owner'), async (req, res) => {
+  try {
+    // usos são contados pelo código gravado nas inscrições
+    if ('codigo' in (req.body || {})) return res.status(400).json({ ok:false, error:'código não pode ser alterado; crie outro cupom' });
+    const { rows: atual } = await pgPool.query(
+      `SELECT * FROM public.cupons WHERE id=$1 AND evento_id=$2`, [Number(req.params.id), req.evento.id]);
+    if (!atual.length) return res.status(404).json({ ok:false, error:'not found' });
+    // valida o cupom como fica depois da edição (ex.: virar percentual com valor > 100)
+    const { erro } = lerCupom({ ...atual[0], ...req.body }, false);
+    const { dados } = lerCupom(req.body || {}, true);
+    if (erro) return res.status(400).json({ ok:false, error: erro });
+    const { antes, depois } = await gravarLinha('cupons', Number(req.params.id), dados, req.evento.id);
+    if (!depois) return res.status(404).json({ ok:false, error:'not found' });
+    await auditar(req, { action: 'cupom:update', targetType: 'cupom', targetId: depois.id, antes, depois });
+    res.json({ ok:true, item: depois });
+  } catch (e) {
+    if (e?.code === '23505') return res.status(409).json({ ok:false, error:'já existe cupom com esse código' });
+    console.error('[cupons update] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'update failed' });
   }
 });
 
 /* ======================================================================
-   ADMIN — Rotas seguras por token + SSE + CSV + listas
+   ADMIN — Campos personalizados do formulário
+   - chave é o nome da resposta no JSON: não muda depois de criada
+   - sem DELETE: desativar tira do formulário e mantém as respostas
 ====================================================================== */
-function adminAuth(req, res, next) {
-  const token = req.headers['x-admin-token'] || req.query.token;
-  if (!process.env.ADMIN_TOKEN) return res.status(503).json({ ok:false, error:'ADMIN_TOKEN não configurado' });
-  if (token !== process.env.ADMIN_TOKEN) return res.status(401).json({ ok:false, error:'unauthorized' });
-  next();
+const CAMPOS_RESERVADOS = ['nome', 'cpf', 'nascimento', 'email', 'telefone', 'cupom', ...CAMPOS_CONDICAO];
+
+function lerCampo(body, parcial) {
+  const dados = {};
+  if (!parcial || 'chave' in body) {
+    dados.chave = String(body.chave || '').trim().toLowerCase();
+    if (!/^[a-z][a-z0-9_]{1,39}$/.test(dados.chave)) return { erro: 'chave: 2–40 letras minúsculas, números ou _' };
+    if (CAMPOS_RESERVADOS.map(c => c.toLowerCase()).includes(dados.chave)) return { erro: 'chave reservada' };
+  }
+  if (!parcial || 'rotulo' in body) {
+    dados.rotulo = String(body.rotulo || '').trim().slice(0, 120);
+    if (!dados.rotulo) return { erro: 'rótulo obrigatório' };
+  }
+  if (!parcial || 'tipo' in body) {
+    dados.tipo = String(body.tipo || '').trim();
+    if (!TIPOS_CAMPO.includes(dados.tipo)) return { erro: `tipo deve ser ${TIPOS_CAMPO.join('/')}` };
+  }
+  if (!parcial || 'opcoes' in body) {
+    const lista = Array.isArray(body.opcoes) ? body.opcoes : String(body.opcoes || '').split(',');
+    const opcoes = [...new Set(lista.map(o => String(o).trim().slice(0, 80)).filter(Boolean))].slice(0, 50);
+    const tipo = dados.tipo || body.tipo;
+    if (['selecao', 'multipla'].includes(tipo) && opcoes.length < 2) return { erro: 'informe ao menos 2 opções' };
+    dados.opcoes = opcoes.length ? JSON.stringify(opcoes) : null;
+  }
+  if (!parcial || 'visivel_se' in body) {
+    const v = body.visivel_se;
+    if (v == null || v === '' || !v.campo) dados.visivel_se = null;
+    else {
+      const campo = String(v.campo).trim();
+      const valores = (Array.isArray(v.valores) ? v.valores : String(v.valores || '').split(','))
+        .map(x => String(x).trim()).filter(Boolean);
+      if (!CAMPOS_CONDICAO.includes(campo) && !/^[a-z][a-z0-9_]{1,39}$/.test(campo)) return { erro: 'visivel_se.campo inválido' };
+      if (campo === dados.chave) return { erro: 'a pergunta não pode depender dela mesma' };
+      if (!valores.length) return { erro: 'visivel_se.valores: informe ao menos um valor' };
+      dados.visivel_se = JSON.stringify({ campo, valores });
+    }
+  }
+  if ('obrigatorio' in body) dados.obrigatorio = !!body.obrigatorio;
+  if ('ajuda' in body) dados.ajuda = String(body.ajuda || '').trim().slice(0, 300) || null;
+  if (!parcial || 'ordem' in body) {
+    const n = inteiroOpcional(body.ordem, 0);
+    if (!n.ok) return { erro: 'ordem inválida' };
+    dados.ordem = n.v ?? 0;
+  }
+  if ('ativo' in body) dados.ativo = !!body.ativo;
+  return { dados };
 }
 
-// SSE de eventos (novos leads/inscrições)
-app.get('/api/admin/events', adminAuth, (req, res) => {
-  res.writeHead(200, {
-    'Content-Type': 'text/event-stream',
-    'Cache-Control': 'no-store',
-    'Connection': 'keep-alive',
-    'Access-Control-Allow-Origin': req.headers.origin || '*'
-  });
-  const onEvt = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
-  events.on('evt', onEvt);
-  const ping = setInterval(() => res.write(':\n\n'), 20000);
-  req.on('close', () => { clearInterval(ping); events.removeListener('evt', onEvt); });
+app.get('/api/admin/campos', adminAuth, exigirPapel('finance'), async (req, res) => {
+  try {
+    const items = await camposInscricao(pgPool, { eventoId: req.evento.id, todos: true });
+    const { rows } = await pgPool.query(`
+      SELECT k AS chave, COUNT(*)::int AS respostas
+      FROM public.inscritos, jsonb_object_keys(respostas) k
+      WHERE evento_id=$1 AND COALESCE(status,'') <> 'cancelado'
+      GROUP BY k
+    `, [req.evento.id]);
+    const contagem = Object.fromEntries(rows.map(r => [r.chave, r.respostas]));
+    res.json({ ok:true, items: items.map(c => ({ ...c, respostas: contagem[c.chave] || 0 })), tipos: TIPOS_CAMPO, condicoes: CAMPOS_CONDICAO });
+  } catch (e) {
+    console.error('[campos list] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'list failed' });
+  }
+});
+
+app.post('/api/admin/campos', adminAuth, exigirPapel('owner'), async (req, res) => {
+  try {
+    const { erro, dados } = lerCampo(req.body || {}, false);
+    if (erro) return res.status(400).json({ ok:false, error: erro });
+    const { depois } = await gravarLinha('campos_inscricao', null, dados, req.evento.id);
+    await auditar(req, { action: 'campo:create', targetType: 'campo', targetId: depois.id, antes: {}, depois });
+    res.json({ ok:true, item: depois });
+  } catch (e) {
+    if (e?.code === '23505') return res.status(409).json({ ok:false, error:'já existe pergunta com essa chave' });
+    console.error('[campos create] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'create failed' });
+  }
 });
 
-// KPIs
-app.get('/api/admin/overview', adminAuth, async (_req, res) => {
-  try {
-    const [{ rows: r1 }, { rows: r2 }, { rows: r3 }, { rows: r4 }, { rows: r5 }, { rows: r6 }] = await Promise.all([
-      pgPool.query('SELECT COUNT(*)::int AS total FROM public.inscritos'),
-      pgPool.query("SELECT COUNT(*)::int AS quitados FROM public.inscritos WHERE status='quitado'"),
-      pgPool.query('SELECT COUNT(*)::int AS leads_total FROM public.leads'),
-      pgPool.query("SELECT COUNT(*)::int AS leads_hoje FROM public.leads WHERE created_at::date = now()::date"),
-      pgPool.query('SELECT id, nome, email, status, criado_em FROM public.inscritos ORDER BY id DESC LIMIT 5'),
-      pgPool.query('SELECT id, name, email, created_at FROM public.leads ORDER BY created_at DESC LIMIT 5')
-    ]);
+app.put('/api/admin/campos/:id', adminAuth, exigirPapel('owner'), async (req, res) => {
+  try {
+    // respostas gravadas são indexadas pela chave
+    if ('chave' in (req.body || {})) return res.status(400).json({ ok:false, error:'chave não pode ser alterada; crie outra pergunta' });
+    const { rows: atual } = await pgPool.query(
+      `SELECT * FROM public.campos_inscricao WHERE id=$1 AND evento_id=$2`, [Number(req.params.id), req.evento.id]);
+    if (!atual.length) return res.status(404).json({ ok:false, error:'not found' });
+    // valida a pergunta como fica depois da edição (ex.: virar seleção sem opções)
+    const { erro } = lerCampo({ ...atual[0], ...req.body }, false);
+    const { dados } = lerCampo(req.body || {}, true);
+    if (erro) return res.status(400).json({ ok:false, error: erro });
+    const { antes, depois } = await gravarLinha('campos_inscricao', Number(req.params.id), dados, req.evento.id);
+    if (!depois) return res.status(404).json({ ok:false, error:'not found' });
+    await auditar(req, { action: 'campo:update', targetType: 'campo', targetId: depois.id, antes, depois });
+    res.json({ ok:true, item: depois });
+  } catch (e) {
+    console.error('[campos update] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'update failed' });
+  }
+});
+
+/* ======================================================================
+   ADMIN — Quartos: hospedagem, distribuição automática e rooming list
+   - quarto: capacidade, sexo (M, F ou misto) e faixa de idade opcional
+     (idade no dia do evento — inscritos.idade_evento)
+   - ocupa cama quem tem quarto_id e não está cancelado (cancelar libera)
+   - distribuição automática só mexe em quem ainda está sem quarto: grupo/
+     família fica no mesmo quarto quando cabe; depois junta o mesmo campus
+   - remanejar confere as mesmas regras; forcar=true ignora sexo/idade,
+     nunca a capacidade
+   - toda mudança de quarto segura pg_advisory_xact_lock(hashtext('quartos'))
+====================================================================== */
+const SEXOS_QUARTO = ['M', 'F', 'misto'];
+const ROTULO_SEXO = { M: 'masculino', F: 'feminino', misto: 'misto' };
+
+function lerQuarto(body, parcial) {
+  const dados = {};
+  if (!parcial || 'nome' in body) {
+    dados.nome = String(body.nome || '').trim().slice(0, 60);
+    if (!dados.nome) return { erro: 'nome obrigatório' };
+  }
+  if ('bloco' in body) dados.bloco = String(body.bloco || '').trim().slice(0, 60) || null;
+  if (!parcial || 'capacidade' in body) {
+    const n = inteiroOpcional(body.capacidade, 1);
+    if (!n.ok || n.v == null) return { erro: 'capacidade inválida' };
+    dados.capacidade = n.v;
+  }
+  if (!parcial || 'sexo' in body) {
+    const v = String(body.sexo || 'misto').trim();
+    dados.sexo = v === 'misto' ? v : v.toUpperCase();
+    if (!SEXOS_QUARTO.includes(dados.sexo)) return { erro: `sexo deve ser ${SEXOS_QUARTO.join('/')}` };
+  }
+  for (const k of ['idade_min', 'idade_max']) {
+    if (parcial && !(k in body)) continue;
+    const n = inteiroOpcional(body[k], 0);
+    if (!n.ok) return { erro: `${k} inválida` };
+    dados[k] = n.v;
+  }
+  if (dados.idade_min != null && dados.idade_max != null && dados.idade_min > dados.idade_max) {
+    return { erro: 'idade_min maior que idade_max' };
+  }
+  if ('observacao' in body) dados.observacao = String(body.observacao || '').trim().slice(0, 300) || null;
+  if (!parcial || 'ordem' in body) {
+    const n = inteiroOpcional(body.ordem, 0);
+    if (!n.ok) return { erro: 'ordem inválida' };
+    dados.ordem = n.v ?? 0;
+  }
+  if ('ativo' in body) dados.ativo = !!body.ativo;
+  return { dados };
+}
+
+// Motivo (texto) se o quarto não serve p/ o inscrito; null se serve
+function restricaoQuarto(q, i) {
+  if (q.sexo !== 'misto' && i.sexo !== q.sexo) {
+    return i.sexo ? `quarto ${ROTULO_SEXO[q.sexo]}` : 'sexo do inscrito não informado';
+  }
+  if ((q.idade_min != null || q.idade_max != null) && i.idade_evento == null) return 'idade do inscrito desconhecida';
+  if (q.idade_min != null && i.idade_evento < q.idade_min) return `idade mínima ${q.idade_min}`;
+  if (q.idade_max != null && i.idade_evento > q.idade_max) return `idade máxima ${q.idade_max}`;
+  return null;
+}
+
+async function quartosComOcupacao(db, eventoId) {
+  const { rows } = await db.query(`
+    SELECT q.*, COUNT(i.id)::int AS ocupados
+    FROM public.quartos q
+    LEFT JOIN public.inscritos i ON i.quarto_id=q.id AND COALESCE(i.status,'') <> 'cancelado'
+    WHERE q.evento_id=$1
+    GROUP BY q.id
+    ORDER BY q.ordem, q.nome
+  `, [eventoId]);
+  return rows;
+}
+
+// { id, nome, bloco } p/ check-in/scanner; null sem quarto
+async function quartoResumo(db, quartoId) {
+  if (!quartoId) return null;
+  const { rows } = await db.query(`SELECT id, nome, bloco FROM public.quartos WHERE id=$1`, [quartoId]);
+  return rows[0] || null;
+}
+
+// Plano da distribuição automática (não grava nada): { atribuicoes, sem_quarto }
+// - unidade = membros do grupo com o mesmo sexo (quarto inteiro p/ eles);
+//   sem quarto que comporte todos, cada um vai p/ onde couber (grupo_dividido)
+// - pontuação: colegas do grupo no quarto valem 100, do mesmo campus 10
+// - empate: grupo vai p/ o quarto mais justo; avulso p/ o mais vazio (abre
+//   quarto novo p/ o próximo campus em vez de misturar)
+async function planejarDistribuicao(db, { eventoId, soQuitados = false } = {}) {
+  const quartos = (await quartosComOcupacao(db, eventoId)).filter(q => q.ativo);
+  const { rows: alocados } = await db.query(`
+    SELECT quarto_id, grupo_id, campus FROM public.inscritos
+    WHERE evento_id=$1 AND quarto_id IS NOT NULL AND COALESCE(status,'') <> 'cancelado'
+  `, [eventoId]);
+  const { rows: pendentes } = await db.query(`
+    SELECT id, nome, sexo, idade_evento, campus, grupo_id FROM public.inscritos
+    WHERE evento_id=$1 AND quarto_id IS NULL AND COALESCE(status,'') <> 'cancelado' ${soQuitados ? `AND status='quitado'` : ''}
+    ORDER BY grupo_id NULLS LAST, campus NULLS LAST, id
+  `, [eventoId]);
+
+  const estado = new Map(quartos.map(q => [String(q.id), { q, livres: q.capacidade - q.ocupados, grupos: new Map(), campus: new Map() }]));
+  const contar = (e, i) => {
+    if (i.grupo_id) e.grupos.set(String(i.grupo_id), (e.grupos.get(String(i.grupo_id)) || 0) + 1);
+    if (i.campus) e.campus.set(i.campus, (e.campus.get(i.campus) || 0) + 1);
+  };
+  for (const a of alocados) { const e = estado.get(String(a.quarto_id)); if (e) contar(e, a); }
+
+  const pontos = (e, membros) => membros.reduce((t, i) =>
+    t + (i.grupo_id ? (e.grupos.get(String(i.grupo_id)) || 0) * 100 : 0) + (i.campus ? (e.campus.get(i.campus) || 0) * 10 : 0), 0);
+  const melhorQuarto = membros => [...estado.values()]
+    .filter(e => e.livres >= membros.length && membros.every(i => !restricaoQuarto(e.q, i)))
+    .sort((x, y) => pontos(y, membros) - pontos(x, membros)
+      || (membros.length > 1 ? x.livres - y.livres : y.livres - x.livres))[0] || null;
+
+  const unidades = [];
+  const porGrupo = new Map();
+  for (const i of pendentes) {
+    if (!i.grupo_id) { unidades.push([i]); continue; }
+    const k = `${i.grupo_id}|${i.sexo || ''}`;
+    if (!porGrupo.has(k)) { porGrupo.set(k, []); unidades.push(porGrupo.get(k)); }
+    porGrupo.get(k).push(i);
+  }
+  // grupos maiores escolhem primeiro (sort é estável: avulsos seguem por campus)
+  unidades.sort((a, b) => b.length - a.length);
+
+  const atribuicoes = [];
+  const semQuarto = [];
+  const alocar = (e, i, dividido) => {
+    e.livres--;
+    contar(e, i);
+    atribuicoes.push({ inscrito_id: Number(i.id), nome: i.nome, quarto_id: Number(e.q.id), quarto: e.q.nome, ...(dividido ? { grupo_dividido: true } : {}) });
+  };
+  for (const membros of unidades) {
+    const e = melhorQuarto(membros);
+    if (e) { membros.forEach(i => alocar(e, i, false)); continue; }
+    for (const i of membros) {
+      const e1 = melhorQuarto([i]);
+      if (e1) { alocar(e1, i, membros.length > 1); continue; }
+      const compativel = quartos.some(q => !restricaoQuarto(q, i));
+      semQuarto.push({
+        inscrito_id: Number(i.id), nome: i.nome,
+        motivo: compativel ? 'quartos compatíveis lotados' : (i.sexo ? 'nenhum quarto compatível (sexo/idade)' : 'sexo não informado e nenhum quarto misto livre')
+      });
+    }
+  }
+  return { atribuicoes, sem_quarto: semQuarto };
+}
+
+app.get('/api/admin/quartos', adminAuth, exigirPapel('finance', 'checkin'), async (req, res) => {
+  try {
+    const quartos = await quartosComOcupacao(pgPool, req.evento.id);
+    const { rows: ocupantes } = await pgPool.query(`
+      SELECT id, nome, sexo, idade_evento, campus, grupo_id, status, checkin, quarto_id
+      FROM public.inscritos
+      WHERE evento_id=$1 AND quarto_id IS NOT NULL AND COALESCE(status,'') <> 'cancelado'
+      ORDER BY nome
+    `, [req.evento.id]);
+    const { rows: [sem] } = await pgPool.query(`
+      SELECT COUNT(*)::int AS n FROM public.inscritos
+      WHERE evento_id=$1 AND quarto_id IS NULL AND COALESCE(status,'') <> 'cancelado'
+    `, [req.evento.id]);
+    const items = quartos.map(q => ({
+      ...q,
+      // conflito: regra do quarto mudou depois, ou alguém foi colocado com forcar=true
+      ocupantes: ocupantes.filter(o => String(o.quarto_id) === String(q.id))
+        .map(o => ({ ...o, conflito: restricaoQuarto(q, o) }))
+    }));
+    const ativos = quartos.filter(q => q.ativo);
     res.json({
-      inscritos_total: r1[0].total,
-      inscritos_quitados: r2[0].quitados,
-      inscritos_pendentes: r1[0].total - r2[0].quitados,
-      leads_total: r3[0].leads_total,
-      leads_hoje: r4[0].leads_hoje,
-      ultimos_inscritos: r5,
-      ultimos_leads: r6
+      ok:true, items, sexos: SEXOS_QUARTO, sem_quarto: sem.n,
+      capacidade_total: ativos.reduce((t, q) => t + q.capacidade, 0),
+      ocupados_total: ativos.reduce((t, q) => t + q.ocupados, 0)
     });
   } catch (e) {
-    console.error('[overview] err:', e?.message || e);
-    res.status(500).json({ ok:false, error:'overview failed' });
+    console.error('[quartos list] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'list failed' });
   }
 });
 
-// Lista Inscritos (filtro/paginação)
-app.get('/api/admin/inscritos/list', adminAuth, async (req, res) => {
+app.post('/api/admin/quartos', adminAuth, exigirPapel('owner'), async (req, res) => {
   try {
-    const page  = Math.max(1, parseInt(req.query.page || '1'));
-    const size  = Math.min(100, Math.max(10, parseInt(req.query.size || '20')));
-    const q     = (req.query.q || '').trim();
-    const status = (req.query.status || '').trim();
-
-    const where = [];
-    const args = [];
-    let argi = 1;
+    const { erro, dados } = lerQuarto(req.body || {}, false);
+    if (erro) return res.status(400).json({ ok:false, error: erro });
+    const { depois } = await gravarLinha('quartos', null, dados, req.evento.id);
+    await auditar(req, { action: 'quarto:create', targetType: 'quarto', targetId: depois.id, antes: {}, depois: dados });
+    emitEvent('quartos:update', { id: Number(depois.id) }, req.evento.id);
+    res.json({ ok:true, item: depois });
+  } catch (e) {
+    if (e?.code === '23505') return res.status(409).json({ ok:false, error:'já existe quarto com esse nome' });
+    console.error('[quartos create] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'create failed' });
+  }
+});
 
-    if (q) {
-      where.push(`(LOWER(nome) LIKE LOWER($${argi}) OR LOWER(email) LIKE LOWER($${argi}) OR cpf_norm LIKE $${argi})`);
-      args.push(`%${q}%`);
-      argi++;
+app.put('/api/admin/quartos/:id', adminAuth, exigirPapel('owner'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const { erro, dados } = lerQuarto(req.body || {}, true);
+    if (erro) return res.status(400).json({ ok:false, error: erro });
+    const atual = (await quartosComOcupacao(pgPool, req.evento.id)).find(q => Number(q.id) === id);
+    if (!atual) return res.status(404).json({ ok:false, error:'not found' });
+    const idadeMin = 'idade_min' in dados ? dados.idade_min : atual.idade_min;
+    const idadeMax = 'idade_max' in dados ? dados.idade_max : atual.idade_max;
+    if (idadeMin != null && idadeMax != null && idadeMin > idadeMax) return res.status(400).json({ ok:false, error:'idade_min maior que idade_max' });
+    if (dados.capacidade != null && dados.capacidade < atual.ocupados) {
+      return res.status(409).json({ ok:false, error:`capacidade menor que a ocupação atual (${atual.ocupados}); remaneje antes` });
     }
-    if (status) {
-      where.push(`status = $${argi}`); args.push(status); argi++;
+    if (dados.ativo === false && atual.ocupados) {
+      return res.status(409).json({ ok:false, error:`quarto com ${atual.ocupados} ocupante(s); remaneje antes de desativar` });
     }
-    const sqlWhere = where.length ? ("WHERE " + where.join(" AND ")) : "";
-    args.push(size); args.push((page-1)*size);
-
-    const sql = `
-      SELECT id, nome, email, telefone, status, criado_em, forma_pagamento
-      FROM public.inscritos
-      ${sqlWhere}
-      ORDER BY id DESC
-      LIMIT $${argi} OFFSET $${argi+1};
-    `;
-    const { rows } = await pgPool.query(sql, args);
-
-    res.json({ page, size, items: rows });
+    const { antes, depois } = await gravarLinha('quartos', id, dados, req.evento.id);
+    await auditar(req, { action: 'quarto:update', targetType: 'quarto', targetId: id, antes, depois });
+    emitEvent('quartos:update', { id }, req.evento.id);
+    res.json({ ok:true, item: depois });
   } catch (e) {
-    console.error('[inscritos list] err:', e?.message || e);
-    res.status(500).json({ ok:false, error:'list failed' });
+    if (e?.code === '23505') return res.status(409).json({ ok:false, error:'já existe quarto com esse nome' });
+    console.error('[quartos update] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'update failed' });
   }
 });
 
-// Lista Leads (filtro/paginação)
-app.get('/api/admin/leads/list', adminAuth, async (req, res) => {
+// Distribuição automática; dry_run devolve o plano sem gravar
+app.post('/api/admin/quartos/distribuir', adminAuth, exigirPapel('owner'), async (req, res) => {
+  const client = await pgPool.connect();
   try {
-    const page  = Math.max(1, parseInt(req.query.page || '1'));
-    const size  = Math.min(100, Math.max(10, parseInt(req.query.size || '20')));
-    const q     = (req.query.q || '').trim();
-
-    const where = [];
-    const args = [];
-    let argi = 1;
+    await client.query('BEGIN');
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext('quartos'))`);
+    const plano = await planejarDistribuicao(client, { eventoId: req.evento.id, soQuitados: !!req.body?.so_quitados });
+    if (req.body?.dry_run || !plano.atribuicoes.length) {
+      await client.query('ROLLBACK');
+      return res.json({ ok:true, dry_run: !!req.body?.dry_run, ...plano });
+    }
+    await client.query(`
+      UPDATE public.inscritos i SET quarto_id=v.quarto_id, updated_at=NOW()
+      FROM unnest($1::bigint[], $2::bigint[]) AS v(id, quarto_id)
+      WHERE i.id=v.id AND i.quarto_id IS NULL
+    `, [plano.atribuicoes.map(a => a.inscrito_id), plano.atribuicoes.map(a => a.quarto_id)]);
+    await client.query('COMMIT');
 
-    if (q) {
-      where.push("(LOWER(name) LIKE LOWER($1) OR LOWER(email) LIKE LOWER($1))");
-      args.push(`%${q}%`);
-      argi++;
+    for (const a of plano.atribuicoes) {
+      await auditar(req, {
+        action: 'inscrito:quarto', targetType: 'inscrito', targetId: a.inscrito_id,
+        diff: { quarto: { de: null, para: a.quarto }, via: { de: null, para: 'distribuicao' } }
+      });
     }
-    const sqlWhere = where.length ? ("WHERE " + where.join(" AND ")) : "";
+    emitEvent('quartos:update', { evento_id: req.evento.id, distribuidos: plano.atribuicoes.length });
+    res.json({ ok:true, dry_run:false, ...plano });
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('[quartos distribuir] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'assign failed' });
+  } finally {
+    client.release();
+  }
+});
 
-    args.push(size);
-    args.push((page-1)*size);
+// Remanejar (arrastar p/ outro quarto); quarto_id null tira do quarto
+app.put('/api/admin/inscritos/:id/quarto', adminAuth, exigirPapel('owner'), async (req, res) => {
+  const id = Number(req.params.id);
+  const quartoId = req.body?.quarto_id == null || req.body.quarto_id === '' ? null : Number(req.body.quarto_id);
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext('quartos'))`);
+    const { rows } = await client.query(`
+      SELECT i.id, i.nome, i.status, i.sexo, i.idade_evento, i.quarto_id, i.evento_id, q.nome AS quarto
+      FROM public.inscritos i LEFT JOIN public.quartos q ON q.id=i.quarto_id
+      WHERE i.id=$1
+    `, [id]);
+    const i = rows[0];
+    const falha = async (http, error, extra) => {
+      await client.query('ROLLBACK');
+      return res.status(http).json({ ok:false, error, ...extra });
+    };
+    if (!i) return falha(404, 'not found');
+    if (i.status === 'cancelado') return falha(409, 'inscrição cancelada não ocupa quarto');
 
-    const sql = `
-      SELECT id, name, email, phone, source, created_at
-      FROM public.leads
-      ${sqlWhere}
-      ORDER BY created_at DESC
-      LIMIT $${argi} OFFSET $${argi+1};
-    `;
-    const { rows } = await pgPool.query(sql, args);
+    let destino = null;
+    if (quartoId != null) {
+      // só quartos do evento da própria inscrição
+      destino = (await quartosComOcupacao(client, i.evento_id)).find(q => Number(q.id) === quartoId);
+      if (!destino) return falha(404, 'quarto não encontrado');
+      if (!destino.ativo) return falha(409, 'quarto inativo');
+      const ocupados = destino.ocupados - (String(i.quarto_id) === String(destino.id) ? 1 : 0);
+      if (ocupados >= destino.capacidade) return falha(409, `quarto ${destino.nome} lotado`);
+      const restricao = restricaoQuarto(destino, i);
+      if (restricao && !req.body?.forcar) return falha(409, `${destino.nome}: ${restricao}`, { restricao });
+    }
+    await client.query(`UPDATE public.inscritos SET quarto_id=$2, updated_at=NOW() WHERE id=$1`, [id, quartoId]);
+    await client.query('COMMIT');
 
-    res.json({ page, size, items: rows });
+    await auditar(req, {
+      action: 'inscrito:quarto', targetType: 'inscrito', targetId: id,
+      diff: { quarto: { de: i.quarto, para: destino?.nome || null } }
+    });
+    emitEvent('quartos:update', { id, quarto_id: quartoId }, req.evento.id);
+    emitEvent('inscrito:update', { id, quarto_id: quartoId });
+    res.json({ ok:true, id, quarto: destino ? { id: Number(destino.id), nome: destino.nome, bloco: destino.bloco } : null });
   } catch (e) {
-    console.error('[leads list] err:', e?.message || e);
-    res.status(500).json({ ok:false, error:'list failed' });
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('[quarto remanejar] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'move failed' });
+  } finally {
+    client.release();
   }
 });
 
-// Export CSVs
-app.get('/api/admin/export/inscritos.csv', adminAuth, async (_req, res) => {
-  const { rows } = await pgPool.query(`
-    SELECT id, nome, email, telefone, cpf_norm, nascimento,
-           frequentaPV AS frequentapv,
-           campus, status, forma_pagamento, criado_em
-    FROM public.inscritos ORDER BY id DESC
-  `);
-  res.setHeader('Content-Type','text/csv; charset=utf-8');
-  res.setHeader('Content-Disposition','attachment; filename="inscritos.csv"');
-  const head = 'id;nome;email;telefone;cpf;nascimento;frequentaPV;campus;status;forma_pagamento;criado_em\n';
-  const body = rows.map(r => [
-    r.id, r.nome, r.email, r.telefone, r.cpf_norm, r.nascimento, r.frequentapv, r.campus, r.status, r.forma_pagamento, r.criado_em?.toISOString?.() || r.criado_em
-  ].map(v => (v==null?'':String(v).replaceAll(';',',').replaceAll('\n',' '))).join(';')).join('\n');
-  res.send(head + body);
+// Troca dois inscritos de quarto (arrastar um sobre o outro)
+app.post('/api/admin/quartos/trocar', adminAuth, exigirPapel('owner'), async (req, res) => {
+  const ids = [Number(req.body?.a), Number(req.body?.b)];
+  if (!ids.every(Number.isFinite) || ids[0] === ids[1]) return res.status(400).json({ ok:false, error:'informe dois inscritos (a, b)' });
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext('quartos'))`);
+    const { rows } = await client.query(`
+      SELECT i.id, i.nome, i.status, i.sexo, i.idade_evento, i.quarto_id, i.evento_id, q.nome AS quarto
+      FROM public.inscritos i LEFT JOIN public.quartos q ON q.id=i.quarto_id
+      WHERE i.id = ANY($1::bigint[])
+    `, [ids]);
+    const [a, b] = ids.map(id => rows.find(r => Number(r.id) === id));
+    const falha = async (http, error, extra) => {
+      await client.query('ROLLBACK');
+      return res.status(http).json({ ok:false, error, ...extra });
+    };
+    if (!a || !b) return falha(404, 'not found');
+    if (String(a.evento_id) !== String(b.evento_id)) return falha(409, 'inscrições de eventos diferentes');
+    if ([a, b].some(i => i.status === 'cancelado')) return falha(409, 'inscrição cancelada não ocupa quarto');
+    if (!a.quarto_id && !b.quarto_id) return falha(409, 'nenhum dos dois tem quarto');
+    if (String(a.quarto_id) === String(b.quarto_id)) return falha(409, 'os dois já estão no mesmo quarto');
+    const quartos = await quartosComOcupacao(client, a.evento_id);
+    const qa = quartos.find(q => String(q.id) === String(a.quarto_id));
+    const qb = quartos.find(q => String(q.id) === String(b.quarto_id));
+    if (!req.body?.forcar) {
+      const restricao = (qb && restricaoQuarto(qb, a) && `${a.nome} → ${qb.nome}: ${restricaoQuarto(qb, a)}`)
+        || (qa && restricaoQuarto(qa, b) && `${b.nome} → ${qa.nome}: ${restricaoQuarto(qa, b)}`);
+      if (restricao) return falha(409, restricao, { restricao });
+    }
+    await client.query(`
+      UPDATE public.inscritos SET quarto_id = CASE id WHEN $1 THEN $4::bigint ELSE $3::bigint END, updated_at=NOW()
+      WHERE id IN ($1, $2)
+    `, [a.id, b.id, a.quarto_id, b.quarto_id]);
+    await client.query('COMMIT');
+
+    for (const [i, para] of [[a, b.quarto], [b, a.quarto]]) {
+      await auditar(req, {
+        action: 'inscrito:quarto', targetType: 'inscrito', targetId: i.id,
+        diff: { quarto: { de: i.quarto, para }, via: { de: null, para: 'troca' } }
+      });
+    }
+    emitEvent('quartos:update', { trocados: ids }, req.evento.id);
+    res.json({ ok:true, trocados: ids });
+  } catch (e) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('[quarto trocar] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'swap failed' });
+  } finally {
+    client.release();
+  }
 });
 
-app.get('/api/admin/export/leads.csv', adminAuth, async (_req, res) => {
+// Rooming list: um inscrito por linha, agrupado por quarto; sem quarto no fim
+app.get('/api/admin/export/quartos.csv', adminAuth, exigirPapel('finance', 'checkin'), async (req, res) => {
   const { rows } = await pgPool.query(`
-    SELECT id, name, email, phone, source, created_at
-    FROM public.leads ORDER BY created_at DESC
-  `);
+    SELECT q.nome AS quarto, q.bloco, q.sexo AS quarto_sexo, q.capacidade,
+           i.id, i.nome, i.sexo, i.idade_evento, i.campus, i.grupo_id, i.telefone, i.status, i.checkin,
+           i.responsavel_legal_nome, i.responsavel_legal_telefone
+    FROM public.inscritos i
+    LEFT JOIN public.quartos q ON q.id=i.quarto_id
+    WHERE i.evento_id=$1 AND COALESCE(i.status,'') <> 'cancelado'
+    ORDER BY q.id IS NULL, q.ordem, q.nome, i.nome
+  `, [req.evento.id]);
   res.setHeader('Content-Type','text/csv; charset=utf-8');
-  res.setHeader('Content-Disposition','attachment; filename="leads.csv"');
-  const head = 'id;name;email;phone;source;created_at\n';
+  res.setHeader('Content-Disposition',`attachment; filename="rooming-list-${req.evento.slug}.csv"`);
+  // check-in só enxerga nomes (sem contato), como em /inscritos/list
+  const contato = req.admin.papel !== 'checkin';
+  const head = 'quarto;bloco;quarto_sexo;capacidade;inscrito_id;nome;sexo;idade_evento;campus;grupo;'
+    + (contato ? 'telefone;' : '') + 'status;checkin;responsavel_legal' + (contato ? ';responsavel_legal_telefone' : '') + '\n';
   const body = rows.map(r => [
-    r.id, r.name, r.email, r.phone, r.source, r.created_at?.toISOString?.() || r.created_at
+    r.quarto || '(sem quarto)', r.bloco, r.quarto_sexo, r.capacidade, r.id, r.nome, r.sexo, r.idade_evento, r.campus, r.grupo_id,
+    ...(contato ? [r.telefone] : []), r.status, r.checkin, r.responsavel_legal_nome, ...(contato ? [r.responsavel_legal_telefone] : [])
   ].map(v => (v==null?'':String(v).replaceAll(';',',').replaceAll('\n',' '))).join(';')).join('\n');
   res.send(head + body);
 });
 
 /* ======================================================================
-   ADMIN — Inscritos: detalhes, editar, cancelar, restaurar, check-in
+   ADMIN — E-mails: log de entrega, reenvio e templates
 ====================================================================== */
+const STATUS_EMAIL = ['pendente','enviando','enviado','falhou'];
 
-// Detalhe
-app.get('/api/admin/inscritos/:id', adminAuth, async (req, res) => {
+app.get('/api/admin/emails', adminAuth, exigirPapel('finance'), async (req, res) => {
   try {
-    const id = Number(req.params.id);
+    const args = [];
+    const where = [];
+    const status = (req.query.status || '').trim();
+    if (status) {
+      if (!STATUS_EMAIL.includes(status)) return res.status(400).json({ ok:false, error:'status inválido' });
+      args.push(status); where.push(`status=$${args.length}`);
+    }
+    if (req.query.inscrito_id) { args.push(Number(req.query.inscrito_id)); where.push(`inscrito_id=$${args.length}`); }
+    if (req.query.template) { args.push(String(req.query.template)); where.push(`template=$${args.length}`); }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
     const { rows } = await pgPool.query(`
-      SELECT id, nome, cpf, cpf_norm, nascimento, email, telefone, frequentaPV, campus, status, forma_pagamento,
-             qrcode, checkin, criado_em, updated_at, canceled_at, cancel_reason
-      FROM public.inscritos WHERE id=$1
-    `, [id]);
-    if (!rows.length) return res.status(404).json({ ok:false, error:'not found' });
-    res.json({ ok:true, item: rows[0] });
+      SELECT id, template, idioma, destinatarios, assunto, status, tentativas,
+             proxima_tentativa_em, ultimo_erro, provider_id, inscrito_id, criado_em, enviado_em
+      FROM public.email_outbox
+      ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+      ORDER BY id DESC
+      LIMIT ${limit}
+    `, args);
+    res.json({ ok:true, items: rows });
   } catch (e) {
-    res.status(500).json({ ok:false, error:'detail failed' });
+    console.error('[emails list] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'list failed' });
   }
 });
 
-// Editar (parcial)
-app.put('/api/admin/inscritos/:id', adminAuth, async (req, res) => {
+app.get('/api/admin/emails/:id', adminAuth, exigirPapel('finance'), async (req, res) => {
   try {
-    const id = Number(req.params.id);
-    const fields = {
-      nome: req.body?.nome,
-      email: req.body?.email,
-      telefone: req.body?.telefone,
-      frequentaPV: req.body?.frequentaPV,
-      campus: req.body?.campus,
-      forma_pagamento: req.body?.forma_pagamento,
-      nascimento: req.body?.nascimento
-    };
-    const sets = [];
-    const args = [];
-    let i = 1;
-    for (const [k, v] of Object.entries(fields)) {
-      if (typeof v !== 'undefined') {
-        sets.push(`${k}=$${i++}`);
-        args.push(v === '' ? null : v);
-      }
-    }
-    sets.push(`updated_at=NOW()`);
-    args.push(id);
-
-    if (sets.length === 1) return res.json({ ok:true, updated:0 }); // só updated_at
-
-    const sql = `UPDATE public.inscritos SET ${sets.join(',')} WHERE id=$${i} RETURNING id`;
-    const { rows } = await pgPool.query(sql, args);
+    const { rows } = await pgPool.query(`
+      SELECT id, template, idioma, destinatarios, assunto, html, status, tentativas,
+             proxima_tentativa_em, ultimo_erro, resposta, provider_id, inscrito_id, chave,
+             criado_em, enviado_em,
+             COALESCE((SELECT json_agg(a->>'filename') FROM jsonb_array_elements(anexos) a), '[]') AS anexos
+      FROM public.email_outbox WHERE id=$1
+    `, [Number(req.params.id)]);
     if (!rows.length) return res.status(404).json({ ok:false, error:'not found' });
-
-    emitEvent('inscrito:update', { id, type:'edit' });
-    res.json({ ok:true, id });
+    res.json({ ok:true, email: rows[0] });
   } catch (e) {
-    console.error('[admin edit] err:', e?.message || e);
-    res.status(500).json({ ok:false, error:'edit failed' });
+    console.error('[emails detail] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'detail failed' });
   }
 });
 
-// Cancelar inscrição (best-effort: marca parcelas pendentes como CANCELLED e tenta cancelar no Asaas)
-app.post('/api/admin/inscritos/:id/cancel', adminAuth, async (req, res) => {
-  const client = await pgPool.connect();
+// Reenvio: falhou/pendente volta para a fila; enviado vira uma cópia nova (o log original fica)
+app.post('/api/admin/emails/:id/reenviar', adminAuth, exigirPapel('finance'), async (req, res) => {
   try {
     const id = Number(req.params.id);
-    const reason = (req.body?.reason || '').trim().slice(0, 300) || null;
-
-    await client.query('BEGIN');
+    const { rows } = await pgPool.query(`SELECT id, status FROM public.email_outbox WHERE id=$1`, [id]);
+    if (!rows.length) return res.status(404).json({ ok:false, error:'not found' });
 
-    const u = await client.query(`
-      UPDATE public.inscritos
-      SET status='cancelado', canceled_at=NOW(), cancel_reason=$2, updated_at=NOW()
-      WHERE id=$1
-      RETURNING id
-    `, [id, reason]);
-    if (!u.rows.length) {
-      await client.query('ROLLBACK');
-      return res.status(404).json({ ok:false, error:'not found' });
+    let novoId = id;
+    if (rows[0].status === 'enviado') {
+      const { rows: c } = await pgPool.query(`
+        INSERT INTO public.email_outbox (template, idioma, destinatarios, assunto, html, anexos, inscrito_id)
+        SELECT template, idioma, destinatarios, assunto, html, anexos, inscrito_id
+        FROM public.email_outbox WHERE id=$1
+        RETURNING id
+      `, [id]);
+      novoId = c[0].id;
+    } else if (rows[0].status === 'enviando') {
+      return res.status(409).json({ ok:false, error:'e-mail sendo enviado agora' });
+    } else {
+      await pgPool.query(`
+        UPDATE public.email_outbox
+        SET status='pendente', tentativas=0, proxima_tentativa_em=NOW(), updated_at=NOW()
+        WHERE id=$1
+      `, [id]);
     }
 
-    const { rows: pendentes } = await client.query(`
-      SELECT id, asaas_payment_id FROM public.parcelas
-      WHERE inscrito_id=$1 AND COALESCE(status,'') ILIKE 'PEND%'
-    `, [id]);
+    await auditar(req, { action: 'email:reenviar', targetType: 'email', targetId: id, depois: { outbox_id: novoId } });
+    processarOutbox().catch(e => console.error('[EMAIL] worker:', e?.message || e));
+    res.json({ ok:true, id: novoId });
+  } catch (e) {
+    console.error('[emails reenviar] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'resend failed' });
+  }
+});
 
-    for (const p of pendentes) {
-      if (p.asaas_payment_id) {
-        try { await asaas(`/payments/${p.asaas_payment_id}/cancel`, { method: 'POST' }); }
-        catch (e) { console.warn('[asaas cancel warn]', String(e?.message || e).slice(0, 160)); }
+// Templates: padrão do código + sobreposições salvas no banco
+app.get('/api/admin/email-templates', adminAuth, exigirPapel('owner'), async (_req, res) => {
+  try {
+    const { rows } = await pgPool.query(`SELECT chave, idioma, assunto, html, updated_at FROM public.email_templates`);
+    const items = [];
+    for (const [chave, idiomas] of Object.entries(TEMPLATES_EMAIL)) {
+      for (const [idioma, padrao] of Object.entries(idiomas)) {
+        const o = rows.find(r => r.chave === chave && r.idioma === idioma);
+        items.push({ chave, idioma, assunto: o?.assunto || padrao.assunto, html: o?.html || padrao.html,
+                     personalizado: !!o, updated_at: o?.updated_at || null });
       }
     }
+    res.json({ ok:true, items });
+  } catch (e) {
+    console.error('[email templates] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'list failed' });
+  }
+});
 
-    await client.query(`
-      UPDATE public.parcelas
-      SET status='CANCELLED'
-      WHERE inscrito_id=$1 AND COALESCE(status,'') ILIKE 'PEND%'
-    `, [id]);
+// PUT com assunto/html salva a versão; sem os dois, volta ao padrão do código
+app.put('/api/admin/email-templates/:chave/:idioma', adminAuth, exigirPapel('owner'), async (req, res) => {
+  try {
+    const { chave, idioma } = req.params;
+    if (!TEMPLATES_EMAIL[chave]) return res.status(404).json({ ok:false, error:'template desconhecido' });
+    // só os idiomas que o template tem no código (os mesmos que a listagem oferece)
+    const idiomas = Object.keys(TEMPLATES_EMAIL[chave]);
+    if (!idiomas.includes(idioma)) return res.status(400).json({ ok:false, error:`idioma deve ser ${idiomas.join('/')}` });
+    const assunto = String(req.body?.assunto || '').trim();
+    const html = String(req.body?.html || '').trim();
 
-    await client.query('COMMIT');
+    const { rows: antes } = await pgPool.query(
+      `SELECT assunto, html FROM public.email_templates WHERE chave=$1 AND idioma=$2`, [chave, idioma]);
+    if (!assunto && !html) {
+      await pgPool.query(`DELETE FROM public.email_templates WHERE chave=$1 AND idioma=$2`, [chave, idioma]);
+    } else {
+      if (!assunto || !html) return res.status(400).json({ ok:false, error:'assunto e html são obrigatórios' });
+      await pgPool.query(`
+        INSERT INTO public.email_templates (chave, idioma, assunto, html)
+        VALUES ($1,$2,$3,$4)
+        ON CONFLICT (chave, idioma) DO UPDATE SET assunto=EXCLUDED.assunto, html=EXCLUDED.html, updated_at=NOW()
+      `, [chave, idioma, assunto, html]);
+    }
 
-    emitEvent('inscrito:update', { id, status:'cancelado', reason });
-    res.json({ ok:true, id });
+    await auditar(req, {
+      action: 'email:template', targetType: 'email_template', targetId: `${chave}/${idioma}`,
+      antes: antes[0] || {}, depois: assunto ? { assunto, html } : {}
+    });
+    res.json({ ok:true, chave, idioma, personalizado: !!assunto });
   } catch (e) {
-    await client.query('ROLLBACK');
-    console.error('[admin cancel] err:', e?.message || e);
-    res.status(500).json({ ok:false, error:'cancel failed' });
-  } finally {
-    client.release();
+    console.error('[email template put] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'save failed' });
   }
 });
 
-// Restaurar inscrição
-app.post('/api/admin/inscritos/:id/restore', adminAuth, async (req, res) => {
-  try {
-    const id = Number(req.params.id);
-    const toStatus = (req.body?.status || 'pendente_pagamento').trim();
+/* ======================================================================
+   ADMIN — Webhooks Asaas: listar e reprocessar
+====================================================================== */
+const STATUS_WEBHOOK = ['recebido','processando','processado','ignorado','falhou','abandonado'];
 
+app.get('/api/admin/webhooks', adminAuth, exigirPapel('finance'), async (req, res) => {
+  try {
+    const args = [];
+    const where = [];
+    const status = (req.query.status || '').trim();
+    if (status) {
+      if (!STATUS_WEBHOOK.includes(status)) return res.status(400).json({ ok:false, error:'status inválido' });
+      args.push(status); where.push(`status=$${args.length}`);
+    }
+    if (req.query.payment_id) { args.push(String(req.query.payment_id)); where.push(`payment_id=$${args.length}`); }
+    if (req.query.evento) { args.push(String(req.query.evento)); where.push(`evento=$${args.length}`); }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
     const { rows } = await pgPool.query(`
-      UPDATE public.inscritos
-      SET status=$1, canceled_at=NULL, cancel_reason=NULL, updated_at=NOW()
-      WHERE id=$2
-      RETURNING id
-    `, [toStatus, id]);
+      SELECT id, evento_id, evento, payment_id, payment_status, status, tentativas,
+             proxima_tentativa_em, ultimo_erro, recebido_em, processado_em
+      FROM public.webhook_events
+      ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+      ORDER BY id DESC
+      LIMIT ${limit}
+    `, args);
+    res.json({ ok:true, items: rows });
+  } catch (e) {
+    console.error('[webhooks list] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'list failed' });
+  }
+});
 
+app.get('/api/admin/webhooks/:id', adminAuth, exigirPapel('finance'), async (req, res) => {
+  try {
+    const { rows } = await pgPool.query(`SELECT * FROM public.webhook_events WHERE id=$1`, [Number(req.params.id)]);
     if (!rows.length) return res.status(404).json({ ok:false, error:'not found' });
-
-    emitEvent('inscrito:update', { id, status: toStatus });
-    res.json({ ok:true, id });
+    res.json({ ok:true, webhook: rows[0] });
   } catch (e) {
-    console.error('[admin restore] err:', e?.message || e);
-    res.status(500).json({ ok:false, error:'restore failed' });
+    console.error('[webhooks detail] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'detail failed' });
   }
 });
 
-// Check-in toggle/forçado
-app.post('/api/admin/inscritos/:id/checkin', adminAuth, async (req, res) => {
+// Reprocessa o evento agora (seguro: o processamento é idempotente e respeita a regra de ordem)
+app.post('/api/admin/webhooks/:id/replay', adminAuth, exigirPapel('owner'), async (req, res) => {
   try {
     const id = Number(req.params.id);
-    const force = req.body?.value; // 0/1 opcional
-    const q = typeof force === 'number'
-      ? `UPDATE public.inscritos SET checkin=$2, updated_at=NOW() WHERE id=$1 RETURNING id, checkin`
-      : `UPDATE public.inscritos SET checkin=CASE WHEN checkin=1 THEN 0 ELSE 1 END, updated_at=NOW() WHERE id=$1 RETURNING id, checkin`;
-    const args = typeof force === 'number' ? [id, force] : [id];
-    const { rows } = await pgPool.query(q, args);
-    if (!rows.length) return res.status(404).json({ ok:false, error:'not found' });
-    emitEvent('inscrito:update', { id, checkin: rows[0].checkin });
-    res.json({ ok:true, id, checkin: rows[0].checkin });
+    const { rows } = await pgPool.query(`
+      UPDATE public.webhook_events SET status='processando', updated_at=NOW()
+      WHERE id=$1 AND status <> 'processando'
+      RETURNING *
+    `, [id]);
+    if (!rows.length) {
+      const { rowCount } = await pgPool.query(`SELECT 1 FROM public.webhook_events WHERE id=$1`, [id]);
+      return rowCount
+        ? res.status(409).json({ ok:false, error:'evento sendo processado agora' })
+        : res.status(404).json({ ok:false, error:'not found' });
+    }
+    const r = await processarWebhookEvento(rows[0]);
+    await auditar(req, { action: 'webhook:replay', targetType: 'webhook', targetId: id, depois: { status: r.status, motivo: r.motivo || null } });
+    res.json({ ok:true, id, ...r });
   } catch (e) {
-    console.error('[admin:checkin] err:', e?.message || e);
-    res.status(500).json({ ok:false, error:'checkin failed' });
+    console.error('[webhooks replay] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'replay failed' });
+  }
+});
+
+// Conciliação sob demanda (?dry_run=1 só relata, não corrige)
+app.post('/api/admin/reconcile', adminAuth, exigirPapel('owner'), async (req, res) => {
+  const dryRun = req.query.dry_run === '1' || req.body?.dry_run === true;
+  try {
+    const rel = await reconciliarAsaas({ aplicar: !dryRun, req });
+    await pgPool.query(`
+      INSERT INTO public.config (chave, valor) VALUES ('reconcile_ultimo_relatorio', $1)
+      ON CONFLICT (chave) DO UPDATE SET valor=EXCLUDED.valor, updated_at=NOW()
+    `, [JSON.stringify(rel)]);
+    await auditar(req, {
+      action: 'reconcile:executar', targetType: 'reconcile', targetId: dryRun ? 'dry_run' : 'manual',
+      depois: { verificadas: rel.verificadas, corrigidas: rel.corrigidas.length, so_local: rel.so_local.length,
+                so_asaas: rel.so_asaas.length, valor_divergente: rel.valor_divergente.length, erros: rel.erros.length }
+    });
+    res.json({ ok:true, relatorio: rel });
+  } catch (e) {
+    if (e?.emAndamento) return res.status(409).json({ ok:false, error: e.message });
+    console.error('[reconcile] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'reconcile failed' });
+  }
+});
+
+app.get('/api/admin/reconcile/ultimo', adminAuth, exigirPapel('finance'), async (_req, res) => {
+  try {
+    const { rows } = await pgPool.query(`SELECT valor, updated_at FROM public.config WHERE chave='reconcile_ultimo_relatorio'`);
+    res.json({ ok:true, relatorio: rows[0] ? JSON.parse(rows[0].valor) : null, updated_at: rows[0]?.updated_at || null });
+  } catch (e) {
+    console.error('[reconcile ultimo] err:', e?.message || e);
+    res.status(500).json({ ok:false, error:'read failed' });
   }
 });
 
 /* ======================================================================
    LEADS — API pública
+   - lead = interesse (e-mail por evento); utm_source/utm_medium/utm_campaign
+     chegam no body de /api/leads e de /inscricao(/grupo)
+   - lead é ligado à inscrição do mesmo evento por e-mail ou CPF (inscrito_id):
+     na criação do lead, se a inscrição já existe, e em toda inscrição nova
+   - origem e UTM guardam o 1º toque: reenvio do mesmo e-mail não sobrescreve
 ====================================================================== */
-app.post('/api/leads', async (req, res) => {
+const UTM_CAMPOS = ['utm_source', 'utm_medium', 'utm_campaign'];
+function lerUtm(body) {
+  return Object.fromEntries(UTM_CAMPOS.map(k => [k, String(body?.[k] || '').trim().toLowerCase().slice(0, 100) || null]));
+}
+
+// Inscrição que corresponde ao lead (mesmo evento, e-mail ou CPF): a ativa mais recente
+function sqlInscritoDoLead(evento, email, cpf) {
+  return `(SELECT i.id FROM public.inscritos i
+           WHERE i.evento_id=${evento} AND (LOWER(i.email)=LOWER(${email}) OR i.cpf_norm=${cpf})
+           ORDER BY (COALESCE(i.status,'') <> 'cancelado') DESC, i.id DESC LIMIT 1)`;
+}
+
+// Chamada após a inscrição: leads sem inscrição (ou presos a uma cancelada) passam a apontar para ela
+async function vincularLeads(db, { inscritoId, eventoId, email, cpfNorm }) {
+  const { rowCount } = await db.query(`
+    UPDATE public.leads l SET inscrito_id=$1, convertido_em=COALESCE(l.convertido_em, NOW())
+    WHERE l.evento_id=$2 AND (LOWER(l.email)=LOWER($3) OR l.cpf_norm=$4)
+      AND (l.inscrito_id IS NULL OR EXISTS (
+        SELECT 1 FROM public.inscritos i WHERE i.id=l.inscrito_id AND i.id<>$1 AND i.status='cancelado'))
+  `, [inscritoId, eventoId, email || '', cpfNorm || null]);
+  if (rowCount) emitEvent('lead:convertido', { inscrito_id: inscritoId, evento_id: eventoId, leads: rowCount });
+  return rowCount;
+}
+
+app.post(['/api/leads', '/e/:slug/api/leads'], comEvento, async (req, res) => {
   try {
-    const { name, email, phone, source } = req.body || {};
+    const { name, email, phone, source, cpf } = req.body || {};
     if (!name || !email) {
       return res.status(400).json({ ok: false, error: 'Nome e e-mail são obrigatórios.' });
     }
+    const utm = lerUtm(req.body);
+    const cpfNorm = cpf ? (normalizarCPF(cpf) || null) : null;
 
     const sql = `
-      INSERT INTO public.leads (name, email, phone, source)
-      VALUES ($1, $2, $3, $4)
-      ON CONFLICT (email)
+      INSERT INTO public.leads (name, email, phone, source, evento_id, utm_source, utm_medium, utm_campaign, cpf_norm,
+                                inscrito_id, convertido_em)
+      SELECT $1, $2, $3, $4, $5, $6, $7, $8, $9, x.id, CASE WHEN x.id IS NOT NULL THEN NOW() END
+      FROM (SELECT ${sqlInscritoDoLead('$5', '$2', '$9::text')} AS id) x
+      ON CONFLICT (evento_id, email)
       DO UPDATE SET name = EXCLUDED.name,
                     phone = EXCLUDED.phone,
-                    source = EXCLUDED.source
-      RETURNING id, name, email, phone, source, created_at;
+                    source = COALESCE(leads.source, EXCLUDED.source),
+                    utm_source = COALESCE(leads.utm_source, EXCLUDED.utm_source),
+                    utm_medium = COALESCE(leads.utm_medium, EXCLUDED.utm_medium),
+                    utm_campaign = COALESCE(leads.utm_campaign, EXCLUDED.utm_campaign),
+                    cpf_norm = COALESCE(EXCLUDED.cpf_norm, leads.cpf_norm),
+                    inscrito_id = COALESCE(EXCLUDED.inscrito_id, leads.inscrito_id),
+                    convertido_em = COALESCE(leads.convertido_em, EXCLUDED.convertido_em)
+      RETURNING id, name, email, phone, source, created_at, evento_id, inscrito_id;
     `;
-    const { rows } = await pgPool.query(sql, [name, email, phone || null, source || null]);
+    const { rows } = await pgPool.query(sql, [
+      name, email, phone || null, source || null, req.evento.id,
+      utm.utm_source, utm.utm_medium, utm.utm_campaign, cpfNorm
+    ]);
     const lead = rows[0];
 
     // e‑mail consolidado e evento p/ painel
     enviarEmailsDeLead(lead).catch(console.error);
-    emitEvent('lead:new', { id: lead.id, name: lead.name, email: lead.email, at: lead.created_at });
+    emitEvent('lead:new', { id: lead.id, evento_id: lead.evento_id, name: lead.name, email: lead.email, at: lead.created_at });
 
     res.status(201).json({ ok: true, lead });
   } catch (err) {
@@ -1009,9 +7382,9 @@ app.post('/api/leads', async (req, res) => {
   }
 });
 
-app.get('/api/leads/count', async (_req, res) => {
+app.get(['/api/leads/count', '/e/:slug/api/leads/count'], comEvento, async (req, res) => {
   try {
-    const { rows } = await pgPool.query('SELECT COUNT(*)::int AS count FROM public.leads;');
+    const { rows } = await pgPool.query('SELECT COUNT(*)::int AS count FROM public.leads WHERE evento_id=$1;', [req.evento.id]);
     res.json({ count: rows[0].count });
   } catch (err) {
     console.error('[LEADS] GET /api/leads/count erro:', err?.message || err);
@@ -1019,9 +7392,9 @@ app.get('/api/leads/count', async (_req, res) => {
   }
 });
 
-app.get('/api/leads', async (_req, res) => {
+app.get(['/api/leads', '/e/:slug/api/leads'], comEvento, async (req, res) => {
   try {
-    const { rows } = await pgPool.query('SELECT id, name, email, phone, source, created_at FROM public.leads ORDER BY created_at DESC;');
+    const { rows } = await pgPool.query('SELECT id, name, email, phone, source, created_at FROM public.leads WHERE evento_id=$1 ORDER BY created_at DESC;', [req.evento.id]);
     res.json({ leads: rows });
   } catch (err) {
     console.error('[LEADS] GET /api/leads erro:', err?.message || err);